@@ -319,6 +319,7 @@ class SpotifyWebAPIService {
     // === PLAYLISTS ET CONTEXTES ===
 
     // Jouer une playlist/album/artiste
+    // offset : position (nombre) ou URI de la piste de départ (chaîne)
     async playContext(contextUri, deviceId = null, offset = null) {
         logger.info('SpotifyWebAPIService: Play context', { contextUri, deviceId, offset });
         
@@ -327,7 +328,7 @@ class SpotifyWebAPIService {
         };
         
         if (offset !== null) {
-            body.offset = { position: offset };
+            body.offset = typeof offset === 'string' ? { uri: offset } : { position: offset };
         }
         
         if (deviceId) {
@@ -341,8 +342,8 @@ class SpotifyWebAPIService {
     }
 
     // Jouer des pistes spécifiques
-    async playTracks(trackUris, deviceId = null, offset = null) {
-        logger.info('SpotifyWebAPIService: Play tracks', { trackUris, deviceId, offset });
+    async playTracks(trackUris, deviceId = null, offset = null, positionMs = null) {
+        logger.info('SpotifyWebAPIService: Play tracks', { trackUris, deviceId, offset, positionMs });
         
         const body = {
             uris: trackUris
@@ -352,6 +353,10 @@ class SpotifyWebAPIService {
             body.offset = { position: offset };
         }
         
+        if (positionMs) {
+            body.position_ms = positionMs;
+        }
+        
         if (deviceId) {
             body.device_ids = [deviceId];
         }
@@ -371,6 +376,29 @@ class SpotifyWebAPIService {
         return this.apiRequest('/me');
     }
 
+    // Profil public d'un utilisateur (nom affiché des collaborateurs)
+    async getUser(userId) {
+        logger.debug('SpotifyWebAPIService: Get user', { userId });
+        
+        return this.apiRequest(`/users/${encodeURIComponent(userId)}`);
+    }
+
+    // Artistes ou pistes les plus écoutés (timeRange : short_term, medium_term, long_term)
+    async getTopItems(type, timeRange = 'medium_term', limit = 50) {
+        logger.debug('SpotifyWebAPIService: Get top items', { type, timeRange, limit });
+        
+        const response = await this.apiRequest(`/me/top/${type}?time_range=${timeRange}&limit=${limit}`);
+        return response.items || [];
+    }
+
+    // Dernières écoutes connues de Spotify (50 au maximum)
+    async getRecentlyPlayed(limit = 50) {
+        logger.debug('SpotifyWebAPIService: Get recently played', { limit });
+        
+        const response = await this.apiRequest(`/me/player/recently-played?limit=${limit}`);
+        return response?.items || [];
+    }
+
     // Vérifier si une piste est aimée
     async checkSavedTracks(trackIds) {
         logger.debug('SpotifyWebAPIService: Check saved tracks', { trackIds });
@@ -1008,6 +1036,196 @@ class SpotifyWebAPIService {
         return this.apiRequest(`/playlists/${playlistId}/tracks?limit=${limit}&offset=${offset}`);
     }
     
+    // Créer une playlist pour l'utilisateur connecté
+    async createPlaylist(name, description = '', isPublic = false) {
+        logger.info('SpotifyWebAPIService: Create playlist', { name });
+        
+        const user = await this.getUserProfile();
+        
+        return this.apiRequest(`/users/${user.id}/playlists`, {
+            method: 'POST',
+            body: JSON.stringify({
+                name,
+                description: description.slice(0, 300), // Limite Spotify
+                public: isPublic
+            })
+        });
+    }
+    
+    // Modifier le nom ou la description d'une playlist
+    async changePlaylistDetails(playlistId, { name, description } = {}) {
+        logger.info('SpotifyWebAPIService: Change playlist details', { playlistId, name });
+        
+        const body = {};
+        if (name !== undefined) body.name = name;
+        if (description !== undefined) body.description = description.slice(0, 300); // Limite Spotify
+        
+        return this.apiRequest(`/playlists/${playlistId}`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+    }
+    
+    // Ajouter des pistes (100 URIs maximum par requête), à la fin ou à partir d'une position
+    async addTracksToPlaylist(playlistId, trackUris, position = null) {
+        logger.info('SpotifyWebAPIService: Add tracks to playlist', { playlistId, count: trackUris.length, position });
+        
+        for (let i = 0; i < trackUris.length; i += 100) {
+            const body = { uris: trackUris.slice(i, i + 100) };
+            if (position !== null) {
+                body.position = position + i;
+            }
+            
+            await this.apiRequest(`/playlists/${playlistId}/tracks`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            
+            // Petite pause entre les lots pour éviter le rate limiting
+            if (i + 100 < trackUris.length) {
+                await this.delay(100);
+            }
+        }
+    }
+    
+    // Remplacer tout le contenu d'une playlist dans l'ordre donné
+    // (les dates d'ajout sont perdues : préférer reorderPlaylistTracks pour un simple tri)
+    async replacePlaylistTracks(playlistId, trackUris) {
+        logger.info('SpotifyWebAPIService: Replace playlist tracks', { playlistId, count: trackUris.length });
+        
+        await this.apiRequest(`/playlists/${playlistId}/tracks`, {
+            method: 'PUT',
+            body: JSON.stringify({ uris: trackUris.slice(0, 100) })
+        });
+        
+        if (trackUris.length > 100) {
+            await this.delay(100);
+            await this.addTracksToPlaylist(playlistId, trackUris.slice(100));
+        }
+    }
+    
+    // Déplacer un bloc de pistes ; retourne le nouveau snapshot_id
+    async reorderPlaylistTracks(playlistId, rangeStart, insertBefore, rangeLength = 1, snapshotId = null) {
+        logger.debug('SpotifyWebAPIService: Reorder playlist tracks', { playlistId, rangeStart, insertBefore, rangeLength });
+        
+        const body = {
+            range_start: rangeStart,
+            insert_before: insertBefore,
+            range_length: rangeLength
+        };
+        if (snapshotId) {
+            body.snapshot_id = snapshotId;
+        }
+        
+        const response = await this.apiRequest(`/playlists/${playlistId}/tracks`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+        return response?.snapshot_id || null;
+    }
+    
+    // Retirer toutes les occurrences des URIs données (100 par requête)
+    async removeTracksFromPlaylist(playlistId, trackUris) {
+        logger.info('SpotifyWebAPIService: Remove tracks from playlist', { playlistId, count: trackUris.length });
+        
+        const uniqueUris = [...new Set(trackUris)];
+        
+        for (let i = 0; i < uniqueUris.length; i += 100) {
+            await this.apiRequest(`/playlists/${playlistId}/tracks`, {
+                method: 'DELETE',
+                body: JSON.stringify({ tracks: uniqueUris.slice(i, i + 100).map(uri => ({ uri })) })
+            });
+            
+            if (i + 100 < uniqueUris.length) {
+                await this.delay(100);
+            }
+        }
+    }
+    
+    // Ne plus suivre (supprimer) une playlist
+    async unfollowPlaylist(playlistId) {
+        logger.info('SpotifyWebAPIService: Unfollow playlist', { playlistId });
+        
+        return this.apiRequest(`/playlists/${playlistId}/followers`, { method: 'DELETE' });
+    }
+    
+    // Suivre de nouveau une playlist
+    async followPlaylist(playlistId) {
+        logger.info('SpotifyWebAPIService: Follow playlist', { playlistId });
+        
+        return this.apiRequest(`/playlists/${playlistId}/followers`, { method: 'PUT' });
+    }
+    
+    // Tous les éléments d'une playlist, y compris les pistes indisponibles et les fichiers locaux
+    // (market=from_token renseigne is_playable)
+    async getAllPlaylistItems(playlistId, onProgress = null) {
+        logger.debug('SpotifyWebAPIService: Get all playlist items', { playlistId });
+        
+        return this.getAllPages(`/playlists/${playlistId}/tracks?market=from_token`, 100, onProgress);
+    }
+    
+    // Tous les titres likés avec leur date d'ajout
+    async getAllSavedItems(onProgress = null) {
+        logger.debug('SpotifyWebAPIService: Get all saved items');
+        
+        return this.getAllPages('/me/tracks?market=from_token', 50, onProgress);
+    }
+    
+    // Parcourir toutes les pages d'un endpoint paginé
+    async getAllPages(endpoint, limit, onProgress = null) {
+        const items = [];
+        
+        for await (const page of this.iteratePages(endpoint, limit)) {
+            items.push(...page.items);
+            if (onProgress) onProgress(items.length, page.total);
+        }
+        
+        return items;
+    }
+    
+    // Pages d'un endpoint paginé, une par une : { items, total }
+    // (permet de traiter de très longues listes sans tout garder en mémoire)
+    async *iteratePages(endpoint, limit) {
+        const separator = endpoint.includes('?') ? '&' : '?';
+        let offset = 0;
+        let total = Infinity;
+        
+        while (offset < total) {
+            const response = await this.apiRequest(`${endpoint}${separator}limit=${limit}&offset=${offset}`);
+            const pageItems = response?.items || [];
+            total = response?.total ?? 0;
+            offset += limit;
+            
+            yield { items: pageItems, total };
+            if (pageItems.length < limit) break;
+        }
+    }
+    
+    iteratePlaylistItems(playlistId) {
+        return this.iteratePages(`/playlists/${playlistId}/tracks?market=from_token`, 100);
+    }
+    
+    iterateSavedItems() {
+        return this.iteratePages('/me/tracks?market=from_token', 50);
+    }
+    
+    // Pistes d'un album au format des éléments de playlist ({ added_at, track }) ;
+    // les pistes simplifiées sont complétées (ISRC, album, popularité)
+    async *iterateAlbumItems(albumId) {
+        for await (const page of this.iteratePages(`/albums/${albumId}/tracks`, 50)) {
+            const tracks = await this.getTracks(page.items.map(track => track.id).filter(Boolean));
+            yield {
+                items: tracks.map(track => ({ added_at: null, track })),
+                total: page.total
+            };
+        }
+    }
+    
+    // URI enregistrée dans la playlist : en cas de relinking, la piste jouable remplace l'originale
+    getPlaylistItemUri(track) {
+        return track.linked_from?.uri || track.uri;
+    }
+    
     // Obtenir les titres likés (saved tracks)
     async getLikedTracks() {
         logger.debug('SpotifyWebAPIService: Get liked tracks');
@@ -1042,6 +1260,21 @@ class SpotifyWebAPIService {
         }
     }
 
+    // Liker ou retirer des titres likés (50 IDs maximum par requête)
+    async setSavedTracks(trackIds, save = true) {
+        logger.info('SpotifyWebAPIService: Set saved tracks', { count: trackIds.length, save });
+        
+        for (let i = 0; i < trackIds.length; i += 50) {
+            await this.apiRequest(`/me/tracks?ids=${trackIds.slice(i, i + 50).join(',')}`, {
+                method: save ? 'PUT' : 'DELETE'
+            });
+            
+            if (i + 50 < trackIds.length) {
+                await this.delay(100);
+            }
+        }
+    }
+
     // === ALBUMS ===
 
     // Obtenir un album
@@ -1074,6 +1307,59 @@ class SpotifyWebAPIService {
         return this.apiRequest(`/artists/${artistId}/top-tracks?market=${market}`);
     }
 
+    // Obtenir plusieurs artistes (50 IDs maximum par requête)
+    async getArtists(artistIds) {
+        logger.debug('SpotifyWebAPIService: Get artists', { count: artistIds.length });
+        
+        const artists = [];
+        for (let i = 0; i < artistIds.length; i += 50) {
+            const batch = artistIds.slice(i, i + 50);
+            const response = await this.apiRequest(`/artists?ids=${batch.join(',')}`);
+            artists.push(...(response.artists || []).filter(artist => artist));
+        }
+        
+        return artists;
+    }
+
+    // === MÉTADONNÉES ===
+
+    // Obtenir des pistes complètes (50 IDs maximum par requête)
+    async getTracks(trackIds) {
+        logger.debug('SpotifyWebAPIService: Get tracks', { count: trackIds.length });
+        
+        const tracks = [];
+        for (let i = 0; i < trackIds.length; i += 50) {
+            const batch = trackIds.slice(i, i + 50);
+            const response = await this.apiRequest(`/tracks?ids=${batch.join(',')}`);
+            tracks.push(...(response.tracks || []).filter(track => track));
+        }
+        
+        return tracks;
+    }
+
+    // Obtenir les caractéristiques audio (énergie, tempo...) - 100 IDs maximum par requête
+    // L'endpoint n'est pas ouvert à toutes les applications : l'erreur est laissée à l'appelant
+    async getAudioFeatures(trackIds) {
+        logger.debug('SpotifyWebAPIService: Get audio features', { count: trackIds.length });
+        
+        const features = [];
+        for (let i = 0; i < trackIds.length; i += 100) {
+            const batch = trackIds.slice(i, i + 100);
+            const response = await this.apiRequest(`/audio-features?ids=${batch.join(',')}`);
+            features.push(...(response.audio_features || []).filter(feature => feature));
+        }
+        
+        return features;
+    }
+
+    // Obtenir l'analyse audio d'une piste (mesures, temps, sections, segments)
+    // Même restriction d'accès que les caractéristiques audio : l'erreur est laissée à l'appelant
+    async getAudioAnalysis(trackId) {
+        logger.debug('SpotifyWebAPIService: Get audio analysis', { trackId });
+        
+        return this.apiRequest(`/audio-analysis/${trackId}`);
+    }
+
     // === TRUE SHUFFLE ===
 
     // Obtenir toutes les pistes d'une playlist (avec pagination automatique)
@@ -1218,59 +1504,6 @@ class SpotifyWebAPIService {
             return { tracks: [], contextType: null, contextUri: null };
         }
     }
-
-    // Jouer des pistes en mode batch (pour contourner la limite d'URIs)
-    async playTracksInBatches(trackUris, deviceId = null, batchSize = 50) {
-        logger.info('SpotifyWebAPIService: Play tracks in batches', { 
-            totalTracks: trackUris.length, 
-            batchSize,
-            deviceId 
-        });
-        
-        try {
-            if (trackUris.length === 0) {
-                throw new Error('No tracks to play');
-            }
-            
-            // Pour les grandes listes, utiliser une approche plus simple
-            // Jouer seulement les premières pistes pour démarrer
-            const maxInitialTracks = Math.min(trackUris.length, batchSize);
-            const initialBatch = trackUris.slice(0, maxInitialTracks);
-            
-            await this.playTracks(initialBatch, deviceId);
-            
-            // Si il y a plus de pistes, les ajouter progressivement à la queue
-            if (trackUris.length > maxInitialTracks) {
-                // Attendre un peu que la lecture démarre
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
-                const remainingTracks = trackUris.slice(maxInitialTracks);
-                
-                // Ajouter les pistes restantes par petits groupes pour éviter de surcharger l'API
-                for (let i = 0; i < remainingTracks.length; i++) {
-                    try {
-                        await this.addToQueue(remainingTracks[i]);
-                        // Délai plus court pour une expérience plus fluide
-                        if (i % 10 === 0) {
-                            await new Promise(resolve => setTimeout(resolve, 100));
-                        }
-                    } catch (queueError) {
-                        logger.warn('SpotifyWebAPIService: Failed to add track to queue', { 
-                            uri: remainingTracks[i], 
-                            error: queueError.message 
-                        });
-                        // Continuer même si certaines pistes échouent
-                    }
-                }
-            }
-            
-            logger.info('SpotifyWebAPIService: Batch playback started successfully');
-            
-        } catch (error) {
-            logger.error('SpotifyWebAPIService: Error playing tracks in batches', error);
-            throw error;
-        }
-    }
 }
 
 // Export global
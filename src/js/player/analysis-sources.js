@@ -0,0 +1,148 @@
+// Sources d'analyse du visualiseur - Melodyx
+// Fichier JSON local (prioritaire, conservé dans IndexedDB) puis endpoint audio-analysis de Spotify
+
+class LocalAnalysisSource {
+    constructor() {
+        this.storeName = 'analyses';
+        this.label = 'Analyse locale';
+        this.trackIdPattern = /^(?:spotify:track:)?([A-Za-z0-9]{22})$/;
+        this.lastMatch = null; // trackId de la dernière analyse trouvée
+    }
+
+    async getAnalysis(track) {
+        const record = track.id ? await melodyxDB.get(this.storeName, track.id) : null;
+        this.lastMatch = record ? track.id : null;
+        return record ? record.analysis : null;
+    }
+
+    async readAnalysis(file) {
+        const text = typeof file.text === 'function' ? await file.text() : await new Response(file).text();
+        const analysis = JSON.parse(text);
+
+        // Rejeter un fichier inutilisable avant de l'enregistrer
+        musicVisualizer.normalizeAnalysis(analysis);
+        return analysis;
+    }
+
+    async save(trackId, file, name = '') {
+        await melodyxDB.put(this.storeName, {
+            trackId,
+            name,
+            fileName: file.name,
+            analysis: await this.readAnalysis(file),
+            importedAt: Date.now()
+        });
+    }
+
+    // Un fichier déposé est associé à la piste en cours ; plusieurs sont rattachés par leur nom (ID ou URI de piste)
+    async handleDrop(files, track) {
+        const jsonFiles = files.filter(file => /\.json$/i.test(file.name));
+        if (jsonFiles.length === 0) {
+            throw new Error('Déposez un fichier d\'analyse .json');
+        }
+
+        if (jsonFiles.length === 1 && track?.id) {
+            await this.save(track.id, jsonFiles[0], track.name);
+            return 1;
+        }
+
+        let imported = 0;
+        for (const file of jsonFiles) {
+            const match = file.name.replace(/\.json$/i, '').match(this.trackIdPattern);
+            if (!match) continue;
+            await this.save(match[1], file);
+            imported++;
+        }
+
+        logger.info(`LocalAnalysisSource: ${imported} analyses importées`);
+        return imported;
+    }
+
+    pickFile() {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', () => resolve(input.files[0] || null));
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
+
+    getActions(track) {
+        if (!track?.id) return [];
+
+        const actions = [{
+            label: '📄 Analyse JSON',
+            title: 'Utiliser un fichier d\'analyse (format audio-analysis de Spotify) pour ce titre',
+            run: async () => {
+                const file = await this.pickFile();
+                if (!file) return false;
+                await this.save(track.id, file, track.name);
+                return true;
+            }
+        }];
+
+        if (this.lastMatch === track.id) {
+            actions.push({
+                label: '🗑️ Oublier',
+                title: 'Retirer l\'analyse importée pour ce titre',
+                run: async () => {
+                    await melodyxDB.delete(this.storeName, track.id);
+                    this.lastMatch = null;
+                    return true;
+                }
+            });
+        }
+
+        return actions;
+    }
+}
+
+class SpotifyAnalysisSource {
+    constructor() {
+        this.label = 'Analyse Spotify';
+        this.cache = new Map(); // trackId -> analyse, pour les allers-retours dans la file
+        this.maxCached = 20;
+        this.available = true;
+    }
+
+    async getAnalysis(track) {
+        const webApiService = musicVisualizer.webApiService;
+        if (!this.available || !track.id || !webApiService) return null;
+
+        if (this.cache.has(track.id)) {
+            return this.cache.get(track.id);
+        }
+
+        try {
+            const analysis = await webApiService.getAudioAnalysis(track.id);
+            this.cache.set(track.id, analysis);
+            if (this.cache.size > this.maxCached) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            return analysis;
+        } catch (error) {
+            // Endpoint refusé à cette application : ne plus le solliciter pendant la session
+            if (/API Error 403/.test(error.message)) {
+                this.available = false;
+                throw new Error('endpoint Spotify non autorisé pour cette application');
+            }
+            if (/API Error 404/.test(error.message)) return null;
+            throw error;
+        }
+    }
+}
+
+// Instances globales (l'analyse locale a priorité sur celle de Spotify)
+const localAnalysisSource = new LocalAnalysisSource();
+const spotifyAnalysisSource = new SpotifyAnalysisSource();
+
+musicVisualizer.registerSource('local', localAnalysisSource);
+musicVisualizer.registerSource('spotify', spotifyAnalysisSource);
+
+// Make available globally
+window.localAnalysisSource = localAnalysisSource;
+window.spotifyAnalysisSource = spotifyAnalysisSource;
+window.LocalAnalysisSource = LocalAnalysisSource;
+window.SpotifyAnalysisSource = SpotifyAnalysisSource;
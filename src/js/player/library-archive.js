@@ -0,0 +1,364 @@
+// Sauvegarde de la bibliothèque - Melodyx
+// Archive JSON versionnée du profil, de toutes les playlists (pistes comprises) et des titres likés
+// avec leur date d'ajout ; la restauration compare l'archive au compte et affiche un aperçu avant d'agir
+
+class LibraryArchive {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // Piste compacte : de quoi recréer la playlist ou retrouver la piste à la main
+    toArchiveTrack(item) {
+        const track = item.track;
+        return {
+            uri: this.webApiService.getPlaylistItemUri(track),
+            name: track.name || '',
+            artists: (track.artists || []).map(artist => artist.name).join(', '),
+            album: track.album?.name || '',
+            isrc: track.external_ids?.isrc || null,
+            durationMs: track.duration_ms || 0,
+            addedAt: item.added_at || null,
+            addedBy: item.added_by?.id || null,
+            isLocal: Boolean(track.is_local)
+        };
+    }
+
+    getFileName() {
+        return `melodyx-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    }
+
+    // === SAUVEGARDE ===
+
+    // Écrit l'archive morceau par morceau (une playlist à la fois) dans le writer de playlistExport.
+    // Les éléments complets sont lus plutôt que getLikedTracks / getAllPlaylistTracks : ceux-ci ne gardent
+    // pas la date d'ajout, s'arrêtent vers 1 000 titres likés et renvoient une liste vide en cas d'erreur,
+    // ce qui produirait une sauvegarde incomplète sans avertissement
+    async backup(writer, onProgress = null) {
+        const summary = { playlists: 0, playlistTracks: 0, likedTracks: 0 };
+
+        try {
+            const profile = await this.webApiService.getUserProfile();
+            const playlists = await this.webApiService.getAllUserPlaylists();
+
+            await writer.write(`{\n  "format": "${LibraryArchive.format}",\n  "version": ${LibraryArchive.version},\n  "createdAt": ${JSON.stringify(new Date().toISOString())},\n  "profile": ${JSON.stringify({
+                id: profile.id,
+                displayName: profile.display_name || null,
+                country: profile.country || null
+            })},\n  "likedTracks": [`);
+
+            let written = 0;
+            for await (const page of this.webApiService.iterateSavedItems()) {
+                const chunk = page.items
+                    .filter(item => item && item.track)
+                    .map(item => `${written++ > 0 ? ',' : ''}\n    ${JSON.stringify(this.toArchiveTrack(item))}`)
+                    .join('');
+                if (chunk) await writer.write(chunk);
+
+                summary.likedTracks += page.items.length;
+                if (onProgress) onProgress('liked', summary.likedTracks, page.total);
+            }
+
+            await writer.write('\n  ],\n  "playlists": [');
+
+            for (const [index, playlist] of playlists.entries()) {
+                const items = await this.webApiService.getAllPlaylistItems(playlist.id);
+                const tracks = items.filter(item => item && item.track).map(item => this.toArchiveTrack(item));
+
+                await writer.write(`${index > 0 ? ',' : ''}\n    ${JSON.stringify({
+                    id: playlist.id,
+                    name: playlist.name,
+                    description: playlist.description || '',
+                    public: Boolean(playlist.public),
+                    collaborative: Boolean(playlist.collaborative),
+                    owner: { id: playlist.owner?.id || null, displayName: playlist.owner?.display_name || null },
+                    snapshotId: playlist.snapshot_id || null,
+                    tracks
+                })}`);
+
+                summary.playlists++;
+                summary.playlistTracks += tracks.length;
+                if (onProgress) onProgress('playlists', index + 1, playlists.length);
+            }
+
+            await writer.write('\n  ]\n}\n');
+            await writer.close();
+        } catch (error) {
+            await writer.abort().catch(() => {});
+            throw error;
+        }
+
+        logger.info('LibraryArchive: Sauvegarde de la bibliothèque terminée', summary);
+        return summary;
+    }
+
+    // === RESTAURATION ===
+
+    parseArchive(text) {
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Fichier de sauvegarde illisible (JSON invalide)');
+        }
+
+        if (archive?.format !== LibraryArchive.format || !Array.isArray(archive.playlists) || !Array.isArray(archive.likedTracks)) {
+            throw new Error('Ce fichier n\'est pas une sauvegarde Melodyx');
+        }
+        if (archive.version > LibraryArchive.version) {
+            throw new Error(`Sauvegarde créée par une version plus récente de Melodyx (format ${archive.version})`);
+        }
+
+        return archive;
+    }
+
+    // Simulation : ce que la restauration ferait sur le compte actuel, sans rien modifier.
+    // Les playlists de l'archive appartenant à son auteur sont recréées ; les autres sont suivies de nouveau
+    async planRestore(archive, onProgress = null) {
+        const profile = await this.webApiService.getUserProfile();
+        const current = await this.webApiService.getAllUserPlaylists();
+        const currentIds = new Set(current.map(playlist => playlist.id));
+        // Playlist recréée lors d'une restauration précédente : même nom, possédée par l'utilisateur
+        const ownedNames = new Set(current.filter(playlist => playlist.owner?.id === profile.id).map(playlist => playlist.name));
+
+        const savedUris = new Set();
+        for await (const page of this.webApiService.iterateSavedItems()) {
+            page.items.forEach(item => item?.track && savedUris.add(this.webApiService.getPlaylistItemUri(item.track)));
+            if (onProgress) onProgress(savedUris.size, page.total);
+        }
+
+        const playlists = archive.playlists
+            .filter(playlist => !currentIds.has(playlist.id))
+            .map(playlist => {
+                const ownedByArchiveUser = playlist.owner?.id === archive.profile?.id;
+                return {
+                    playlist,
+                    action: ownedByArchiveUser ? 'recreate' : 'follow',
+                    restorableTracks: playlist.tracks.filter(track => !track.isLocal).length
+                };
+            })
+            .filter(entry => !(entry.action === 'recreate' && ownedNames.has(entry.playlist.name)));
+
+        // Titres à liker de nouveau, du plus ancien au plus récent pour retrouver l'ordre d'origine
+        const likedTracks = archive.likedTracks
+            .filter(track => !track.isLocal && track.uri?.startsWith('spotify:track:') && !savedUris.has(track.uri))
+            .sort((a, b) => (a.addedAt || '').localeCompare(b.addedAt || ''));
+
+        return {
+            createdAt: archive.createdAt,
+            accountChanged: Boolean(archive.profile?.id) && archive.profile.id !== profile.id,
+            playlists,
+            likedTracks
+        };
+    }
+
+    // Appliquer le plan ; selection : { playlistIds: Set, liked: boolean }
+    // Retourne les playlists ajoutées au compte
+    async restore(plan, selection, onProgress = null) {
+        const restored = [];
+        const entries = plan.playlists.filter(entry => selection.playlistIds.has(entry.playlist.id));
+        let step = 0;
+        const total = entries.length + (selection.liked && plan.likedTracks.length > 0 ? 1 : 0);
+
+        for (const { playlist, action } of entries) {
+            restored.push(action === 'follow'
+                ? await this.followOrRecreate(playlist)
+                : await this.recreate(playlist));
+            if (onProgress) onProgress(++step, total);
+        }
+
+        if (selection.liked && plan.likedTracks.length > 0) {
+            await this.webApiService.setSavedTracks(plan.likedTracks.map(track => track.uri.split(':').pop()), true);
+            if (onProgress) onProgress(++step, total);
+        }
+
+        logger.info('LibraryArchive: Restauration terminée', { playlists: restored.length, likedTracks: selection.liked ? plan.likedTracks.length : 0 });
+        return restored;
+    }
+
+    async recreate(playlist) {
+        const uris = playlist.tracks.filter(track => !track.isLocal).map(track => track.uri);
+        const created = await this.webApiService.createPlaylist(playlist.name, playlist.description || '', playlist.public);
+        await this.webApiService.addTracksToPlaylist(created.id, uris);
+
+        return {
+            id: created.id,
+            name: created.name,
+            uri: created.uri,
+            image: null,
+            ownerId: created.owner?.id || null,
+            trackCount: uris.length
+        };
+    }
+
+    // Playlist d'un autre utilisateur : la suivre de nouveau, ou la recréer si elle n'existe plus
+    async followOrRecreate(playlist) {
+        try {
+            await this.webApiService.followPlaylist(playlist.id);
+            return {
+                id: playlist.id,
+                name: playlist.name,
+                uri: `spotify:playlist:${playlist.id}`,
+                image: null,
+                ownerId: playlist.owner?.id || null,
+                trackCount: playlist.tracks.length
+            };
+        } catch (error) {
+            logger.warn(`LibraryArchive: Playlist « ${playlist.name} » introuvable, recréée à partir de la sauvegarde`, error);
+            return this.recreate(playlist);
+        }
+    }
+
+    // === INTERFACE ===
+
+    renderPlan(plan) {
+        const actionLabels = { recreate: 'Recréer', follow: 'Suivre de nouveau' };
+        const escape = text => String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+
+        if (plan.playlists.length === 0 && plan.likedTracks.length === 0) {
+            return '<p class="backup-empty">✅ Rien à restaurer : le compte contient déjà tout le contenu de la sauvegarde.</p>';
+        }
+
+        return `
+            ${plan.accountChanged ? '<p class="backup-warning">⚠️ Cette sauvegarde provient d\'un autre compte Spotify.</p>' : ''}
+            ${plan.likedTracks.length > 0 ? `
+                <label class="backup-entry">
+                    <input type="checkbox" data-liked checked>
+                    <span class="backup-entry-name">❤️ Liker de nouveau ${plan.likedTracks.length} titre(s)</span>
+                </label>
+            ` : ''}
+            ${plan.playlists.map(({ playlist, action, restorableTracks }) => `
+                <label class="backup-entry">
+                    <input type="checkbox" data-playlist-id="${escape(playlist.id)}" checked>
+                    <span class="backup-entry-name">${escape(playlist.name)}</span>
+                    <span class="backup-entry-meta">${actionLabels[action]} · ${restorableTracks} titres</span>
+                </label>
+            `).join('')}
+        `;
+    }
+
+    // onRestored(playlists) : playlists ajoutées au compte
+    openDialog(onRestored = null) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container backup-container" onclick="event.stopPropagation()">
+                    <div class="modal-content library-backup">
+                        <h2>💾 Sauvegarde de la bibliothèque</h2>
+                        <p class="backup-hint">Profil, playlists avec toutes leurs pistes et titres likés avec leur date d'ajout, dans un seul fichier JSON.</p>
+                        <div class="backup-actions">
+                            <button class="btn btn-primary backup-start">Créer une sauvegarde</button>
+                            <label class="btn btn-secondary backup-restore-label">
+                                Restaurer une sauvegarde...
+                                <input type="file" accept=".json,application/json" class="backup-file" hidden>
+                            </label>
+                        </div>
+                        <p class="backup-status"></p>
+                        <div class="backup-plan"></div>
+                        <div class="backup-actions">
+                            <button class="btn btn-primary backup-apply" style="display: none;">Restaurer la sélection</button>
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">Fermer</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('.backup-status');
+        const planContainer = modal.querySelector('.backup-plan');
+        const startBtn = modal.querySelector('.backup-start');
+        const fileInput = modal.querySelector('.backup-file');
+        const applyBtn = modal.querySelector('.backup-apply');
+
+        let plan = null;
+
+        startBtn.addEventListener('click', async () => {
+            // Boîte d'enregistrement ouverte avant tout appel réseau (geste utilisateur requis)
+            const writer = await playlistExport.openWriter(this.getFileName(), 'json');
+            if (!writer) return;
+
+            startBtn.disabled = true;
+            try {
+                const summary = await this.backup(writer, (step, done, total) => {
+                    status.textContent = step === 'liked'
+                        ? `Titres likés... ${done}/${total || '?'}`
+                        : `Playlists... ${done}/${total}`;
+                });
+                status.textContent = `✅ Sauvegarde créée : ${summary.playlists} playlists (${summary.playlistTracks} pistes), ${summary.likedTracks} titres likés.`;
+            } catch (error) {
+                console.error('Erreur sauvegarde bibliothèque:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                startBtn.disabled = false;
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            applyBtn.style.display = 'none';
+            planContainer.innerHTML = '';
+
+            try {
+                const archive = this.parseArchive(await file.text());
+                status.textContent = 'Comparaison avec le compte actuel...';
+                plan = await this.planRestore(archive, (done, total) => {
+                    status.textContent = `Comparaison avec le compte actuel... ${done}/${total || '?'} titres likés`;
+                });
+
+                const date = archive.createdAt ? new Date(archive.createdAt).toLocaleString() : 'date inconnue';
+                status.textContent = `Aperçu (rien n'a encore été modifié) — sauvegarde du ${date} :`;
+                planContainer.innerHTML = this.renderPlan(plan);
+                applyBtn.style.display = plan.playlists.length > 0 || plan.likedTracks.length > 0 ? '' : 'none';
+            } catch (error) {
+                console.error('Erreur lecture sauvegarde:', error);
+                status.textContent = `Erreur : ${error.message}`;
+                plan = null;
+            }
+        });
+
+        applyBtn.addEventListener('click', async () => {
+            if (!plan) return;
+
+            const selection = {
+                playlistIds: new Set([...planContainer.querySelectorAll('input[data-playlist-id]:checked')].map(input => input.dataset.playlistId)),
+                liked: Boolean(planContainer.querySelector('input[data-liked]:checked'))
+            };
+            if (selection.playlistIds.size === 0 && !selection.liked) return;
+
+            applyBtn.disabled = true;
+            try {
+                const restored = await this.restore(plan, selection, (done, total) => {
+                    status.textContent = `Restauration... ${done}/${total}`;
+                });
+                status.textContent = `✅ Restauration terminée : ${restored.length} playlist(s)${selection.liked ? `, ${plan.likedTracks.length} titre(s) likés de nouveau` : ''}.`;
+                planContainer.innerHTML = '';
+                applyBtn.style.display = 'none';
+                plan = null;
+                if (onRestored && restored.length > 0) onRestored(restored);
+            } catch (error) {
+                console.error('Erreur restauration:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                applyBtn.disabled = false;
+            }
+        });
+    }
+}
+
+LibraryArchive.format = 'melodyx-backup';
+LibraryArchive.version = 1;
+
+// Instance globale
+const libraryArchive = new LibraryArchive();
+
+// Make available globally
+window.libraryArchive = libraryArchive;
+window.LibraryArchive = LibraryArchive;
@@ -0,0 +1,202 @@
+// Fournisseur de paroles : fichiers .lrc locaux - Melodyx
+// Les fichiers déposés sur le panneau ou importés depuis un dossier sont conservés dans IndexedDB
+// et retrouvés par ISRC, sinon par artiste et titre
+
+class LocalLrcProvider {
+    constructor() {
+        this.storeName = 'lyrics';
+        this.label = 'Fichier .lrc local';
+        this.isrcPattern = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/i;
+        this.lastMatch = null; // { uri, id } : fichier trouvé pour la piste affichée
+    }
+
+    // === RECHERCHE ===
+
+    async getLyrics(track) {
+        const record = await this.findRecord(track);
+        this.lastMatch = record ? { uri: track.uri, id: record.id } : null;
+        return record ? { lrc: record.lrc } : null;
+    }
+
+    // Par ISRC, puis artiste principal + titre, puis titre seul
+    async findRecord(track) {
+        if (track.isrc) {
+            const [record] = await melodyxDB.getAllFromIndex(this.storeName, 'isrc', track.isrc.toUpperCase());
+            if (record) return record;
+        }
+
+        const keys = [lyricsPanel.getTitleKey(track.name, track.artists[0]), lyricsPanel.getTitleKey(track.name)];
+        for (const key of keys) {
+            const [record] = await melodyxDB.getAllFromIndex(this.storeName, 'titleKey', key);
+            if (record) return record;
+        }
+
+        return null;
+    }
+
+    // === IMPORT ===
+
+    readFile(file) {
+        return typeof file.text === 'function' ? file.text() : new Response(file).text();
+    }
+
+    isLyricsFile(file) {
+        return /\.(lrc|txt)$/i.test(file.name);
+    }
+
+    // Identifier un fichier d'un dossier : balises [ti:]/[ar:], sinon nom « ISRC.lrc » ou « Artiste - Titre.lrc »
+    identify(fileName, lrc) {
+        const { metadata } = lyricsPanel.parseLRC(lrc);
+        const baseName = fileName.replace(/\.[^.]+$/, '').trim();
+        const identity = { isrc: null, title: metadata.ti || '', artist: metadata.ar || '' };
+
+        if (this.isrcPattern.test(baseName)) {
+            identity.isrc = baseName.toUpperCase();
+        } else if (!identity.title) {
+            const separator = baseName.indexOf(' - ');
+            if (separator > 0) {
+                identity.artist = identity.artist || baseName.slice(0, separator);
+                identity.title = baseName.slice(separator + 3);
+            } else {
+                identity.title = baseName;
+            }
+        }
+
+        return identity;
+    }
+
+    async save({ fileName, lrc, isrc = null, title = '', artist = '' }) {
+        const titleKey = title ? lyricsPanel.getTitleKey(title, artist) : null;
+        if (!isrc && !titleKey) return null;
+
+        const record = {
+            id: isrc ? `isrc:${isrc.toUpperCase()}` : `title:${titleKey}`,
+            isrc: isrc ? isrc.toUpperCase() : null,
+            titleKey,
+            title,
+            artist,
+            fileName,
+            lrc,
+            importedAt: Date.now()
+        };
+
+        await melodyxDB.put(this.storeName, record);
+        return record;
+    }
+
+    // Associer un fichier à la piste en cours (ISRC et titre), quel que soit son nom
+    async associate(file, track) {
+        return this.save({
+            fileName: file.name,
+            lrc: await this.readFile(file),
+            isrc: track.isrc,
+            title: track.name,
+            artist: track.artists[0] || ''
+        });
+    }
+
+    // Importer un dossier : chaque fichier est rattaché par son nom ou ses balises ; retourne le nombre importé
+    async importFolder(files) {
+        let imported = 0;
+
+        for (const file of files.filter(candidate => this.isLyricsFile(candidate))) {
+            const lrc = await this.readFile(file);
+            if (await this.save({ fileName: file.name, lrc, ...this.identify(file.name, lrc) })) {
+                imported++;
+            }
+        }
+
+        logger.info(`LocalLrcProvider: ${imported} fichiers de paroles importés`);
+        return imported;
+    }
+
+    // Dépôt sur le panneau : un seul fichier est associé à la piste en cours, plusieurs sont importés comme un dossier
+    async handleDrop(files, track) {
+        const lyricsFiles = files.filter(file => this.isLyricsFile(file));
+        if (lyricsFiles.length === 0) {
+            throw new Error('Déposez un fichier .lrc');
+        }
+
+        if (lyricsFiles.length === 1 && track) {
+            await this.associate(lyricsFiles[0], track);
+            return 1;
+        }
+
+        return this.importFolder(lyricsFiles);
+    }
+
+    async remove(id) {
+        await melodyxDB.delete(this.storeName, id);
+        this.lastMatch = null;
+    }
+
+    // === INTERFACE ===
+
+    // Sélecteur de fichiers (ou de dossier) ; résout avec une liste vide si annulé
+    pickFiles({ directory = false } = {}) {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.lrc,.txt';
+            if (directory) {
+                input.webkitdirectory = true;
+            }
+            input.addEventListener('change', () => resolve([...input.files]));
+            input.addEventListener('cancel', () => resolve([]));
+            input.click();
+        });
+    }
+
+    getActions(track) {
+        const actions = [];
+
+        if (track) {
+            actions.push({
+                label: '📄 Associer un .lrc',
+                title: 'Utiliser un fichier .lrc pour ce titre',
+                run: async () => {
+                    const [file] = await this.pickFiles();
+                    if (!file) return false;
+                    await this.associate(file, track);
+                    return true;
+                }
+            });
+        }
+
+        actions.push({
+            label: '📁 Importer un dossier',
+            title: 'Fichiers nommés « ISRC.lrc » ou « Artiste - Titre.lrc »',
+            run: async () => {
+                const files = await this.pickFiles({ directory: true });
+                if (files.length === 0) return false;
+                const imported = await this.importFolder(files);
+                alert(`${imported} fichier(s) de paroles importé(s)`);
+                return true;
+            }
+        });
+
+        if (track && this.lastMatch && this.lastMatch.uri === track.uri) {
+            const { id } = this.lastMatch;
+            actions.push({
+                label: '🗑️ Oublier ce fichier',
+                title: 'Retirer les paroles importées pour ce titre',
+                run: async () => {
+                    if (!confirm('Retirer ce fichier de paroles ?')) return false;
+                    await this.remove(id);
+                    return true;
+                }
+            });
+        }
+
+        return actions;
+    }
+}
+
+// Instance globale
+const localLrcProvider = new LocalLrcProvider();
+
+lyricsPanel.registerProvider('local-lrc', localLrcProvider);
+
+// Make available globally
+window.localLrcProvider = localLrcProvider;
+window.LocalLrcProvider = LocalLrcProvider;
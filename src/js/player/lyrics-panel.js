@@ -0,0 +1,403 @@
+// Paroles synchronisées - Melodyx
+// Panneau de paroles du lecteur : les paroles viennent de fournisseurs interchangeables (fichiers .lrc locaux...)
+// et la ligne chantée suit la position de lecture (updateProgress), un clic sur une ligne y déplace la lecture
+
+class LyricsPanel {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par le lecteur
+        this.providers = [];
+        this.visibilityStorageKey = 'melodyx-lyrics-visible';
+
+        this.container = null;
+        this.visible = localStorage.getItem(this.visibilityStorageKey) === 'true';
+        this.seekCallback = null;
+
+        // Piste affichée et paroles chargées : { lines: [{ timeMs, text }], synced, source }
+        this.track = null;
+        this.resolvedTrack = null;
+        this.lyrics = null;
+        this.loadToken = 0;
+
+        this.activeIndex = -1;
+        this.actions = [];
+        this.lastPosition = null; // Dernière position reçue, pour placer les paroles dès leur affichage
+        this.nextLineTimeout = null;
+        this.manualScrollUntil = 0; // L'utilisateur fait défiler : pas de défilement automatique
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // Enregistrer un fournisseur de paroles (consultés dans l'ordre d'enregistrement)
+    // provider: { label, getLyrics(track) -> Promise<{ lrc } | { lines, synced } | null>,
+    //             handleDrop(files, track) optionnel, getActions(track) -> [{ label, title, run }] optionnel }
+    // track: { id, uri, name, artists: [noms], album, durationMs, isrc }
+    registerProvider(name, provider) {
+        if (!provider || typeof provider.getLyrics !== 'function') {
+            throw new Error(`Fournisseur de paroles invalide: ${name}`);
+        }
+        this.providers.push({ name, provider });
+    }
+
+    // Déplacer la lecture à une position (ms) : branché sur SpotifyPlayer.seek
+    onSeek(callback) {
+        this.seekCallback = callback;
+    }
+
+    // === FORMAT LRC ===
+
+    // [mm:ss.xx] texte ; plusieurs horodatages par ligne, balises [ti:], [ar:], [offset:] et horodatages
+    // par mot (<mm:ss.xx>) de l'ELRC ignorés
+    parseLRC(text) {
+        const metadata = {};
+        const lines = [];
+        const plain = [];
+        const timestampPattern = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+
+        String(text || '').replace(/^\ufeff/, '').split(/\r?\n/).forEach(rawLine => {
+            const tag = rawLine.match(/^\[([a-z]+):(.*)\]\s*$/i);
+            if (tag) {
+                metadata[tag[1].toLowerCase()] = tag[2].trim();
+                return;
+            }
+
+            const times = [...rawLine.matchAll(timestampPattern)];
+            const lyric = rawLine.replace(timestampPattern, '').replace(/<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+
+            if (times.length === 0) {
+                if (lyric) plain.push(lyric);
+                return;
+            }
+
+            times.forEach(([, minutes, seconds, fraction = '0']) => {
+                const fractionMs = parseInt(fraction.padEnd(3, '0').slice(0, 3));
+                lines.push({ timeMs: (parseInt(minutes) * 60 + parseInt(seconds)) * 1000 + fractionMs, text: lyric });
+            });
+        });
+
+        // [offset:+500] : les paroles apparaissent 500 ms plus tôt
+        const offset = parseInt(metadata.offset) || 0;
+
+        if (lines.length === 0) {
+            return { lines: plain.map(lyric => ({ timeMs: null, text: lyric })), synced: false, metadata };
+        }
+
+        return {
+            lines: lines
+                .map(line => ({ ...line, timeMs: Math.max(0, line.timeMs - offset) }))
+                .sort((a, b) => a.timeMs - b.timeMs),
+            synced: true,
+            metadata
+        };
+    }
+
+    // === PISTE EN COURS ===
+
+    normalize(text) {
+        return String(text ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s*[([].*?[)\]]\s*/g, ' ') // (feat. ...), [Remastered]
+            .replace(/\s+-\s+(remaster|live|version|edit|mono|stereo).*$/, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Clé de correspondance par titre (et artiste principal si connu)
+    getTitleKey(title, artist = '') {
+        const normalizedTitle = this.normalize(title);
+        return artist ? `${this.normalize(artist)} - ${normalizedTitle}` : normalizedTitle;
+    }
+
+    // Les pistes du SDK n'ont pas d'ISRC : compléter depuis l'API Web si nécessaire
+    async resolveTrack(track) {
+        let isrc = track.external_ids?.isrc || null;
+
+        if (!isrc && track.id && this.webApiService) {
+            try {
+                const [fullTrack] = await this.webApiService.getTracks([track.id]);
+                isrc = fullTrack?.external_ids?.isrc || null;
+            } catch (error) {
+                logger.debug('LyricsPanel: ISRC indisponible', error);
+            }
+        }
+
+        return {
+            id: track.id,
+            uri: track.uri,
+            name: track.name,
+            artists: (track.artists || []).map(artist => artist.name),
+            album: track.album?.name || '',
+            durationMs: track.duration_ms || 0,
+            isrc
+        };
+    }
+
+    // Appelé à chaque mise à jour de la piste (SDK et API) ; les paroles ne sont cherchées que panneau ouvert
+    setTrack(track) {
+        if (!track || !track.uri) return;
+
+        if (this.track && this.track.uri === track.uri) {
+            // Même piste : garder la version la plus complète (ISRC fourni par l'API)
+            if (!this.track.external_ids && track.external_ids) this.track = track;
+            return;
+        }
+
+        this.track = track;
+        this.resolvedTrack = null;
+        this.lyrics = null;
+        this.activeIndex = -1;
+        this.lastPosition = null;
+        clearTimeout(this.nextLineTimeout);
+
+        if (this.visible) {
+            this.load();
+        }
+    }
+
+    async load() {
+        if (!this.track) {
+            this.renderStatus('Aucune piste en lecture');
+            return;
+        }
+
+        const token = ++this.loadToken;
+        this.renderStatus('Recherche des paroles...');
+
+        let resolvedTrack = this.resolvedTrack;
+        if (!resolvedTrack) {
+            resolvedTrack = await this.resolveTrack(this.track);
+            // Piste changée pendant la résolution : ne pas attribuer ces infos à la nouvelle piste
+            if (token !== this.loadToken) return;
+            this.resolvedTrack = resolvedTrack;
+        }
+
+        let lyrics = null;
+        for (const { name, provider } of this.providers) {
+            try {
+                const result = await provider.getLyrics(resolvedTrack);
+                if (result) {
+                    lyrics = { ...(result.lrc !== undefined ? this.parseLRC(result.lrc) : result), source: provider.label };
+                    break;
+                }
+            } catch (error) {
+                logger.warn(`LyricsPanel: Fournisseur ${name} en erreur`, error);
+            }
+        }
+
+        // Piste changée pendant la recherche
+        if (token !== this.loadToken) return;
+
+        this.lyrics = lyrics && lyrics.lines.length > 0 ? lyrics : null;
+        this.activeIndex = -1;
+        this.render();
+    }
+
+    // === SYNCHRONISATION ===
+
+    // Appelé par updateProgress (toutes les secondes et après un seek)
+    update(positionMs, isPlaying) {
+        this.lastPosition = { positionMs, isPlaying, at: Date.now() };
+        if (!this.visible || !this.lyrics || !this.lyrics.synced) return;
+
+        this.highlight(positionMs);
+
+        // Le suivi de progression avance par seconde : programmer la ligne suivante à l'heure exacte
+        clearTimeout(this.nextLineTimeout);
+        const next = this.lyrics.lines[this.activeIndex + 1];
+        if (isPlaying && next) {
+            const delay = next.timeMs - positionMs;
+            if (delay > 0 && delay < 1000) {
+                this.nextLineTimeout = setTimeout(() => this.highlight(next.timeMs), delay);
+            }
+        }
+    }
+
+    // Dernière ligne commencée à la position donnée
+    findLineIndex(positionMs) {
+        const lines = this.lyrics.lines;
+        let low = 0;
+        let high = lines.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (lines[middle].timeMs <= positionMs) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found;
+    }
+
+    highlight(positionMs) {
+        const index = this.findLineIndex(positionMs);
+        if (index === this.activeIndex || !this.container) return;
+        this.activeIndex = index;
+
+        const lineElements = this.container.querySelectorAll('.lyrics-line');
+        lineElements.forEach((element, i) => {
+            element.classList.toggle('active', i === index);
+            element.classList.toggle('past', i < index);
+        });
+
+        if (index >= 0 && Date.now() > this.manualScrollUntil) {
+            const active = lineElements[index];
+            const scroller = this.container.querySelector('.lyrics-lines');
+            scroller.scrollTo({
+                top: active.offsetTop - scroller.clientHeight / 2 + active.clientHeight / 2,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    // === INTERFACE ===
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    attach(container) {
+        if (!container) return;
+        this.container = container;
+
+        // Glisser-déposer d'un fichier de paroles sur le panneau
+        container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            container.classList.add('dragover');
+        });
+        container.addEventListener('dragleave', () => container.classList.remove('dragover'));
+        container.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            container.classList.remove('dragover');
+            await this.handleFiles([...e.dataTransfer.files]);
+        });
+
+        this.setVisible(this.visible);
+    }
+
+    async handleFiles(files) {
+        const provider = this.providers.map(entry => entry.provider).find(candidate => candidate.handleDrop);
+        if (!provider || files.length === 0) return;
+
+        try {
+            if (!this.resolvedTrack && this.track) {
+                this.resolvedTrack = await this.resolveTrack(this.track);
+            }
+            const imported = await provider.handleDrop(files, this.resolvedTrack);
+            logger.info('LyricsPanel: Paroles importées', { imported });
+        } catch (error) {
+            logger.error('LyricsPanel: Import de paroles impossible', error);
+            this.renderStatus(`Import impossible : ${error.message}`);
+            return;
+        }
+
+        this.load();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        localStorage.setItem(this.visibilityStorageKey, String(visible));
+        if (!this.container) return;
+
+        this.container.style.display = visible ? '' : 'none';
+        if (visible && !this.lyrics) {
+            this.load();
+        }
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+        return this.visible;
+    }
+
+    // Actions proposées par les fournisseurs (import, association...) pour la piste affichée
+    renderActions() {
+        this.actions = this.providers.flatMap(({ provider }) => provider.getActions ? provider.getActions(this.resolvedTrack) : []);
+        return this.actions.map((action, index) => `
+            <button class="queue-snapshot-btn" data-lyrics-action="${index}" title="${this.escapeHTML(action.title || '')}" type="button">${action.label}</button>
+        `).join('');
+    }
+
+    attachActions() {
+        const actions = this.actions;
+        this.container.querySelectorAll('[data-lyrics-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = actions[button.dataset.lyricsAction];
+                try {
+                    if (await action.run(this.resolvedTrack)) this.load();
+                } catch (error) {
+                    logger.error('LyricsPanel: Action impossible', error);
+                    this.renderStatus(`Erreur : ${error.message}`);
+                }
+            });
+        });
+    }
+
+    renderStatus(message) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="lyrics-lines lyrics-empty">
+                <p>${this.escapeHTML(message)}</p>
+            </div>
+            <div class="lyrics-footer">${this.renderActions()}</div>
+        `;
+        this.attachActions();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        if (!this.lyrics) {
+            this.renderStatus('Pas de paroles pour ce titre. Déposez un fichier .lrc ici pour les ajouter.');
+            return;
+        }
+
+        const { lines, synced, source } = this.lyrics;
+
+        this.container.innerHTML = `
+            <div class="lyrics-lines ${synced ? 'synced' : ''}">
+                ${lines.map(line => `
+                    <p class="lyrics-line" ${synced ? `data-time="${line.timeMs}" title="Aller à ce passage"` : ''}>${this.escapeHTML(line.text) || '♪'}</p>
+                `).join('')}
+            </div>
+            <div class="lyrics-footer">
+                <span class="lyrics-source">${this.escapeHTML(source)}${synced ? '' : ' · non synchronisées'}</span>
+                ${this.renderActions()}
+            </div>
+        `;
+
+        const scroller = this.container.querySelector('.lyrics-lines');
+        ['wheel', 'touchmove'].forEach(eventName => {
+            scroller.addEventListener(eventName, () => {
+                this.manualScrollUntil = Date.now() + 4000;
+            }, { passive: true });
+        });
+
+        if (synced) {
+            scroller.addEventListener('click', (e) => {
+                const line = e.target.closest('.lyrics-line');
+                if (!line || !this.seekCallback) return;
+                this.manualScrollUntil = 0;
+                this.seekCallback(parseInt(line.dataset.time));
+            });
+        }
+
+        this.attachActions();
+
+        if (synced && this.lastPosition) {
+            const { positionMs, isPlaying, at } = this.lastPosition;
+            this.update(positionMs + (isPlaying ? Date.now() - at : 0), isPlaying);
+        }
+    }
+}
+
+// Instance globale
+const lyricsPanel = new LyricsPanel();
+
+// Make available globally
+window.lyricsPanel = lyricsPanel;
+window.LyricsPanel = LyricsPanel;
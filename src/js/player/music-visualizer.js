@@ -0,0 +1,481 @@
+// Visualiseur musical - Melodyx
+// Animation canvas pilotée par l'analyse de la piste (temps, mesures, sections, segments) et synchronisée
+// sur la position de lecture ; l'analyse vient de sources interchangeables (API Spotify, fichier JSON local)
+
+class MusicVisualizer {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par le lecteur
+        this.sources = [];
+        this.visibilityStorageKey = 'melodyx-visualizer-visible';
+        this.presetStorageKey = 'melodyx-visualizer-preset';
+
+        this.presets = {
+            bars: { label: 'Barres', draw: (ctx, frame) => this.drawBars(ctx, frame) },
+            radial: { label: 'Radial', draw: (ctx, frame) => this.drawRadial(ctx, frame) },
+            particles: { label: 'Particules', draw: (ctx, frame) => this.drawParticles(ctx, frame) }
+        };
+        this.preset = this.presets[localStorage.getItem(this.presetStorageKey)] ? localStorage.getItem(this.presetStorageKey) : 'bars';
+
+        this.container = null;
+        this.canvas = null;
+        this.visible = localStorage.getItem(this.visibilityStorageKey) === 'true';
+        this.animationFrame = null;
+
+        // Piste et analyse normalisée : { tempo, beats, bars, sections, segments, source }
+        this.track = null;
+        this.analysis = null;
+        this.status = '';
+        this.loadToken = 0;
+
+        // Position reçue du lecteur, extrapolée entre deux mises à jour
+        this.position = { positionMs: 0, isPlaying: false, at: 0 };
+
+        // État de l'animation
+        this.levels = new Array(12).fill(0);
+        this.hue = 140;
+        this.lastBeatIndex = -1;
+        this.lastFrameAt = 0;
+        this.particles = [];
+        this.maxParticles = 400;
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // Enregistrer une source d'analyse (consultées dans l'ordre d'enregistrement)
+    // source: { label, getAnalysis(track) -> Promise<analyse au format Spotify | null>,
+    //           handleDrop(files, track) optionnel, getActions(track) -> [{ label, title, run }] optionnel }
+    registerSource(name, source) {
+        if (!source || typeof source.getAnalysis !== 'function') {
+            throw new Error(`Source d'analyse invalide: ${name}`);
+        }
+        this.sources.push({ name, source });
+    }
+
+    // === ANALYSE ===
+
+    // Format de l'endpoint audio-analysis de Spotify (secondes) ; les temps peuvent aussi être de simples nombres
+    normalizeAnalysis(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('Analyse illisible');
+        }
+
+        const toIntervals = (list, fallbackDuration, extra = () => ({})) => (Array.isArray(list) ? list : [])
+            .map(item => (typeof item === 'number' ? { start: item } : item))
+            .filter(item => item && Number.isFinite(item.start))
+            .sort((a, b) => a.start - b.start)
+            .map((item, index, sorted) => ({
+                start: item.start,
+                duration: item.duration ?? ((sorted[index + 1]?.start ?? item.start + fallbackDuration) - item.start),
+                confidence: item.confidence ?? 1,
+                ...extra(item)
+            }));
+
+        const beatStarts = (raw.beats || []).map(beat => (typeof beat === 'number' ? beat : beat?.start));
+        const tempo = raw.track?.tempo || raw.tempo ||
+            (beatStarts.length > 1 ? 60 * (beatStarts.length - 1) / (beatStarts[beatStarts.length - 1] - beatStarts[0]) : 120);
+
+        const beats = toIntervals(raw.beats, 60 / tempo);
+        if (beats.length === 0) {
+            throw new Error('Analyse sans temps (beats)');
+        }
+
+        // Sans mesures fournies : une mesure tous les 4 temps
+        const bars = raw.bars ? toIntervals(raw.bars, 240 / tempo) : toIntervals(beats.filter((beat, index) => index % 4 === 0).map(beat => beat.start), 240 / tempo);
+
+        const sections = toIntervals(raw.sections, 30, section => ({
+            key: Number.isInteger(section.key) ? section.key : -1,
+            loudness: section.loudness ?? -10
+        }));
+
+        const segments = toIntervals(raw.segments, 0.25, segment => ({
+            loudness: segment.loudness_max ?? segment.loudness ?? -10,
+            pitches: Array.isArray(segment.pitches) && segment.pitches.length === 12 ? segment.pitches : null
+        }));
+
+        return { tempo, beats, bars, sections, segments };
+    }
+
+    // Intervalle en cours à un instant donné (recherche dichotomique)
+    findIndex(intervals, seconds) {
+        let low = 0;
+        let high = intervals.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (intervals[middle].start <= seconds) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found;
+    }
+
+    // État musical à un instant : pulsation du temps et de la mesure, volume, hauteurs, teinte de la section
+    getFrame(seconds) {
+        const analysis = this.analysis;
+        if (!analysis) {
+            return { beatIndex: -1, beatPulse: 0, barIndex: -1, barPhase: 0, loudness: 0.15, pitches: null, sectionHue: this.hue };
+        }
+
+        const phaseOf = (interval) => Math.min(Math.max((seconds - interval.start) / (interval.duration || 1), 0), 1);
+
+        const beatIndex = this.findIndex(analysis.beats, seconds);
+        const beat = analysis.beats[beatIndex];
+        const beatPulse = beat && seconds < beat.start + beat.duration ? Math.pow(1 - phaseOf(beat), 2) * (0.4 + 0.6 * beat.confidence) : 0;
+
+        const barIndex = this.findIndex(analysis.bars, seconds);
+        const bar = analysis.bars[barIndex];
+
+        const segment = analysis.segments[this.findIndex(analysis.segments, seconds)];
+        const loudness = segment ? Math.pow(Math.min(Math.max((segment.loudness + 60) / 60, 0), 1), 1.5) : 0.5;
+
+        // Teinte : tonalité de la section (cercle chromatique), sinon numéro de section
+        const sectionIndex = this.findIndex(analysis.sections, seconds);
+        const section = analysis.sections[sectionIndex];
+        const sectionHue = section ? ((section.key >= 0 ? section.key * 30 : sectionIndex * 47) + 140) % 360 : 140;
+
+        return {
+            beatIndex,
+            beatPulse,
+            barIndex,
+            barPhase: bar ? phaseOf(bar) : 0,
+            loudness,
+            pitches: segment?.pitches || null,
+            sectionHue
+        };
+    }
+
+    // === PISTE EN COURS ===
+
+    // Appelé à chaque mise à jour de la piste (SDK et API) ; l'analyse n'est chargée que visualiseur ouvert
+    setTrack(track) {
+        if (!track || !track.uri || (this.track && this.track.uri === track.uri)) return;
+
+        this.track = track;
+        this.analysis = null;
+        this.lastBeatIndex = -1;
+
+        if (this.visible) {
+            this.load();
+        }
+    }
+
+    async load() {
+        if (!this.track) {
+            this.setStatus('Aucune piste en lecture');
+            return;
+        }
+
+        const token = ++this.loadToken;
+        const track = this.track;
+        this.setStatus('Analyse de la piste...');
+
+        let analysis = null;
+        let status = 'Pas d\'analyse pour ce titre : déposez un fichier JSON d\'analyse ici';
+
+        for (const { name, source } of this.sources) {
+            try {
+                const raw = await source.getAnalysis(track);
+                if (raw) {
+                    analysis = { ...this.normalizeAnalysis(raw), source: source.label };
+                    break;
+                }
+            } catch (error) {
+                logger.warn(`MusicVisualizer: Source ${name} en erreur`, error);
+                status = `Analyse indisponible (${error.message})`;
+            }
+        }
+
+        // Piste changée pendant le chargement
+        if (token !== this.loadToken) return;
+
+        this.analysis = analysis;
+        this.setStatus(analysis ? `${analysis.source} · ${Math.round(analysis.tempo)} BPM` : status);
+    }
+
+    // Appelé par updateProgress (toutes les secondes et après un seek)
+    update(positionMs, isPlaying) {
+        this.position = { positionMs, isPlaying, at: performance.now() };
+    }
+
+    getPositionSeconds(now) {
+        const { positionMs, isPlaying, at } = this.position;
+        const durationMs = this.track?.duration_ms || Infinity;
+        return Math.min(positionMs + (isPlaying ? now - at : 0), durationMs) / 1000;
+    }
+
+    // === ANIMATION ===
+
+    start() {
+        if (this.animationFrame || !this.canvas) return;
+        this.lastFrameAt = performance.now();
+
+        const loop = (now) => {
+            this.renderFrame(now);
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        this.animationFrame = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+    }
+
+    // Adapter la résolution du canvas à sa taille affichée
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    renderFrame(now) {
+        const ctx = this.canvas.getContext('2d');
+        const frame = this.getFrame(this.getPositionSeconds(now));
+
+        // Temps écoulé depuis l'image précédente (borné : onglet en arrière-plan)
+        frame.dt = Math.min((now - this.lastFrameAt) / 1000, 0.1);
+        frame.isPlaying = this.position.isPlaying;
+        this.lastFrameAt = now;
+
+        // Nouveau temps : signal pour les presets (éclats de particules)
+        frame.newBeat = frame.isPlaying && frame.beatIndex !== this.lastBeatIndex && frame.beatIndex >= 0;
+        this.lastBeatIndex = frame.beatIndex;
+
+        // Transitions douces de couleur et de niveaux
+        const hueDelta = ((frame.sectionHue - this.hue + 540) % 360) - 180;
+        this.hue = (this.hue + hueDelta * Math.min(frame.dt * 2, 1) + 360) % 360;
+        frame.hue = this.hue;
+
+        this.levels = this.levels.map((level, index) => {
+            const pitch = frame.pitches ? frame.pitches[index] : 0.5;
+            const target = frame.isPlaying ? pitch * frame.loudness * (0.6 + 0.4 * frame.beatPulse) : 0.05;
+            return level + (target - level) * Math.min(frame.dt * 12, 1);
+        });
+        frame.levels = this.levels;
+
+        this.resizeCanvas();
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.presets[this.preset].draw(ctx, frame);
+    }
+
+    // Barres : 12 classes de hauteur en miroir, gonflées par le volume et le temps
+    drawBars(ctx, frame) {
+        const { width, height } = ctx.canvas;
+        const count = frame.levels.length * 2;
+        const gap = width * 0.01;
+        const barWidth = (width - gap * (count + 1)) / count;
+        const mirrored = [...frame.levels.slice().reverse(), ...frame.levels];
+
+        mirrored.forEach((level, index) => {
+            const barHeight = Math.max(level * height * 0.9, height * 0.02);
+            const x = gap + index * (barWidth + gap);
+            const gradient = ctx.createLinearGradient(0, height, 0, height - barHeight);
+            gradient.addColorStop(0, `hsla(${frame.hue}, 70%, 45%, 0.9)`);
+            gradient.addColorStop(1, `hsla(${(frame.hue + 40) % 360}, 80%, ${60 + frame.beatPulse * 20}%, 0.9)`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x, height - barHeight, barWidth, barHeight);
+        });
+    }
+
+    // Radial : rayons des hauteurs autour d'un cercle qui bat la mesure et tourne à chaque mesure
+    drawRadial(ctx, frame) {
+        const { width, height } = ctx.canvas;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const size = Math.min(width, height) / 2;
+        const radius = size * (0.3 + 0.08 * frame.beatPulse);
+        const rotation = ((frame.barIndex < 0 ? 0 : frame.barIndex) + frame.barPhase) * Math.PI / 8;
+        const spokes = frame.levels.length * 3;
+
+        ctx.lineCap = 'round';
+        ctx.lineWidth = Math.max(size * 0.04, 2);
+
+        for (let i = 0; i < spokes; i++) {
+            const level = frame.levels[i % frame.levels.length];
+            const angle = rotation + (i / spokes) * Math.PI * 2;
+            const length = radius + level * size * 0.6;
+
+            ctx.strokeStyle = `hsla(${(frame.hue + i * 4) % 360}, 75%, 60%, ${0.4 + level * 0.6})`;
+            ctx.beginPath();
+            ctx.moveTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+            ctx.lineTo(centerX + Math.cos(angle) * length, centerY + Math.sin(angle) * length);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = `hsla(${frame.hue}, 70%, 50%, ${0.25 + frame.beatPulse * 0.5})`;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * 0.85, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Particules : un éclat à chaque temps, proportionnel au volume, plus dense en début de mesure
+    drawParticles(ctx, frame) {
+        const { width, height } = ctx.canvas;
+        const scale = Math.min(width, height);
+
+        if (frame.newBeat) {
+            const burst = Math.round((6 + 24 * frame.loudness) * (frame.barPhase < 0.2 ? 2 : 1));
+            for (let i = 0; i < burst && this.particles.length < this.maxParticles; i++) {
+                const angle = Math.random() * Math.PI * 2;
+                const speed = scale * (0.15 + Math.random() * 0.5 * (0.5 + frame.loudness));
+                this.particles.push({
+                    x: width / 2,
+                    y: height / 2,
+                    vx: Math.cos(angle) * speed,
+                    vy: Math.sin(angle) * speed,
+                    life: 1,
+                    size: scale * (0.005 + Math.random() * 0.015),
+                    hue: (frame.hue + Math.random() * 60 - 30 + 360) % 360
+                });
+            }
+        }
+
+        this.particles = this.particles.filter(particle => {
+            particle.x += particle.vx * frame.dt;
+            particle.y += particle.vy * frame.dt;
+            particle.vx *= 1 - frame.dt * 1.5;
+            particle.vy *= 1 - frame.dt * 1.5;
+            particle.life -= frame.dt * 0.6;
+            return particle.life > 0;
+        });
+
+        this.particles.forEach(particle => {
+            ctx.fillStyle = `hsla(${particle.hue}, 80%, 60%, ${particle.life})`;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.size * (1 + frame.beatPulse), 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    // === INTERFACE ===
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    attach(container) {
+        if (!container) return;
+        this.container = container;
+
+        container.innerHTML = `
+            <canvas class="visualizer-canvas"></canvas>
+            <div class="visualizer-toolbar">
+                <div class="visualizer-presets">
+                    ${Object.entries(this.presets).map(([name, preset]) => `
+                        <button class="queue-snapshot-btn ${name === this.preset ? 'active' : ''}" data-visualizer-preset="${name}" type="button">${preset.label}</button>
+                    `).join('')}
+                </div>
+                <span class="visualizer-status"></span>
+                <div class="visualizer-actions"></div>
+            </div>
+        `;
+        this.canvas = container.querySelector('.visualizer-canvas');
+
+        container.querySelectorAll('[data-visualizer-preset]').forEach(button => {
+            button.addEventListener('click', () => this.setPreset(button.dataset.visualizerPreset));
+        });
+
+        // Glisser-déposer d'un fichier d'analyse sur le visualiseur
+        container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            container.classList.add('dragover');
+        });
+        container.addEventListener('dragleave', () => container.classList.remove('dragover'));
+        container.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            container.classList.remove('dragover');
+            await this.handleFiles([...e.dataTransfer.files]);
+        });
+
+        this.setVisible(this.visible);
+    }
+
+    async handleFiles(files) {
+        const source = this.sources.map(entry => entry.source).find(candidate => candidate.handleDrop);
+        if (!source || files.length === 0) return;
+
+        try {
+            await source.handleDrop(files, this.track);
+        } catch (error) {
+            logger.error('MusicVisualizer: Import d\'analyse impossible', error);
+            this.setStatus(`Import impossible : ${error.message}`);
+            return;
+        }
+
+        this.load();
+    }
+
+    setPreset(name) {
+        if (!this.presets[name]) return;
+        this.preset = name;
+        this.particles = [];
+        localStorage.setItem(this.presetStorageKey, name);
+
+        this.container?.querySelectorAll('[data-visualizer-preset]').forEach(button => {
+            button.classList.toggle('active', button.dataset.visualizerPreset === name);
+        });
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        localStorage.setItem(this.visibilityStorageKey, String(visible));
+        if (!this.container) return;
+
+        this.container.style.display = visible ? '' : 'none';
+        if (visible) {
+            if (!this.analysis) this.load();
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+        return this.visible;
+    }
+
+    // Message d'état et actions des sources (import d'un fichier d'analyse...)
+    setStatus(message) {
+        this.status = message;
+        if (!this.container) return;
+
+        this.container.querySelector('.visualizer-status').textContent = message;
+
+        const actions = this.sources.flatMap(({ source }) => source.getActions ? source.getActions(this.track) : []);
+        const actionsContainer = this.container.querySelector('.visualizer-actions');
+        actionsContainer.innerHTML = actions.map((action, index) => `
+            <button class="queue-snapshot-btn" data-visualizer-action="${index}" title="${this.escapeHTML(action.title || '')}" type="button">${action.label}</button>
+        `).join('');
+
+        actionsContainer.querySelectorAll('[data-visualizer-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    if (await actions[button.dataset.visualizerAction].run(this.track)) this.load();
+                } catch (error) {
+                    logger.error('MusicVisualizer: Action impossible', error);
+                    this.setStatus(`Erreur : ${error.message}`);
+                }
+            });
+        });
+    }
+}
+
+// Instance globale
+const musicVisualizer = new MusicVisualizer();
+
+// Make available globally
+window.musicVisualizer = musicVisualizer;
+window.MusicVisualizer = MusicVisualizer;
@@ -0,0 +1,239 @@
+// Historique d'écoute local - Melodyx
+// Alimenté par le lecteur et par /me/player/recently-played, utilisé par le shuffle "fraîcheur"
+
+class PlayHistory {
+    constructor() {
+        this.storeName = 'playHistory';
+        this.retentionStorageKey = 'melodyx-history-retention-days';
+        this.defaultRetentionDays = 90;
+        this.retentionChoices = [30, 90, 180, 365, 0]; // 0 = conservation illimitée
+
+        // Dernière écoute connue par piste (trackId -> timestamp) pour les shuffles synchrones
+        this.lastPlayed = new Map();
+        this.loadPromise = null;
+        this.lastRecordedKey = null;
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // Charger l'historique en mémoire (appels multiples sans coût supplémentaire)
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.reload().catch(error => {
+                logger.warn('PlayHistory: Historique d\'écoute indisponible', error);
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    // Relire l'historique après purge selon la durée de conservation
+    async reload() {
+        await this.prune();
+
+        const entries = await melodyxDB.getAll(this.storeName);
+        this.lastPlayed.clear();
+        entries.forEach(entry => this.rememberPlay(entry.trackId, entry.playedAt));
+
+        logger.debug('PlayHistory: Historique local chargé', { entries: entries.length });
+    }
+
+    rememberPlay(trackId, playedAt) {
+        if ((this.lastPlayed.get(trackId) || 0) < playedAt) {
+            this.lastPlayed.set(trackId, playedAt);
+        }
+    }
+
+    // Enregistrer une écoute
+    async recordPlay(track, playedAt = Date.now(), source = 'player') {
+        if (!track || !track.id) return;
+
+        const entry = {
+            id: `${track.id}@${playedAt}`,
+            trackId: track.id,
+            uri: track.uri,
+            name: track.name,
+            artist: track.artists ? track.artists.map(a => a.name).join(', ') : track.artist,
+            playedAt,
+            source
+        };
+
+        this.rememberPlay(entry.trackId, entry.playedAt);
+
+        try {
+            await melodyxDB.put(this.storeName, entry);
+        } catch (error) {
+            logger.warn('PlayHistory: Impossible d\'enregistrer l\'écoute', error);
+        }
+    }
+
+    // Suivre l'état de lecture (appelé à chaque mise à jour du lecteur)
+    // N'enregistre qu'une écoute par lancement de piste
+    trackPlaybackState(track, progressMs, isPlaying) {
+        if (!track || !track.id || !isPlaying) return;
+
+        const startedAt = Date.now() - (progressMs || 0);
+
+        // Même piste, même lancement (tolérance de dérive du polling)
+        if (this.lastRecordedKey &&
+            this.lastRecordedKey.trackId === track.id &&
+            Math.abs(this.lastRecordedKey.startedAt - startedAt) < 5000) {
+            return;
+        }
+
+        // Même piste qui continue (pause/reprise, seek) : ne pas compter une nouvelle écoute
+        if (this.lastRecordedKey &&
+            this.lastRecordedKey.trackId === track.id &&
+            progressMs > 5000) {
+            return;
+        }
+
+        this.lastRecordedKey = { trackId: track.id, startedAt };
+        this.recordPlay(track, startedAt, 'player');
+    }
+
+    // Écoutes enregistrées, de la plus ancienne à la plus récente (page Rewind)
+    async getEntries() {
+        await this.load();
+        return melodyxDB.getAllFromIndex(this.storeName, 'playedAt');
+    }
+
+    // Importer les 50 dernières écoutes connues de Spotify
+    fetchRecentlyPlayed() {
+        return this.webApiService.getRecentlyPlayed(50);
+    }
+
+    async importRecentlyPlayed(items = null) {
+        const recentItems = items || await this.fetchRecentlyPlayed();
+        const entries = recentItems
+            .filter(item => item.track && item.track.id)
+            .map(item => {
+                const playedAt = new Date(item.played_at).getTime();
+                return {
+                    id: `${item.track.id}@${playedAt}`,
+                    trackId: item.track.id,
+                    uri: item.track.uri,
+                    name: item.track.name,
+                    artist: item.track.artists.map(a => a.name).join(', '),
+                    playedAt,
+                    source: 'recently-played'
+                };
+            });
+
+        entries.forEach(entry => this.rememberPlay(entry.trackId, entry.playedAt));
+        await melodyxDB.putAll(this.storeName, entries);
+
+        logger.info(`PlayHistory: ${entries.length} écoutes récentes importées depuis Spotify`);
+        return entries.length;
+    }
+
+    // === CONSERVATION ===
+
+    getRetentionDays() {
+        const saved = parseInt(localStorage.getItem(this.retentionStorageKey));
+        return Number.isNaN(saved) ? this.defaultRetentionDays : saved;
+    }
+
+    async setRetentionDays(days) {
+        localStorage.setItem(this.retentionStorageKey, String(days));
+        await this.reload();
+    }
+
+    // Supprimer les écoutes plus anciennes que la durée de conservation
+    async prune() {
+        const retentionDays = this.getRetentionDays();
+        if (!retentionDays) return 0;
+
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        return melodyxDB.deleteFromIndex(this.storeName, 'playedAt', IDBKeyRange.upperBound(cutoff, true));
+    }
+
+    // Effacer tout l'historique local
+    async clear() {
+        await melodyxDB.clear(this.storeName);
+        this.lastPlayed.clear();
+        this.lastRecordedKey = null;
+    }
+
+    // === SHUFFLE FRAÎCHEUR ===
+
+    // Les pistes non écoutées récemment passent en premier (ordre aléatoire), les pistes
+    // écoutées dans la fenêtre sont reléguées à la fin, les plus récentes en dernier
+    freshnessShuffle(tracks, options = {}, random = Math.random) {
+        const { recentDays = 14 } = options;
+        const cutoff = Date.now() - recentDays * 24 * 60 * 60 * 1000;
+        const shuffled = shuffleRegistry.fisherYatesShuffle(tracks, random);
+
+        const fresh = [];
+        const recent = [];
+        shuffled.forEach(track => {
+            const playedAt = this.lastPlayed.get(track.id) || 0;
+            if (playedAt > cutoff) {
+                recent.push({ track, playedAt });
+            } else {
+                fresh.push(track);
+            }
+        });
+
+        // Tri stable : l'ordre aléatoire est conservé entre pistes écoutées au même moment
+        recent.sort((a, b) => a.playedAt - b.playedAt);
+
+        return fresh.concat(recent.map(entry => entry.track));
+    }
+
+    // === INTERFACE ===
+
+    // Réglages de l'historique : durée de conservation et effacement
+    renderSettings(container) {
+        if (!container) return;
+
+        const retentionDays = this.getRetentionDays();
+
+        container.innerHTML = `
+            <div class="play-history-settings">
+                <label class="play-history-label" for="history-retention-select">🕘 Historique:</label>
+                <select id="history-retention-select" class="play-history-select">
+                    ${this.retentionChoices.map(days => `
+                        <option value="${days}" ${days === retentionDays ? 'selected' : ''}>
+                            ${days ? `${days} jours` : 'Illimité'}
+                        </option>
+                    `).join('')}
+                </select>
+                <span class="play-history-count">${this.lastPlayed.size} titres écoutés</span>
+                <button class="play-history-clear-btn" type="button">Effacer</button>
+            </div>
+        `;
+
+        container.querySelector('.play-history-select').addEventListener('change', async (e) => {
+            await this.setRetentionDays(parseInt(e.target.value));
+            this.renderSettings(container);
+        });
+
+        container.querySelector('.play-history-clear-btn').addEventListener('click', async () => {
+            if (!confirm('Effacer tout l\'historique d\'écoute local ?')) return;
+            await this.clear();
+            this.renderSettings(container);
+        });
+    }
+}
+
+// Instance globale
+const playHistory = new PlayHistory();
+
+// Stratégie "fraîcheur" disponible pour le lecteur et le mode vraiment aléatoire
+shuffleRegistry.register('freshness', {
+    label: 'Fraîcheur',
+    description: 'Les titres écoutés récemment sont repoussés en fin de liste',
+    options: {
+        recentDays: { label: 'Jours récents', default: 14, min: 1, max: 365 }
+    },
+    prepare: () => playHistory.load(),
+    shuffle: (tracks, options, random) => playHistory.freshnessShuffle(tracks, options, random)
+});
+
+// Make available globally
+window.playHistory = playHistory;
+window.PlayHistory = PlayHistory;
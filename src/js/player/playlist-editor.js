@@ -0,0 +1,430 @@
+// Édition de playlists - Melodyx
+// Tri définitif d'une playlist, découpage en plusieurs playlists (décennie, artiste, taille fixe)
+// et fusion de plusieurs playlists sans doublons. Toutes les écritures passent par SpotifyWebAPIService
+
+class PlaylistEditor {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+        this.userId = null;
+        this.minArtistTracks = 3; // En dessous, les titres d'un artiste rejoignent « Autres artistes »
+        this.maxSplitPlaylists = 50;
+
+        this.sortKeys = {
+            added_at: { label: 'Date d\'ajout', value: item => item.added_at ? Date.parse(item.added_at) : null },
+            release_date: { label: 'Date de sortie', value: item => item.track?.album?.release_date || null },
+            artist: { label: 'Artiste', value: item => item.track?.artists?.[0]?.name || null },
+            title: { label: 'Titre', value: item => item.track?.name || null },
+            duration: { label: 'Durée', value: item => item.track?.duration_ms ?? null },
+            popularity: { label: 'Popularité', value: item => item.track && !item.track.is_local ? item.track.popularity : null }
+        };
+
+        this.splitModes = {
+            decade: 'Par décennie',
+            artist: 'Par artiste',
+            size: 'Par taille fixe'
+        };
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // Éléments bruts de la playlist (ou des titres likés), avec leur date d'ajout
+    loadItems(playlist, onProgress = null) {
+        return playlist.id === 'liked-tracks'
+            ? this.webApiService.getAllSavedItems(onProgress)
+            : this.webApiService.getAllPlaylistItems(playlist.id, onProgress);
+    }
+
+    // Seul le propriétaire (ou un collaborateur) peut réordonner ; les titres likés n'ont pas d'ordre modifiable
+    async canReorder(playlist) {
+        if (playlist.id === 'liked-tracks') return false;
+        if (playlist.collaborative || !playlist.ownerId) return true;
+
+        if (!this.userId) {
+            const user = await this.webApiService.getUserProfile();
+            this.userId = user.id;
+        }
+        return playlist.ownerId === this.userId;
+    }
+
+    // === TRI ===
+
+    // Valeurs manquantes (fichiers locaux, pistes supprimées) toujours en fin de liste
+    compareValues(a, b, direction) {
+        if (a === null && b === null) return 0;
+        if (a === null) return 1;
+        if (b === null) return -1;
+
+        const result = typeof a === 'string'
+            ? a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+            : a - b;
+        return direction === 'desc' ? -result : result;
+    }
+
+    // Ordre cible : order[k] = position actuelle de l'élément qui doit finir en position k (tri stable)
+    computeOrder(items, key, direction = 'asc') {
+        const getValue = this.sortKeys[key].value;
+        const values = items.map(item => {
+            const value = getValue(item);
+            return value === undefined || Number.isNaN(value) ? null : value;
+        });
+
+        return items
+            .map((item, index) => index)
+            .sort((a, b) => this.compareValues(values[a], values[b], direction) || a - b);
+    }
+
+    // Déplacements de blocs qui transforment la liste actuelle en l'ordre cible.
+    // Le tri passe par des déplacements plutôt qu'un remplacement complet pour conserver les dates d'ajout
+    planMoves(order) {
+        const current = order.map((value, index) => index);
+        const moves = [];
+
+        for (let i = 0; i < order.length;) {
+            const from = current.indexOf(order[i], i);
+            if (from === i) {
+                i++;
+                continue;
+            }
+
+            // Étendre le bloc tant que les éléments suivants sont déjà dans le bon ordre
+            let length = 1;
+            while (from + length < current.length && i + length < order.length
+                && current[from + length] === order[i + length]) {
+                length++;
+            }
+
+            moves.push({ rangeStart: from, insertBefore: i, rangeLength: length });
+            current.splice(i, 0, ...current.splice(from, length));
+            i += length;
+        }
+
+        return moves;
+    }
+
+    // Réordonner définitivement la playlist ; retourne les éléments dans leur nouvel ordre
+    async sortPlaylist(playlist, items, key, direction = 'asc', onProgress = null) {
+        if (!(await this.canReorder(playlist))) {
+            throw new Error('Seules vos playlists (ou les playlists collaboratives) peuvent être réordonnées');
+        }
+
+        const order = this.computeOrder(items, key, direction);
+        const moves = this.planMoves(order);
+        let snapshotId = null;
+
+        for (let i = 0; i < moves.length; i++) {
+            const { rangeStart, insertBefore, rangeLength } = moves[i];
+            snapshotId = await this.webApiService.reorderPlaylistTracks(
+                playlist.id, rangeStart, insertBefore, rangeLength, snapshotId
+            );
+            if (onProgress) onProgress(i + 1, moves.length);
+        }
+
+        return order.map(index => items[index]);
+    }
+
+    // === DÉCOUPAGE ===
+
+    // Pistes Spotify ajoutables à une autre playlist (les fichiers locaux ne peuvent pas l'être)
+    getTransferableTracks(items) {
+        return items
+            .map(item => item.track)
+            .filter(track => track && track.uri && !track.is_local);
+    }
+
+    // Groupes [{ label, uris }] dans l'ordre de création, les pistes gardant leur ordre d'origine
+    planSplit(items, mode, size = 100) {
+        const tracks = this.getTransferableTracks(items);
+
+        if (mode === 'size') {
+            const chunkSize = Math.max(1, parseInt(size) || 100);
+            const count = Math.ceil(tracks.length / chunkSize);
+            return Array.from({ length: count }, (value, index) => ({
+                label: `${index + 1}/${count}`,
+                uris: tracks.slice(index * chunkSize, (index + 1) * chunkSize).map(track => this.webApiService.getPlaylistItemUri(track))
+            }));
+        }
+
+        const groups = new Map();
+        tracks.forEach(track => {
+            const key = mode === 'decade' ? this.getDecade(track) : (track.artists?.[0]?.name || 'Artiste inconnu');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(this.webApiService.getPlaylistItemUri(track));
+        });
+
+        if (mode === 'decade') {
+            return [...groups.keys()]
+                .sort((a, b) => (a === 'Date inconnue') - (b === 'Date inconnue') || a.localeCompare(b))
+                .map(label => ({ label, uris: groups.get(label) }));
+        }
+
+        // Par artiste : les plus représentés d'abord, les artistes isolés regroupés
+        const others = [];
+        const artistGroups = [];
+        groups.forEach((uris, label) => {
+            if (uris.length < this.minArtistTracks) {
+                others.push(...uris);
+            } else {
+                artistGroups.push({ label, uris });
+            }
+        });
+
+        artistGroups.sort((a, b) => b.uris.length - a.uris.length || a.label.localeCompare(b.label));
+        if (others.length > 0) {
+            artistGroups.push({ label: 'Autres artistes', uris: others });
+        }
+        return artistGroups;
+    }
+
+    getDecade(track) {
+        const year = parseInt(track.album?.release_date);
+        return Number.isFinite(year) ? `${Math.floor(year / 10) * 10}s` : 'Date inconnue';
+    }
+
+    // Créer une playlist par groupe ; retourne les playlists créées
+    async splitPlaylist(playlist, groups, onProgress = null) {
+        if (groups.length > this.maxSplitPlaylists) {
+            throw new Error(`Découpage limité à ${this.maxSplitPlaylists} playlists (${groups.length} demandées)`);
+        }
+
+        const created = [];
+        for (const group of groups) {
+            created.push(await this.createPlaylistWithTracks(
+                `${playlist.name} – ${group.label}`,
+                `Extrait de « ${playlist.name} » par Melodyx`,
+                group.uris
+            ));
+            if (onProgress) onProgress(created.length, groups.length);
+        }
+
+        return created;
+    }
+
+    // === FUSION ===
+
+    // URIs dans l'ordre des playlists, chaque titre gardé une seule fois (même ID ou même URI)
+    planMerge(itemLists) {
+        const seen = new Set();
+        const uris = [];
+        let duplicates = 0;
+
+        itemLists.forEach(items => {
+            this.getTransferableTracks(items).forEach(track => {
+                const uri = this.webApiService.getPlaylistItemUri(track);
+                const id = track.linked_from?.id || track.id;
+                if (seen.has(uri) || (id && seen.has(id))) {
+                    duplicates++;
+                    return;
+                }
+
+                seen.add(uri);
+                if (id) seen.add(id);
+                uris.push(uri);
+            });
+        });
+
+        return { uris, duplicates };
+    }
+
+    async mergePlaylists(playlists, name, onProgress = null) {
+        const itemLists = [];
+        for (const playlist of playlists) {
+            itemLists.push(await this.loadItems(playlist));
+            if (onProgress) onProgress('load', itemLists.length, playlists.length);
+        }
+
+        const { uris, duplicates } = this.planMerge(itemLists);
+        if (uris.length === 0) {
+            throw new Error('Aucune piste à fusionner');
+        }
+
+        const created = await this.createPlaylistWithTracks(
+            name,
+            `Fusion de ${playlists.map(playlist => playlist.name).join(', ')} par Melodyx`,
+            uris
+        );
+        if (onProgress) onProgress('done', playlists.length, playlists.length);
+
+        return { playlist: created, duplicates };
+    }
+
+    async createPlaylistWithTracks(name, description, uris) {
+        const playlist = await this.webApiService.createPlaylist(name, description, false);
+        await this.webApiService.addTracksToPlaylist(playlist.id, uris);
+
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            uri: playlist.uri,
+            image: null,
+            ownerId: playlist.owner?.id || null,
+            trackCount: uris.length
+        };
+    }
+
+    // === INTERFACE ===
+
+    // Modal de tri et de découpage de la playlist sélectionnée
+    // onCreated(playlists) : playlists créées par un découpage
+    async openEditor(playlist, onCreated = null) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container editor-container" onclick="event.stopPropagation()">
+                    <div class="modal-content playlist-editor">
+                        <h2>✏️ Éditer « ${playlist.name} »</h2>
+                        <p class="editor-status">Chargement des pistes...</p>
+                        <div class="editor-body" style="display: none;">
+                            <section class="editor-section">
+                                <h3>Trier définitivement</h3>
+                                <div class="editor-row">
+                                    <select class="editor-sort-key">
+                                        ${Object.entries(this.sortKeys).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                                    </select>
+                                    <select class="editor-sort-direction">
+                                        <option value="asc">Croissant</option>
+                                        <option value="desc">Décroissant</option>
+                                    </select>
+                                    <button class="btn btn-primary editor-sort-btn">Trier</button>
+                                </div>
+                                <p class="editor-hint editor-sort-hint"></p>
+                            </section>
+                            <section class="editor-section">
+                                <h3>Découper en plusieurs playlists</h3>
+                                <div class="editor-row">
+                                    <select class="editor-split-mode">
+                                        ${Object.entries(this.splitModes).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+                                    </select>
+                                    <input type="number" class="editor-split-size" value="100" min="1" max="10000" title="Pistes par playlist" style="display: none;">
+                                    <button class="btn btn-primary editor-split-btn">Découper</button>
+                                </div>
+                                <ul class="editor-split-preview"></ul>
+                            </section>
+                        </div>
+                        <div class="editor-actions">
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">Fermer</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('.editor-status');
+        const body = modal.querySelector('.editor-body');
+        const sortKey = modal.querySelector('.editor-sort-key');
+        const sortDirection = modal.querySelector('.editor-sort-direction');
+        const sortBtn = modal.querySelector('.editor-sort-btn');
+        const sortHint = modal.querySelector('.editor-sort-hint');
+        const splitMode = modal.querySelector('.editor-split-mode');
+        const splitSize = modal.querySelector('.editor-split-size');
+        const splitBtn = modal.querySelector('.editor-split-btn');
+        const splitPreview = modal.querySelector('.editor-split-preview');
+
+        let items = [];
+        let reorderable = false;
+        let busy = false;
+
+        const updateSortHint = () => {
+            if (!reorderable) {
+                sortBtn.disabled = true;
+                sortHint.textContent = playlist.id === 'liked-tracks'
+                    ? 'L\'ordre des titres likés ne peut pas être modifié.'
+                    : 'Seules vos playlists (ou les playlists collaboratives) peuvent être réordonnées.';
+                return;
+            }
+
+            const moves = this.planMoves(this.computeOrder(items, sortKey.value, sortDirection.value));
+            sortBtn.disabled = busy || moves.length === 0;
+            sortHint.textContent = moves.length === 0
+                ? 'La playlist est déjà dans cet ordre.'
+                : `${moves.length} déplacement(s) nécessaire(s) ; les dates d'ajout sont conservées.`;
+        };
+
+        let groups = [];
+        const updateSplitPreview = () => {
+            splitSize.style.display = splitMode.value === 'size' ? '' : 'none';
+            groups = this.planSplit(items, splitMode.value, splitSize.value);
+
+            splitPreview.innerHTML = groups.map(group => `
+                <li><span class="editor-split-name">${playlist.name} – ${group.label}</span> <span class="editor-split-count">${group.uris.length}</span></li>
+            `).join('');
+            splitBtn.disabled = busy || groups.length < 2 || groups.length > this.maxSplitPlaylists;
+            splitBtn.textContent = groups.length > this.maxSplitPlaylists
+                ? `Trop de playlists (${groups.length})`
+                : `Créer ${groups.length} playlists`;
+        };
+
+        const setBusy = (value) => {
+            busy = value;
+            updateSortHint();
+            updateSplitPreview();
+        };
+
+        try {
+            items = await this.loadItems(playlist, (loaded, total) => {
+                status.textContent = `Chargement des pistes... ${loaded}/${total || '?'}`;
+            });
+            reorderable = await this.canReorder(playlist);
+
+            status.textContent = `${items.length} éléments chargés.`;
+            body.style.display = '';
+            updateSortHint();
+            updateSplitPreview();
+        } catch (error) {
+            console.error('Erreur chargement playlist à éditer:', error);
+            status.textContent = `Erreur : ${error.message}`;
+            return;
+        }
+
+        sortKey.addEventListener('change', updateSortHint);
+        sortDirection.addEventListener('change', updateSortHint);
+        splitMode.addEventListener('change', updateSplitPreview);
+        splitSize.addEventListener('change', updateSplitPreview);
+
+        sortBtn.addEventListener('click', async () => {
+            const label = this.sortKeys[sortKey.value].label.toLowerCase();
+            if (!confirm(`Réordonner définitivement « ${playlist.name} » par ${label} ?`)) return;
+
+            setBusy(true);
+            try {
+                items = await this.sortPlaylist(playlist, items, sortKey.value, sortDirection.value, (done, total) => {
+                    status.textContent = `Tri en cours... ${done}/${total}`;
+                });
+                status.textContent = `✅ « ${playlist.name} » triée par ${label}.`;
+            } catch (error) {
+                console.error('Erreur tri playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                setBusy(false);
+            }
+        });
+
+        splitBtn.addEventListener('click', async () => {
+            if (!confirm(`Créer ${groups.length} nouvelles playlists à partir de « ${playlist.name} » ?`)) return;
+
+            setBusy(true);
+            try {
+                const created = await this.splitPlaylist(playlist, groups, (done, total) => {
+                    status.textContent = `Création des playlists... ${done}/${total}`;
+                });
+                status.textContent = `✅ ${created.length} playlists créées.`;
+                if (onCreated) onCreated(created);
+            } catch (error) {
+                console.error('Erreur découpage playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                setBusy(false);
+            }
+        });
+    }
+}
+
+// Instance globale
+const playlistEditor = new PlaylistEditor();
+
+// Make available globally
+window.playlistEditor = playlistEditor;
+window.PlaylistEditor = PlaylistEditor;
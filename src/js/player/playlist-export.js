@@ -0,0 +1,366 @@
+// Export de playlists - Melodyx
+// Télécharge une playlist, un album ou les titres likés en CSV, JSON, M3U étendu ou XSPF.
+// Les pistes sont lues page par page et écrites au fil de l'eau : aucune chaîne géante en mémoire
+
+class PlaylistExport {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+        this.storageKey = 'melodyx-export-options';
+
+        this.formats = {
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+            m3u: { label: 'M3U étendu', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+            xspf: { label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' }
+        };
+
+        // Titre et artiste sont toujours exportés
+        this.columns = {
+            album: 'Album',
+            duration_ms: 'Durée',
+            isrc: 'ISRC',
+            added_at: 'Date d\'ajout',
+            uri: 'URI Spotify'
+        };
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // === SOURCES ===
+
+    // source : { type: 'playlist' | 'liked' | 'album', id, name }
+    iterateSource(source) {
+        switch (source.type) {
+            case 'liked':
+                return this.webApiService.iterateSavedItems();
+            case 'album':
+                return this.webApiService.iterateAlbumItems(source.id);
+            default:
+                return this.webApiService.iteratePlaylistItems(source.id);
+        }
+    }
+
+    // Lien open.spotify.com, URI spotify:album:... ou identifiant brut
+    parseAlbumId(input) {
+        const match = (input || '').trim().match(/(?:album[/:])?([A-Za-z0-9]{22})(?:[?#].*)?$/);
+        return match ? match[1] : null;
+    }
+
+    // === SÉRIALISATION ===
+
+    toRow(item) {
+        const track = item.track;
+        return {
+            title: track.name || '',
+            artist: (track.artists || []).map(artist => artist.name).join(', '),
+            album: track.album?.name || '',
+            duration_ms: track.duration_ms || 0,
+            isrc: track.external_ids?.isrc || '',
+            added_at: item.added_at || '',
+            uri: track.uri || ''
+        };
+    }
+
+    csvField(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    xmlEscape(value) {
+        return String(value ?? '').replace(/[<>&"']/g, char => ({
+            '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;'
+        }[char]));
+    }
+
+    header(format, name, columns) {
+        switch (format) {
+            case 'csv':
+                // BOM : Excel lit ainsi correctement les accents
+                return '\ufeff' + ['title', 'artist', ...columns].join(',') + '\r\n';
+            case 'json':
+                return `{\n  "name": ${JSON.stringify(name)},\n  "exportedAt": ${JSON.stringify(new Date().toISOString())},\n  "columns": ${JSON.stringify(['title', 'artist', ...columns])},\n  "tracks": [`;
+            case 'm3u':
+                return `#EXTM3U\n#PLAYLIST:${name.replace(/[\r\n]+/g, ' ')}\n`;
+            case 'xspf':
+                return `<?xml version="1.0" encoding="UTF-8"?>\n<playlist version="1" xmlns="http://xspf.org/ns/0/">\n  <title>${this.xmlEscape(name)}</title>\n  <date>${new Date().toISOString()}</date>\n  <trackList>\n`;
+        }
+    }
+
+    // index : rang de la piste dans le fichier (le JSON sépare les pistes par des virgules)
+    formatRow(format, row, columns, index) {
+        const has = column => columns.includes(column);
+
+        switch (format) {
+            case 'csv':
+                return ['title', 'artist', ...columns].map(column => this.csvField(row[column])).join(',') + '\r\n';
+
+            case 'json': {
+                const track = { title: row.title, artist: row.artist };
+                columns.forEach(column => { track[column] = row[column]; });
+                return `${index > 0 ? ',' : ''}\n    ${JSON.stringify(track)}`;
+            }
+
+            case 'm3u': {
+                const seconds = has('duration_ms') ? Math.round(row.duration_ms / 1000) : -1;
+                const lines = [`#EXTINF:${seconds},${row.artist} - ${row.title}`.replace(/[\r\n]+/g, ' ')];
+                if (has('album') && row.album) lines.push(`#EXTALB:${row.album}`);
+                if (has('isrc') && row.isrc) lines.push(`#EXT-X-ISRC:${row.isrc}`);
+                if (has('added_at') && row.added_at) lines.push(`#EXT-X-ADDED-AT:${row.added_at}`);
+                lines.push(this.getLocation(row, has('uri')));
+                return lines.join('\n') + '\n';
+            }
+
+            case 'xspf': {
+                const fields = [
+                    row.uri ? `<location>${this.xmlEscape(this.getLocation(row, has('uri')))}</location>` : '',
+                    has('isrc') && row.isrc ? `<identifier>urn:isrc:${this.xmlEscape(row.isrc)}</identifier>` : '',
+                    `<title>${this.xmlEscape(row.title)}</title>`,
+                    `<creator>${this.xmlEscape(row.artist)}</creator>`,
+                    has('album') && row.album ? `<album>${this.xmlEscape(row.album)}</album>` : '',
+                    has('duration_ms') && row.duration_ms ? `<duration>${row.duration_ms}</duration>` : '',
+                    has('added_at') && row.added_at
+                        ? `<extension application="https://github.com/nikoloo/Melodyx"><added_at>${this.xmlEscape(row.added_at)}</added_at></extension>`
+                        : ''
+                ].filter(Boolean);
+                return `    <track>\n      ${fields.join('\n      ')}\n    </track>\n`;
+            }
+        }
+    }
+
+    // Emplacement d'une piste (M3U, XSPF) : l'URI si demandée, sinon le lien web ; les fichiers locaux gardent leur URI
+    getLocation(row, useUri) {
+        return useUri || !row.uri.startsWith('spotify:track:')
+            ? row.uri
+            : `https://open.spotify.com/track/${row.uri.split(':').pop()}`;
+    }
+
+    footer(format) {
+        switch (format) {
+            case 'json':
+                return '\n  ]\n}\n';
+            case 'xspf':
+                return '  </trackList>\n</playlist>\n';
+            default:
+                return '';
+        }
+    }
+
+    // === ÉCRITURE ===
+
+    // Écriture directe sur disque quand le navigateur le permet (File System Access),
+    // sinon morceaux assemblés dans un Blob téléchargé à la fin.
+    // À appeler avant tout await : la boîte d'enregistrement exige un geste de l'utilisateur.
+    // Retourne null si l'utilisateur annule
+    async openWriter(fileName, format) {
+        const { extension, mimeType, label } = this.formats[format];
+
+        if (window.showSaveFilePicker) {
+            try {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: fileName,
+                    types: [{ description: label, accept: { [mimeType]: [`.${extension}`] } }]
+                });
+                const writable = await handle.createWritable();
+                return {
+                    write: chunk => writable.write(chunk),
+                    close: () => writable.close(),
+                    abort: () => writable.abort()
+                };
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                logger.warn('PlaylistExport: Enregistrement direct indisponible, téléchargement classique', error);
+            }
+        }
+
+        const parts = [];
+        const writer = {
+            fileName, // Modifiable jusqu'à la fin de l'export
+            write: async chunk => { parts.push(chunk); },
+            close: async () => {
+                const url = URL.createObjectURL(new Blob(parts, { type: `${mimeType};charset=utf-8` }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = writer.fileName;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            },
+            abort: async () => { parts.length = 0; }
+        };
+        return writer;
+    }
+
+    getFileName(name, format) {
+        const safeName = name.replace(/[\\/:*?"<>|]+/g, '_').replace(/\s+/g, ' ').trim() || 'export';
+        return `${safeName}.${this.formats[format].extension}`;
+    }
+
+    // Exporter une source ; retourne le nombre de pistes écrites (null si annulé)
+    async export(source, format, columns, onProgress = null, writer = null) {
+        writer = writer || await this.openWriter(this.getFileName(source.name, format), format);
+        if (!writer) return null;
+
+        let count = 0;
+        let read = 0;
+
+        try {
+            await writer.write(this.header(format, source.name, columns));
+
+            for await (const page of this.iterateSource(source)) {
+                read += page.items.length;
+
+                // Une page = un seul morceau écrit
+                const chunk = page.items
+                    .filter(item => item && item.track)
+                    .map(item => this.formatRow(format, this.toRow(item), columns, count++))
+                    .join('');
+                if (chunk) await writer.write(chunk);
+
+                if (onProgress) onProgress(read, page.total);
+            }
+
+            await writer.write(this.footer(format));
+            await writer.close();
+        } catch (error) {
+            await writer.abort().catch(() => {});
+            throw error;
+        }
+
+        logger.info(`PlaylistExport: Export « ${source.name} » : ${count} pistes (${format})`);
+        return count;
+    }
+
+    // === INTERFACE ===
+
+    loadOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && this.formats[saved.format] && Array.isArray(saved.columns)) {
+                return { format: saved.format, columns: saved.columns.filter(column => this.columns[column]) };
+            }
+        } catch (error) {
+            logger.warn('PlaylistExport: Options d\'export illisibles, valeurs par défaut', error);
+        }
+        return { format: 'csv', columns: Object.keys(this.columns) };
+    }
+
+    saveOptions(options) {
+        localStorage.setItem(this.storageKey, JSON.stringify(options));
+    }
+
+    // Modal d'export de l'entrée sélectionnée (playlist ou titres likés) ou d'un album collé par lien
+    openDialog(playlist = null) {
+        const options = this.loadOptions();
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container export-container" onclick="event.stopPropagation()">
+                    <div class="modal-content playlist-export">
+                        <h2>📤 Exporter</h2>
+                        <div class="export-sources">
+                            ${playlist ? `
+                                <label class="export-option">
+                                    <input type="radio" name="export-source" value="selected" checked>
+                                    ${playlist.name}
+                                </label>
+                            ` : ''}
+                            <label class="export-option">
+                                <input type="radio" name="export-source" value="album" ${playlist ? '' : 'checked'}>
+                                Album :
+                                <input type="text" class="export-album-input" placeholder="Lien ou URI Spotify de l'album">
+                            </label>
+                        </div>
+                        <div class="export-row">
+                            <label for="export-format">Format :</label>
+                            <select id="export-format" class="export-format">
+                                ${Object.entries(this.formats).map(([key, { label }]) => `
+                                    <option value="${key}" ${options.format === key ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="export-columns">
+                            <span>Colonnes (titre et artiste toujours inclus) :</span>
+                            ${Object.entries(this.columns).map(([key, label]) => `
+                                <label class="export-option">
+                                    <input type="checkbox" data-column="${key}" ${options.columns.includes(key) ? 'checked' : ''}>
+                                    ${label}
+                                </label>
+                            `).join('')}
+                        </div>
+                        <p class="export-status"></p>
+                        <div class="export-actions">
+                            <button class="btn btn-primary export-start">Exporter</button>
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">Fermer</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('.export-status');
+        const startBtn = modal.querySelector('.export-start');
+        const albumInput = modal.querySelector('.export-album-input');
+
+        albumInput.addEventListener('focus', () => {
+            modal.querySelector('input[value="album"]').checked = true;
+        });
+
+        startBtn.addEventListener('click', async () => {
+            const format = modal.querySelector('.export-format').value;
+            const columns = Object.keys(this.columns)
+                .filter(column => modal.querySelector(`input[data-column="${column}"]`).checked);
+            this.saveOptions({ format, columns });
+
+            let source;
+            if (modal.querySelector('input[name="export-source"]:checked').value === 'selected') {
+                source = playlist.id === 'liked-tracks'
+                    ? { type: 'liked', id: null, name: 'Titres likés' }
+                    : { type: 'playlist', id: playlist.id, name: playlist.name };
+            } else {
+                const albumId = this.parseAlbumId(albumInput.value);
+                if (!albumId) {
+                    status.textContent = 'Lien d\'album invalide.';
+                    return;
+                }
+                source = { type: 'album', id: albumId, name: `album-${albumId}` };
+            }
+
+            // Boîte d'enregistrement ouverte tout de suite (geste utilisateur), le nom de l'album suit
+            const writer = await this.openWriter(this.getFileName(source.name, format), format);
+            if (!writer) return;
+
+            startBtn.disabled = true;
+            status.textContent = 'Export en cours...';
+
+            try {
+                if (source.type === 'album') {
+                    const album = await this.webApiService.getAlbum(source.id);
+                    source.name = `${album.artists?.[0]?.name || ''} - ${album.name}`;
+                    writer.fileName = this.getFileName(source.name, format);
+                }
+
+                const count = await this.export(source, format, columns, (read, total) => {
+                    status.textContent = `Export en cours... ${read}/${total || '?'}`;
+                }, writer);
+                status.textContent = `✅ ${count} pistes exportées.`;
+            } catch (error) {
+                console.error('Erreur export playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                startBtn.disabled = false;
+            }
+        });
+    }
+}
+
+// Instance globale
+const playlistExport = new PlaylistExport();
+
+// Make available globally
+window.playlistExport = playlistExport;
+window.PlaylistExport = PlaylistExport;
@@ -0,0 +1,397 @@
+// Santé des playlists - Melodyx
+// Repère les doublons exacts, les autres versions d'un même titre (ISRC ou titre + artiste normalisés),
+// les pistes indisponibles et les fichiers locaux, puis applique les suppressions choisies avec annulation
+
+class PlaylistHealth {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+        this.undoStorageKey = 'melodyx-health-undo';
+
+        this.reasons = {
+            unplayable: { label: 'Pistes indisponibles', selected: true },
+            duplicate: { label: 'Doublons exacts', selected: true },
+            version: { label: 'Autres versions du même titre', selected: true },
+            local: { label: 'Fichiers locaux', selected: false }
+        };
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // === ANALYSE ===
+
+    // Titre sans accents, ponctuation ni mentions de réédition (« Remastered 2011 », « Radio Edit », « feat. »...)
+    normalizeTitle(title) {
+        return this.normalizeText(title
+            .replace(/\s*[([][^)\]]*(remaster|version|edit|mono|stereo|deluxe|feat\.?|ft\.|with )[^)\]]*[)\]]/gi, '')
+            .replace(/\s+-\s+[^-]*(remaster|version|edit|mono|stereo|deluxe)[^-]*$/i, ''));
+    }
+
+    normalizeText(text) {
+        return (text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Charger une playlist (ou les titres likés) et produire le rapport
+    async scan(playlist, onProgress = null) {
+        const isLiked = playlist.id === 'liked-tracks';
+        const items = isLiked
+            ? await this.webApiService.getAllSavedItems(onProgress)
+            : await this.webApiService.getAllPlaylistItems(playlist.id, onProgress);
+
+        return this.analyze(items, {
+            playlistId: playlist.id,
+            playlistName: playlist.name,
+            isLiked
+        });
+    }
+
+    // items: éléments bruts de l'API ({ track, added_at }) dans l'ordre de la playlist
+    analyze(items, info = {}) {
+        const entries = [];
+        const flagged = new Set();
+        const firstByUri = new Map();
+        let skipped = 0;
+
+        const flag = (position, track, reason, keptPosition = null) => {
+            flagged.add(position);
+            entries.push({
+                key: String(position),
+                position,
+                uri: this.webApiService.getPlaylistItemUri(track),
+                id: track.linked_from?.id || track.id,
+                name: track.name,
+                artist: (track.artists || []).map(artist => artist.name).join(', '),
+                album: track.album?.name || '',
+                reason,
+                keptPosition,
+                selected: this.reasons[reason].selected
+            });
+        };
+
+        const tracks = items.map((item, position) => {
+            // Élément vide (piste supprimée du catalogue sans URI) ou épisode : non traités
+            if (!item.track || (item.track.type && item.track.type !== 'track')) {
+                skipped++;
+                return null;
+            }
+            return { position, track: item.track };
+        }).filter(Boolean);
+
+        // Fichiers locaux et pistes indisponibles
+        tracks.forEach(({ position, track }) => {
+            if (track.is_local) {
+                flag(position, track, 'local');
+            } else if (track.is_playable === false) {
+                flag(position, track, 'unplayable');
+            }
+        });
+
+        // Doublons exacts : la première occurrence est conservée
+        tracks.forEach(({ position, track }) => {
+            const uri = this.webApiService.getPlaylistItemUri(track);
+            if (!firstByUri.has(uri)) {
+                firstByUri.set(uri, position);
+            } else if (!flagged.has(position)) {
+                flag(position, track, 'duplicate', firstByUri.get(uri));
+            }
+        });
+
+        // Autres versions : même ISRC ou même titre + artiste principal normalisés
+        const groups = this.groupVersions(tracks.filter(({ position, track }) =>
+            !flagged.has(position) && !track.is_local
+        ));
+        groups.forEach(group => {
+            const [kept, ...others] = group;
+            others.forEach(({ position, track }) => flag(position, track, 'version', kept.position));
+        });
+
+        entries.sort((a, b) => a.position - b.position);
+
+        return {
+            ...info,
+            total: items.length,
+            skipped,
+            entries,
+            positionsByUri: this.indexPositions(tracks)
+        };
+    }
+
+    // Regrouper les pistes partageant un ISRC ou une clé titre + artiste (union des deux critères)
+    groupVersions(tracks) {
+        const parent = tracks.map((_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const byKey = new Map();
+
+        tracks.forEach(({ track }, i) => {
+            const keys = [];
+            if (track.external_ids?.isrc) keys.push(`isrc:${track.external_ids.isrc.toUpperCase()}`);
+
+            const title = this.normalizeTitle(track.name || '');
+            const artist = this.normalizeText(track.artists?.[0]?.name);
+            if (title && artist) keys.push(`title:${title}|${artist}`);
+
+            keys.forEach(key => {
+                if (byKey.has(key)) {
+                    parent[find(i)] = find(byKey.get(key));
+                } else {
+                    byKey.set(key, i);
+                }
+            });
+        });
+
+        const groups = new Map();
+        tracks.forEach((entry, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(entry);
+        });
+
+        // La première occurrence dans la playlist est la version conservée
+        return [...groups.values()].filter(group => group.length > 1);
+    }
+
+    indexPositions(tracks) {
+        const positions = {};
+        tracks.forEach(({ position, track }) => {
+            const uri = this.webApiService.getPlaylistItemUri(track);
+            (positions[uri] = positions[uri] || []).push(position);
+        });
+        return positions;
+    }
+
+    // === SUPPRESSION ===
+
+    // Appliquer les suppressions sélectionnées ; retourne l'opération d'annulation enregistrée
+    async applyRemovals(report, entries) {
+        if (entries.length === 0) return null;
+
+        if (report.isLiked) {
+            const ids = [...new Set(entries.map(entry => entry.id).filter(Boolean))];
+            await this.webApiService.setSavedTracks(ids, false);
+            return this.saveUndo({ type: 'liked', playlistName: report.playlistName, ids });
+        }
+
+        // L'API retire toutes les occurrences d'une URI : les occurrences conservées des URIs
+        // concernées (première occurrence d'un doublon) sont réinsérées à leur place
+        const removedPositions = new Set(entries.map(entry => entry.position));
+        const affectedUris = [...new Set(entries.map(entry => entry.uri))];
+        const sortedRemoved = [...removedPositions].sort((a, b) => a - b);
+        const finalIndex = position => position - sortedRemoved.filter(removed => removed < position).length;
+
+        const kept = affectedUris
+            .flatMap(uri => (report.positionsByUri[uri] || [])
+                .filter(position => !removedPositions.has(position))
+                .map(position => ({ uri, index: finalIndex(position) })))
+            .sort((a, b) => a.index - b.index);
+
+        await this.webApiService.removeTracksFromPlaylist(report.playlistId, affectedUris);
+        for (const { uri, index } of kept) {
+            await this.webApiService.addTracksToPlaylist(report.playlistId, [uri], index);
+        }
+
+        return this.saveUndo({
+            type: 'playlist',
+            playlistId: report.playlistId,
+            playlistName: report.playlistName,
+            removed: entries.map(({ position, uri }) => ({ position, uri })).sort((a, b) => a.position - b.position)
+        });
+    }
+
+    // Réinsérer les pistes retirées à leur position d'origine (dans l'ordre croissant,
+    // chaque insertion retrouve ainsi exactement sa place)
+    async undo() {
+        const operation = this.getUndo();
+        if (!operation) return null;
+
+        if (operation.type === 'liked') {
+            await this.webApiService.setSavedTracks(operation.ids, true);
+        } else {
+            // Positions consécutives réinsérées en une seule requête
+            const runs = [];
+            operation.removed.forEach(({ position, uri }) => {
+                const last = runs[runs.length - 1];
+                if (last && last.position + last.uris.length === position) {
+                    last.uris.push(uri);
+                } else {
+                    runs.push({ position, uris: [uri] });
+                }
+            });
+
+            for (const run of runs) {
+                await this.webApiService.addTracksToPlaylist(operation.playlistId, run.uris, run.position);
+            }
+        }
+
+        localStorage.removeItem(this.undoStorageKey);
+        return operation;
+    }
+
+    saveUndo(operation) {
+        const record = { ...operation, createdAt: Date.now() };
+        localStorage.setItem(this.undoStorageKey, JSON.stringify(record));
+        return record;
+    }
+
+    getUndo() {
+        try {
+            return JSON.parse(localStorage.getItem(this.undoStorageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // === INTERFACE ===
+
+    // Ouvrir le rapport de santé d'une playlist
+    async openReport(playlist, onChanged = null) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container health-container" onclick="event.stopPropagation()">
+                    <div class="modal-content health-report">
+                        <h2>🩺 Santé de « ${playlist.name} »</h2>
+                        <p class="health-status">Analyse en cours...</p>
+                        <div class="health-sections"></div>
+                        <div class="health-actions">
+                            <button class="btn btn-primary health-apply" disabled>Retirer la sélection</button>
+                            <button class="btn btn-secondary health-undo" style="display: none;">Annuler la dernière opération</button>
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">Fermer</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('.health-status');
+        const sections = modal.querySelector('.health-sections');
+        const applyBtn = modal.querySelector('.health-apply');
+        const undoBtn = modal.querySelector('.health-undo');
+
+        const refreshUndo = () => {
+            const operation = this.getUndo();
+            undoBtn.style.display = operation ? '' : 'none';
+            if (operation) {
+                undoBtn.textContent = `Annuler la dernière opération (${operation.playlistName})`;
+            }
+        };
+
+        let report = null;
+
+        const runScan = async () => {
+            try {
+                applyBtn.disabled = true;
+                status.textContent = 'Analyse en cours...';
+                sections.innerHTML = '';
+
+                report = await this.scan(playlist, (loaded, total) => {
+                    status.textContent = `Analyse en cours... ${loaded}/${total || '?'}`;
+                });
+
+                status.textContent = report.entries.length === 0
+                    ? `✅ ${report.total} éléments analysés, aucun problème détecté.`
+                    : `${report.total} éléments analysés, ${report.entries.length} à vérifier${report.skipped ? ` (${report.skipped} ignorés)` : ''}.`;
+                sections.innerHTML = this.renderSections(report);
+                updateApplyButton();
+            } catch (error) {
+                console.error('Erreur analyse santé playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            }
+        };
+
+        const selectedEntries = () => {
+            const keys = new Set([...sections.querySelectorAll('input[data-entry]:checked')].map(input => input.dataset.entry));
+            return report ? report.entries.filter(entry => keys.has(entry.key)) : [];
+        };
+
+        const updateApplyButton = () => {
+            const count = selectedEntries().length;
+            applyBtn.disabled = count === 0;
+            applyBtn.textContent = count > 0 ? `Retirer la sélection (${count})` : 'Retirer la sélection';
+        };
+
+        sections.addEventListener('change', (e) => {
+            // Case d'une section : cocher / décocher toutes ses pistes
+            if (e.target.dataset.reason) {
+                sections.querySelectorAll(`input[data-entry-reason="${e.target.dataset.reason}"]`)
+                    .forEach(input => { input.checked = e.target.checked; });
+            }
+            updateApplyButton();
+        });
+
+        applyBtn.addEventListener('click', async () => {
+            const entries = selectedEntries();
+            if (entries.length === 0) return;
+            if (!confirm(`Retirer ${entries.length} élément(s) de « ${playlist.name} » ?`)) return;
+
+            try {
+                applyBtn.disabled = true;
+                status.textContent = 'Application des suppressions...';
+                await this.applyRemovals(report, entries);
+                refreshUndo();
+                if (onChanged) onChanged(playlist);
+                await runScan();
+            } catch (error) {
+                console.error('Erreur suppression santé playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            }
+        });
+
+        undoBtn.addEventListener('click', async () => {
+            try {
+                undoBtn.disabled = true;
+                status.textContent = 'Annulation en cours...';
+                const operation = await this.undo();
+                refreshUndo();
+                if (operation && onChanged) onChanged(playlist);
+                await runScan();
+            } catch (error) {
+                console.error('Erreur annulation santé playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                undoBtn.disabled = false;
+            }
+        });
+
+        refreshUndo();
+        await runScan();
+    }
+
+    renderSections(report) {
+        return Object.entries(this.reasons).map(([reason, { label }]) => {
+            const entries = report.entries.filter(entry => entry.reason === reason);
+            if (entries.length === 0) return '';
+
+            return `
+                <div class="health-section">
+                    <label class="health-section-title">
+                        <input type="checkbox" data-reason="${reason}" ${entries.every(entry => entry.selected) ? 'checked' : ''}>
+                        ${label} (${entries.length})
+                    </label>
+                    ${entries.map(entry => `
+                        <label class="health-entry">
+                            <input type="checkbox" data-entry="${entry.key}" data-entry-reason="${reason}" ${entry.selected ? 'checked' : ''}>
+                            <span class="health-entry-position">#${entry.position + 1}</span>
+                            <span class="health-entry-name">${entry.name} <small>${entry.artist}${entry.album ? ` · ${entry.album}` : ''}</small></span>
+                            ${entry.keptPosition !== null ? `<span class="health-entry-meta">gardé : #${entry.keptPosition + 1}</span>` : ''}
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+// Instance globale
+const playlistHealth = new PlaylistHealth();
+
+// Make available globally
+window.playlistHealth = playlistHealth;
+window.PlaylistHealth = PlaylistHealth;
@@ -0,0 +1,558 @@
+// Import de playlists - Melodyx
+// Lit un fichier CSV, M3U ou XSPF (autre service, ancien export), retrouve chaque ligne sur Spotify
+// (URI, ISRC ou correspondance approchée titre / artiste / durée), puis crée la playlist après relecture
+
+class PlaylistImport {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+        this.candidateCount = 5;
+        this.autoSelectThreshold = 0.6; // En dessous, la ligne est décochée par défaut
+        this.confidentThreshold = 0.85;
+
+        // En-têtes CSV reconnus (exports Melodyx, Exportify et la plupart des outils)
+        this.csvHeaders = {
+            title: ['title', 'track name', 'name', 'track', 'titre', 'song'],
+            artist: ['artist', 'artist name(s)', 'artist name', 'artists', 'artiste', 'creator'],
+            album: ['album', 'album name'],
+            durationMs: ['duration_ms', 'duration (ms)', 'duration', 'durée', 'length'],
+            isrc: ['isrc'],
+            uri: ['uri', 'track uri', 'spotify uri', 'spotify_uri', 'url']
+        };
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // === LECTURE DES FICHIERS ===
+
+    // Retourne { name, entries: [{ line, title, artist, album, durationMs, isrc, uri }] }
+    parse(fileName, text) {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        const content = text.replace(/^\ufeff/, '');
+        const name = fileName.replace(/\.[^.]+$/, '');
+
+        if (extension === 'xspf' || content.trimStart().startsWith('<?xml') || content.includes('<playlist')) {
+            return this.parseXSPF(content, name);
+        } else if (['m3u', 'm3u8'].includes(extension) || content.trimStart().startsWith('#EXTM3U')) {
+            return this.parseM3U(content, name);
+        } else if (extension === 'csv' || extension === 'txt') {
+            return { name, entries: this.parseCSV(content) };
+        }
+
+        throw new Error(`Format non reconnu : .${extension} (CSV, M3U ou XSPF attendu)`);
+    }
+
+    // Découper un CSV (guillemets, retours à la ligne dans les champs) ; séparateur , ou ; détecté sur l'en-tête
+    parseCSVRows(text) {
+        const firstLine = text.slice(0, text.search(/\r?\n|$/));
+        const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    }
+
+    parseCSV(text) {
+        const [header, ...rows] = this.parseCSVRows(text);
+        if (!header) return [];
+
+        const normalizedHeader = header.map(cell => cell.trim().toLowerCase());
+        const columnIndex = {};
+        Object.entries(this.csvHeaders).forEach(([field, names]) => {
+            columnIndex[field] = normalizedHeader.findIndex(cell => names.includes(cell));
+        });
+
+        if (columnIndex.title < 0 && columnIndex.uri < 0 && columnIndex.isrc < 0) {
+            throw new Error('Colonnes introuvables : une colonne titre, ISRC ou URI est nécessaire');
+        }
+
+        const cell = (cells, field) => columnIndex[field] >= 0 ? (cells[columnIndex[field]] || '').trim() : '';
+
+        return rows.map((cells, index) => {
+            const duration = cell(cells, 'durationMs');
+            return {
+                line: index + 2,
+                title: cell(cells, 'title'),
+                artist: cell(cells, 'artist'),
+                album: cell(cells, 'album'),
+                durationMs: this.parseDuration(duration),
+                isrc: cell(cells, 'isrc').toUpperCase(),
+                uri: this.parseSpotifyUri(cell(cells, 'uri'))
+            };
+        });
+    }
+
+    // Durée en millisecondes, en secondes ou au format m:ss
+    parseDuration(value) {
+        if (!value) return null;
+        if (value.includes(':')) {
+            const parts = value.split(':').map(Number);
+            return parts.some(Number.isNaN) ? null : parts.reduce((total, part) => total * 60 + part, 0) * 1000;
+        }
+
+        const number = parseFloat(value);
+        if (!Number.isFinite(number) || number <= 0) return null;
+        return number < 10000 ? Math.round(number * 1000) : Math.round(number);
+    }
+
+    // spotify:track:ID ou https://open.spotify.com/track/ID -> spotify:track:ID
+    parseSpotifyUri(value) {
+        const match = (value || '').match(/(?:spotify:track:|open\.spotify\.com\/(?:intl-[a-z]+\/)?track\/)([A-Za-z0-9]{22})/);
+        return match ? `spotify:track:${match[1]}` : null;
+    }
+
+    parseM3U(text, defaultName) {
+        const entries = [];
+        let name = defaultName;
+        let pending = {};
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('#PLAYLIST:')) {
+                name = line.slice(10).trim() || name;
+            } else if (line.startsWith('#EXTINF:')) {
+                // #EXTINF:durée,Artiste - Titre
+                const [, seconds, label = ''] = line.match(/^#EXTINF:(-?\d+(?:\.\d+)?)[^,]*,(.*)$/) || [];
+                const separatorIndex = label.indexOf(' - ');
+                pending = {
+                    durationMs: seconds && parseFloat(seconds) > 0 ? Math.round(parseFloat(seconds) * 1000) : null,
+                    artist: separatorIndex >= 0 ? label.slice(0, separatorIndex).trim() : '',
+                    title: (separatorIndex >= 0 ? label.slice(separatorIndex + 3) : label).trim()
+                };
+            } else if (line.startsWith('#EXTALB:')) {
+                pending.album = line.slice(8).trim();
+            } else if (line.startsWith('#EXT-X-ISRC:')) {
+                pending.isrc = line.slice(12).trim().toUpperCase();
+            } else if (!line.startsWith('#')) {
+                // Emplacement : URI / lien Spotify, ou chemin de fichier dont le nom sert de titre à défaut
+                let fileTitle = (line.split(/[\\/]/).pop() || '').replace(/\.[^.]+$/, '');
+                try {
+                    fileTitle = decodeURIComponent(fileTitle);
+                } catch (error) {
+                    // Nom de fichier non encodé : gardé tel quel
+                }
+                entries.push({
+                    line: index + 1,
+                    title: pending.title || fileTitle,
+                    artist: pending.artist || '',
+                    album: pending.album || '',
+                    durationMs: pending.durationMs || null,
+                    isrc: pending.isrc || '',
+                    uri: this.parseSpotifyUri(line)
+                });
+                pending = {};
+            }
+        });
+
+        return { name, entries };
+    }
+
+    parseXSPF(text, defaultName) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Fichier XSPF invalide');
+        }
+
+        const child = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent.trim() || '';
+        const playlistTitle = [...doc.documentElement.children].find(element => element.localName === 'title');
+
+        const entries = [...doc.getElementsByTagName('track')].map((track, index) => {
+            const identifiers = [...track.getElementsByTagName('identifier')].map(element => element.textContent.trim());
+            const locations = [...track.getElementsByTagName('location')].map(element => element.textContent.trim());
+            const isrc = identifiers.find(value => /^(urn:)?isrc:/i.test(value));
+            const duration = parseInt(child(track, 'duration'));
+
+            return {
+                line: index + 1,
+                title: child(track, 'title'),
+                artist: child(track, 'creator'),
+                album: child(track, 'album'),
+                durationMs: Number.isFinite(duration) && duration > 0 ? duration : null,
+                isrc: isrc ? isrc.replace(/^(urn:)?isrc:/i, '').toUpperCase() : '',
+                uri: [...locations, ...identifiers].map(value => this.parseSpotifyUri(value)).find(Boolean) || null
+            };
+        });
+
+        return { name: playlistTitle?.textContent.trim() || defaultName, entries };
+    }
+
+    // === CORRESPONDANCE ===
+
+    normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s*[([][^)\]]*[)\]]/g, ' ') // (Remastered), [Live]...
+            .replace(/\s+-\s+.*(remaster|version|edit|live|mix).*$/, '')
+            .replace(/\b(feat|ft)\.?\s.*$/, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Coefficient de Dice sur les bigrammes : robuste aux fautes et aux mots inversés
+    similarity(a, b) {
+        const left = this.normalize(a);
+        const right = this.normalize(b);
+        if (!left || !right) return 0;
+        if (left === right) return 1;
+        if (left.length < 2 || right.length < 2) return 0;
+
+        const bigrams = new Map();
+        for (let i = 0; i < left.length - 1; i++) {
+            const bigram = left.slice(i, i + 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+
+        let common = 0;
+        for (let i = 0; i < right.length - 1; i++) {
+            const bigram = right.slice(i, i + 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                common++;
+            }
+        }
+
+        return (2 * common) / (left.length + right.length - 2);
+    }
+
+    // Confiance entre 0 et 1 : titre 50 %, artiste 30 %, durée 20 % (poids répartis si une donnée manque)
+    score(entry, track) {
+        const parts = [];
+        if (entry.title) {
+            parts.push({ weight: 0.5, value: this.similarity(entry.title, track.name) });
+        }
+        if (entry.artist) {
+            const artists = (track.artists || []).map(artist => artist.name);
+            parts.push({
+                weight: 0.3,
+                value: Math.max(this.similarity(entry.artist, artists.join(' ')), ...artists.map(name => this.similarity(entry.artist, name)))
+            });
+        }
+        if (entry.durationMs && track.duration_ms) {
+            // Identique à 2 s près, nulle au-delà de 30 s d'écart
+            const gap = Math.abs(entry.durationMs - track.duration_ms) / 1000;
+            parts.push({ weight: 0.2, value: Math.max(0, Math.min(1, 1 - (gap - 2) / 28)) });
+        }
+
+        const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+        return totalWeight === 0 ? 0 : parts.reduce((sum, part) => sum + part.weight * part.value, 0) / totalWeight;
+    }
+
+    async searchTracks(query) {
+        const result = await this.webApiService.search(query, ['track'], this.candidateCount, 0, 'from_token');
+        return result.tracks?.items || [];
+    }
+
+    // Candidats triés par confiance : [{ track, confidence, method }]
+    async findCandidates(entry) {
+        const candidates = new Map();
+        const add = (track, confidence, method) => {
+            const existing = candidates.get(track.uri);
+            if (!existing || existing.confidence < confidence) {
+                candidates.set(track.uri, { track, confidence, method });
+            }
+        };
+
+        if (entry.isrc) {
+            // Même enregistrement : confiance quasi certaine, départagée par le titre (plusieurs éditions)
+            (await this.searchTracks(`isrc:${entry.isrc}`))
+                .forEach(track => add(track, 0.95 + 0.04 * (entry.title ? this.similarity(entry.title, track.name) : 1), 'isrc'));
+        }
+
+        if (entry.title && ![...candidates.values()].some(candidate => candidate.method === 'isrc')) {
+            const title = this.normalize(entry.title);
+            const artist = this.normalize(entry.artist);
+            let tracks = artist ? await this.searchTracks(`track:${title} artist:${artist}`) : [];
+            if (tracks.length === 0) {
+                tracks = await this.searchTracks(`${title} ${artist}`.trim());
+            }
+            tracks.forEach(track => add(track, this.score(entry, track), 'fuzzy'));
+        }
+
+        return [...candidates.values()].sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Résoudre toutes les lignes ; les URIs Spotify présentes dans le fichier sont reprises telles quelles
+    async resolve(entries, onProgress = null) {
+        const results = entries.map(entry => ({ entry, candidates: [], selected: null }));
+
+        const direct = results.filter(result => result.entry.uri);
+        if (direct.length > 0) {
+            const tracks = await this.webApiService.getTracks([...new Set(direct.map(result => result.entry.uri.split(':').pop()))]);
+            const byUri = new Map(tracks.map(track => [track.uri, track]));
+            direct.forEach(result => {
+                const track = byUri.get(result.entry.uri);
+                if (track) result.candidates = [{ track, confidence: 1, method: 'uri' }];
+            });
+        }
+
+        let done = direct.length;
+        if (onProgress) onProgress(done, results.length);
+
+        for (const result of results) {
+            if (result.candidates.length > 0) continue;
+
+            try {
+                result.candidates = await this.findCandidates(result.entry);
+            } catch (error) {
+                logger.warn(`PlaylistImport: Ligne ${result.entry.line} non résolue`, error);
+            }
+            if (onProgress) onProgress(++done, results.length);
+        }
+
+        results.forEach(result => {
+            result.selected = result.candidates.length > 0 ? 0 : null;
+            result.include = result.candidates.length > 0 && result.candidates[0].confidence >= this.autoSelectThreshold;
+        });
+
+        return results;
+    }
+
+    // Créer la playlist avec les pistes retenues (ajout par lots de 100)
+    async createPlaylist(name, results) {
+        const uris = results
+            .filter(result => result.include && result.selected !== null)
+            .map(result => result.candidates[result.selected].track.uri);
+        if (uris.length === 0) {
+            throw new Error('Aucune piste retenue');
+        }
+
+        const playlist = await this.webApiService.createPlaylist(name, 'Importée par Melodyx', false);
+        await this.webApiService.addTracksToPlaylist(playlist.id, uris);
+
+        logger.info(`PlaylistImport: Import « ${name} » : ${uris.length} pistes`);
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            uri: playlist.uri,
+            image: null,
+            ownerId: playlist.owner?.id || null,
+            trackCount: uris.length
+        };
+    }
+
+    // === INTERFACE ===
+
+    confidenceClass(confidence) {
+        if (confidence >= this.confidentThreshold) return 'high';
+        if (confidence >= this.autoSelectThreshold) return 'medium';
+        return 'low';
+    }
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    renderReview(results, onlyUncertain) {
+        return results.map((result, index) => {
+            const best = result.candidates[result.selected];
+            if (onlyUncertain && best && best.confidence >= this.confidentThreshold) return '';
+
+            const { entry } = result;
+            const source = [entry.title || '(sans titre)', entry.artist].filter(Boolean).join(' — ');
+
+            return `
+                <div class="import-row">
+                    <input type="checkbox" data-include="${index}" ${result.include ? 'checked' : ''} ${best ? '' : 'disabled'}>
+                    <div class="import-source" title="Ligne ${entry.line}">
+                        ${this.escapeHTML(source)}
+                        ${entry.isrc ? `<small>ISRC ${this.escapeHTML(entry.isrc)}</small>` : ''}
+                    </div>
+                    ${best ? `
+                        <span class="import-confidence ${this.confidenceClass(best.confidence)}">${Math.round(best.confidence * 100)}%</span>
+                        <select class="import-candidate" data-candidate="${index}">
+                            ${result.candidates.map((candidate, candidateIndex) => `
+                                <option value="${candidateIndex}" ${candidateIndex === result.selected ? 'selected' : ''}>
+                                    ${Math.round(candidate.confidence * 100)}% · ${this.escapeHTML(candidate.track.name)} — ${this.escapeHTML((candidate.track.artists || []).map(artist => artist.name).join(', '))}
+                                </option>
+                            `).join('')}
+                        </select>
+                    ` : '<span class="import-confidence low">Introuvable</span>'}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Modal : dépôt du fichier, résolution, relecture puis création de la playlist
+    // onCreated(playlist) : playlist créée
+    openDialog(onCreated = null) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container import-container" onclick="event.stopPropagation()">
+                    <div class="modal-content playlist-import">
+                        <h2>📥 Importer une playlist</h2>
+                        <label class="import-dropzone">
+                            <input type="file" accept=".csv,.txt,.m3u,.m3u8,.xspf" hidden>
+                            Déposez un fichier CSV, M3U ou XSPF ici, ou cliquez pour le choisir
+                        </label>
+                        <p class="import-status"></p>
+                        <div class="import-review" style="display: none;">
+                            <div class="import-toolbar">
+                                <input type="text" class="import-name" placeholder="Nom de la playlist">
+                                <label><input type="checkbox" class="import-uncertain"> Seulement les correspondances incertaines</label>
+                            </div>
+                            <div class="import-rows"></div>
+                        </div>
+                        <div class="import-actions">
+                            <button class="btn btn-primary import-create" disabled>Créer la playlist</button>
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">Fermer</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const dropzone = modal.querySelector('.import-dropzone');
+        const fileInput = dropzone.querySelector('input[type="file"]');
+        const status = modal.querySelector('.import-status');
+        const review = modal.querySelector('.import-review');
+        const rows = modal.querySelector('.import-rows');
+        const nameInput = modal.querySelector('.import-name');
+        const uncertainToggle = modal.querySelector('.import-uncertain');
+        const createBtn = modal.querySelector('.import-create');
+
+        let results = [];
+        let busy = false;
+
+        const updateCreateButton = () => {
+            const count = results.filter(result => result.include).length;
+            createBtn.disabled = busy || count === 0;
+            createBtn.textContent = count > 0 ? `Créer la playlist (${count} titres)` : 'Créer la playlist';
+        };
+
+        const renderRows = () => {
+            rows.innerHTML = this.renderReview(results, uncertainToggle.checked);
+            updateCreateButton();
+        };
+
+        const handleFile = async (file) => {
+            if (!file || busy) return;
+
+            busy = true;
+            review.style.display = 'none';
+            updateCreateButton();
+
+            try {
+                const { name, entries } = this.parse(file.name, await file.text());
+                if (entries.length === 0) {
+                    throw new Error('Aucune piste trouvée dans le fichier');
+                }
+
+                nameInput.value = name;
+                status.textContent = `Recherche des ${entries.length} pistes...`;
+                results = await this.resolve(entries, (done, total) => {
+                    status.textContent = `Recherche des pistes... ${done}/${total}`;
+                });
+
+                const found = results.filter(result => result.candidates.length > 0).length;
+                const confident = results.filter(result => result.candidates[0]?.confidence >= this.confidentThreshold).length;
+                status.textContent = `${found}/${results.length} pistes trouvées, dont ${confident} sûres. Vérifiez les correspondances avant de créer la playlist.`;
+                review.style.display = '';
+            } catch (error) {
+                console.error('Erreur import playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+                results = [];
+            } finally {
+                busy = false;
+                renderRows();
+            }
+        };
+
+        fileInput.addEventListener('change', () => handleFile(fileInput.files[0]));
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+        dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            handleFile(e.dataTransfer.files[0]);
+        });
+
+        uncertainToggle.addEventListener('change', renderRows);
+
+        rows.addEventListener('change', (e) => {
+            if (e.target.dataset.include !== undefined) {
+                results[e.target.dataset.include].include = e.target.checked;
+            } else if (e.target.dataset.candidate !== undefined) {
+                const result = results[e.target.dataset.candidate];
+                result.selected = parseInt(e.target.value);
+                result.include = true;
+                renderRows();
+                return;
+            }
+            updateCreateButton();
+        });
+
+        createBtn.addEventListener('click', async () => {
+            const name = nameInput.value.trim() || 'Playlist importée';
+
+            busy = true;
+            updateCreateButton();
+            status.textContent = 'Création de la playlist...';
+
+            try {
+                const playlist = await this.createPlaylist(name, results);
+                status.textContent = `✅ Playlist « ${playlist.name} » créée avec ${playlist.trackCount} titres.`;
+                if (onCreated) onCreated(playlist);
+            } catch (error) {
+                console.error('Erreur création playlist importée:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                busy = false;
+                updateCreateButton();
+            }
+        });
+    }
+}
+
+// Instance globale
+const playlistImport = new PlaylistImport();
+
+// Make available globally
+window.playlistImport = playlistImport;
+window.PlaylistImport = PlaylistImport;
@@ -7,6 +7,25 @@ class PlaylistSelector {
         this.selectedPlaylist = null;
         this.currentSort = 'alphabetical'; // alphabetical, count
         this.currentView = 'dense'; // list, dense
+        
+        // Fusion pondérée de plusieurs playlists
+        this.mergeMode = false;
+        this.mergeSources = new Map(); // playlistId -> poids
+        this.mergeOutput = 'playlist'; // playlist, queue, combined
+        
+        // Écritures de playlists (santé, tri, découpage, fusion sans doublons)
+        this.webApiService = new SpotifyWebAPIService();
+        playlistHealth.setWebApiService(this.webApiService);
+        playlistEditor.setWebApiService(this.webApiService);
+        playlistExport.setWebApiService(this.webApiService);
+        playlistImport.setWebApiService(this.webApiService);
+        libraryArchive.setWebApiService(this.webApiService);
+        playlistSnapshots.setWebApiService(this.webApiService);
+        smartPlaylists.setWebApiService(this.webApiService);
+        trueRandomMode.setWebApiService(this.webApiService);
+        
+        // Caractéristiques audio des shuffles intelligents (énergie, tempo) lancés depuis le sélecteur
+        smartShuffle.setWebApiService(this.webApiService);
     }
 
     // Récupérer toutes les playlists de l'utilisateur
@@ -44,6 +63,8 @@ class PlaylistSelector {
                         : null,
                     trackCount: playlist.tracks.total,
                     owner: playlist.owner.display_name,
+                    ownerId: playlist.owner.id,
+                    collaborative: playlist.collaborative,
                     isOwner: playlist.owner.id === playlist.collaborative || playlist.owner.id,
                     uri: playlist.uri,
                     isPinned: false,
@@ -265,7 +286,11 @@ class PlaylistSelector {
             document.querySelectorAll(selector).forEach(element => {
                 element.addEventListener('click', () => {
                     const playlistId = element.getAttribute('data-playlist-id');
-                    this.selectPlaylist(playlistId);
+                    if (this.mergeMode) {
+                        this.toggleMergeSource(playlistId);
+                    } else {
+                        this.selectPlaylist(playlistId);
+                    }
                 });
             });
         });
@@ -306,6 +331,10 @@ class PlaylistSelector {
     async shuffleSelected() {
         console.log('shuffleSelected appelé, selectedPlaylist:', this.selectedPlaylist);
         
+        if (this.mergeMode) {
+            return this.mergeSelected();
+        }
+        
         if (!this.selectedPlaylist) {
             alert('Veuillez sélectionner une playlist');
             return;
@@ -332,6 +361,187 @@ class PlaylistSelector {
         }
     }
 
+    // === FUSION PONDÉRÉE ===
+    
+    // Basculer entre sélection simple et sélection multiple pour la fusion
+    toggleMergeMode() {
+        this.mergeMode = !this.mergeMode;
+        this.mergeSources.clear();
+        this.selectedPlaylist = null;
+        
+        const toggleBtn = document.getElementById('merge-toggle-btn');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', this.mergeMode);
+        }
+        
+        this.applyMergeSelection();
+        this.renderMergePanel();
+        this.updateShuffleButton();
+    }
+    
+    // Ajouter ou retirer une source de la fusion
+    toggleMergeSource(playlistId) {
+        if (this.mergeSources.has(playlistId)) {
+            this.mergeSources.delete(playlistId);
+        } else {
+            this.mergeSources.set(playlistId, 1);
+        }
+        
+        this.applyMergeSelection();
+        this.renderMergePanel();
+        this.updateShuffleButton();
+    }
+    
+    applyMergeSelection() {
+        document.querySelectorAll('.playlist-card, .playlist-row').forEach(element => {
+            element.classList.toggle('selected', this.mergeSources.has(element.getAttribute('data-playlist-id')));
+        });
+    }
+    
+    // Panneau des sources sélectionnées : poids, part résultante et type de résultat
+    renderMergePanel() {
+        const panel = document.getElementById('merge-panel');
+        if (!panel) return;
+        
+        if (!this.mergeMode) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        
+        if (this.mergeSources.size === 0) {
+            panel.innerHTML = '<p class="merge-empty">Sélectionnez au moins deux playlists à fusionner</p>';
+            return;
+        }
+        
+        const totalWeight = [...this.mergeSources.values()].reduce((sum, weight) => sum + weight, 0);
+        // Fusion simple : les playlists sont mises bout à bout, les poids ne servent pas
+        const combined = this.mergeOutput === 'combined';
+        
+        // Longueur de la fusion pondérée (avant retrait des doublons) : la source la plus courte fixe la fin
+        // (inconnue tant que le nombre de titres likés n'est pas chargé)
+        const sources = [...this.mergeSources].map(([id, weight]) => ({ playlist: this.playlists.find(p => p.id === id), weight }));
+        const countsKnown = sources.every(({ playlist }) => Number.isFinite(playlist?.trackCount));
+        const { length, limitingIndex } = shuffleRegistry.getWeightedLength(
+            sources.map(({ playlist, weight }) => ({ count: countsKnown ? playlist.trackCount : 0, weight }))
+        );
+        const totalTracks = countsKnown ? sources.reduce((sum, { playlist }) => sum + playlist.trackCount, 0) : 0;
+        const limiting = sources[limitingIndex]?.playlist;
+        
+        panel.innerHTML = `
+            <h4 class="merge-title">${combined ? '🔗 Fusion sans doublons' : '🔀 Fusion pondérée'}</h4>
+            ${[...this.mergeSources].map(([id, weight]) => {
+                const playlist = this.playlists.find(p => p.id === id);
+                return `
+                    <div class="merge-source">
+                        <span class="merge-source-name">${playlist ? playlist.name : id}</span>
+                        ${combined ? '' : `
+                            <input type="number" class="merge-weight-input" data-source-id="${id}" value="${weight}" min="1" max="100" title="Poids">
+                            <span class="merge-share">${Math.round((weight / totalWeight) * 100)}%</span>
+                        `}
+                    </div>
+                `;
+            }).join('')}
+            ${!combined && countsKnown && this.mergeSources.size > 1 && length < totalTracks ? `
+                <p class="merge-length">
+                    ≈ ${length} titres sur ${totalTracks} : les proportions sont tenues jusqu'à épuisement de « ${limiting.name} »
+                </p>
+            ` : ''}
+            <div class="merge-output">
+                <label for="merge-output-select">Résultat :</label>
+                <select id="merge-output-select" class="merge-output-select">
+                    <option value="playlist" ${this.mergeOutput === 'playlist' ? 'selected' : ''}>Playlist Spotify</option>
+                    <option value="queue" ${this.mergeOutput === 'queue' ? 'selected' : ''}>Lecture directe</option>
+                    <option value="combined" ${combined ? 'selected' : ''}>Nouvelle playlist sans doublons (ordre conservé)</option>
+                </select>
+            </div>
+        `;
+        
+        panel.querySelectorAll('.merge-weight-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const weight = Math.min(100, Math.max(1, parseInt(e.target.value) || 1));
+                this.mergeSources.set(e.target.dataset.sourceId, weight);
+                this.renderMergePanel();
+            });
+        });
+        
+        panel.querySelector('.merge-output-select').addEventListener('change', (e) => {
+            this.mergeOutput = e.target.value;
+            this.renderMergePanel();
+        });
+    }
+    
+    updateShuffleButton() {
+        const shuffleBtn = document.getElementById('shuffle-selected-btn');
+        if (!shuffleBtn) return;
+        
+        if (this.mergeMode) {
+            shuffleBtn.disabled = this.mergeSources.size < 2;
+            shuffleBtn.textContent = `Fusionner ${this.mergeSources.size} playlists`;
+        } else {
+            shuffleBtn.disabled = !this.selectedPlaylist;
+            shuffleBtn.textContent = this.selectedPlaylist
+                ? `Shuffle "${this.selectedPlaylist.name}"`
+                : 'Shuffle la playlist sélectionnée';
+        }
+    }
+    
+    // Lancer la fusion pondérée des playlists sélectionnées
+    async mergeSelected() {
+        if (this.mergeSources.size < 2) {
+            alert('Veuillez sélectionner au moins deux playlists');
+            return;
+        }
+        
+        const sources = [...this.mergeSources].map(([id, weight]) => ({
+            playlist: this.playlists.find(p => p.id === id),
+            weight
+        }));
+        
+        if (this.mergeOutput === 'combined') {
+            return this.mergeWithoutDuplicates(sources.map(source => source.playlist));
+        }
+        
+        try {
+            await trueRandomMode.mergeShuffle(sources, { output: this.mergeOutput });
+            
+            // Le lecteur reprend la liste fusionnée en mode lecture directe
+            this.closeSelector();
+            
+        } catch (error) {
+            console.error('Erreur lors de la fusion:', error);
+            this.showErrorModal(error.message);
+        }
+    }
+    
+    // Fusion simple dans une nouvelle playlist : pistes bout à bout, chaque titre une seule fois
+    async mergeWithoutDuplicates(playlists) {
+        const name = prompt('Nom de la nouvelle playlist :', playlists.map(playlist => playlist.name).join(' + ').slice(0, 100));
+        if (!name || !name.trim()) return;
+        
+        const shuffleBtn = document.getElementById('shuffle-selected-btn');
+        if (shuffleBtn) shuffleBtn.disabled = true;
+        
+        try {
+            const { playlist, duplicates } = await playlistEditor.mergePlaylists(playlists, name.trim(), (step, done, total) => {
+                if (shuffleBtn) {
+                    shuffleBtn.textContent = step === 'load' ? `Chargement... ${done}/${total}` : 'Création de la playlist...';
+                }
+            });
+            
+            this.addPlaylists([playlist]);
+            alert(`Playlist « ${playlist.name} » créée : ${playlist.trackCount} titres, ${duplicates} doublon(s) ignoré(s).`);
+            
+        } catch (error) {
+            console.error('Erreur lors de la fusion sans doublons:', error);
+            this.showErrorModal(error.message);
+        } finally {
+            this.updateShuffleButton();
+        }
+    }
+    
     // Fermer le sélecteur (mode page)
     closeSelector() {
         // En mode page, rediriger vers app.html
@@ -363,6 +573,41 @@ class PlaylistSelector {
                         </div>
                     </div>
                     
+                    <div class="shuffle-strategy-controls" id="shuffle-strategy-picker"></div>
+                    
+                    <div class="merge-controls">
+                        <button class="merge-toggle-btn ${this.mergeMode ? 'active' : ''}" id="merge-toggle-btn" title="Sélectionner plusieurs playlists et les fusionner selon des poids">
+                            🔀 Fusion
+                        </button>
+                        <button class="merge-toggle-btn" id="shuffle-diagnostics-btn" title="Mesurer l'équité de chaque stratégie de shuffle">
+                            📊 Équité
+                        </button>
+                        <button class="merge-toggle-btn" id="generated-cleanup-btn" title="Lister et supprimer les playlists générées par Melodyx">
+                            🧹 Nettoyage
+                        </button>
+                        <button class="merge-toggle-btn" id="playlist-health-btn" title="Doublons, pistes indisponibles et fichiers locaux de la playlist sélectionnée">
+                            🩺 Santé
+                        </button>
+                        <button class="merge-toggle-btn" id="playlist-editor-btn" title="Trier définitivement ou découper la playlist sélectionnée">
+                            ✏️ Éditer
+                        </button>
+                        <button class="merge-toggle-btn" id="playlist-export-btn" title="Exporter la playlist sélectionnée ou un album (CSV, JSON, M3U, XSPF)">
+                            📤 Exporter
+                        </button>
+                        <button class="merge-toggle-btn" id="playlist-import-btn" title="Créer une playlist à partir d'un fichier CSV, M3U ou XSPF">
+                            📥 Importer
+                        </button>
+                        <button class="merge-toggle-btn" id="library-backup-btn" title="Sauvegarder ou restaurer toute la bibliothèque (playlists et titres likés)">
+                            💾 Sauvegarde
+                        </button>
+                        <button class="merge-toggle-btn" id="playlist-history-btn" title="Suivre les modifications de la playlist sélectionnée et revenir à un état antérieur">
+                            🕒 Historique
+                        </button>
+                        <button class="merge-toggle-btn" id="smart-playlists-btn" title="Playlists générées à partir de règles (date d'ajout, artiste, durée, année...)">
+                            🧠 Intelligentes
+                        </button>
+                    </div>
+                    
                     <div class="playlist-count">
                         <span id="playlist-count">${this.filteredPlaylists.length} playlists</span>
                     </div>
@@ -374,6 +619,8 @@ class PlaylistSelector {
                     </div>
                 </div>
                 
+                <div class="merge-panel" id="merge-panel" style="display: none;"></div>
+                
                 <div class="floating-buttons">
                     <button class="btn btn-secondary floating-btn" onclick="window.location.href='app.html'">
                         Retour
@@ -428,10 +675,152 @@ class PlaylistSelector {
             this.currentView = savedView;
         }
         
+        // Sélecteur de stratégie de shuffle (choix persisté)
+        shuffleRegistry.renderPicker(document.getElementById('shuffle-strategy-picker'));
+        
+        // Mode fusion (sélection multiple)
+        const mergeToggleBtn = document.getElementById('merge-toggle-btn');
+        if (mergeToggleBtn) {
+            mergeToggleBtn.addEventListener('click', () => {
+                this.toggleMergeMode();
+            });
+        }
+        
+        // Diagnostic d'équité des shuffles (playlist synthétique ou playlist sélectionnée)
+        const diagnosticsBtn = document.getElementById('shuffle-diagnostics-btn');
+        if (diagnosticsBtn) {
+            diagnosticsBtn.addEventListener('click', () => {
+                const playlist = this.selectedPlaylist;
+                shuffleDiagnostics.openPanel(playlist ? {
+                    realLabel: playlist.name,
+                    loadRealTracks: () => playlist.id === 'liked-tracks'
+                        ? trueRandomMode.fetchAllLikedTracks()
+                        : trueRandomMode.fetchPlaylistTracks(playlist.id)
+                } : {});
+            });
+        }
+        
+        // Nettoyage des playlists générées par Melodyx
+        const cleanupBtn = document.getElementById('generated-cleanup-btn');
+        if (cleanupBtn) {
+            cleanupBtn.addEventListener('click', () => {
+                trueRandomMode.showCleanupModal(deletedIds => this.removePlaylists(deletedIds));
+            });
+        }
+        
+        // Santé de la playlist sélectionnée
+        const healthBtn = document.getElementById('playlist-health-btn');
+        if (healthBtn) {
+            healthBtn.addEventListener('click', () => {
+                if (!this.selectedPlaylist) {
+                    alert('Veuillez sélectionner une playlist');
+                    return;
+                }
+                playlistHealth.openReport(this.selectedPlaylist);
+            });
+        }
+        
+        // Tri définitif et découpage de la playlist sélectionnée
+        const editorBtn = document.getElementById('playlist-editor-btn');
+        if (editorBtn) {
+            editorBtn.addEventListener('click', () => {
+                if (!this.selectedPlaylist) {
+                    alert('Veuillez sélectionner une playlist');
+                    return;
+                }
+                playlistEditor.openEditor(this.selectedPlaylist, created => this.addPlaylists(created));
+            });
+        }
+        
+        // Export de la playlist sélectionnée (ou d'un album)
+        const exportBtn = document.getElementById('playlist-export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                playlistExport.openDialog(this.selectedPlaylist);
+            });
+        }
+        
+        // Import d'un fichier de playlist
+        const importBtn = document.getElementById('playlist-import-btn');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => {
+                playlistImport.openDialog(playlist => this.addPlaylists([playlist]));
+            });
+        }
+        
+        // Sauvegarde et restauration de la bibliothèque
+        const backupBtn = document.getElementById('library-backup-btn');
+        if (backupBtn) {
+            backupBtn.addEventListener('click', () => {
+                libraryArchive.openDialog(playlists => this.addPlaylists(playlists));
+            });
+        }
+        
+        // Historique des modifications de la playlist sélectionnée
+        const historyBtn = document.getElementById('playlist-history-btn');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => {
+                if (!this.selectedPlaylist || this.selectedPlaylist.id === 'liked-tracks') {
+                    alert('Veuillez sélectionner une playlist (les titres likés n\'ont pas d\'historique)');
+                    return;
+                }
+                playlistSnapshots.openTimeline(this.selectedPlaylist);
+            });
+        }
+        
+        // Playlists intelligentes (règles sur les titres likés et les playlists)
+        const smartBtn = document.getElementById('smart-playlists-btn');
+        if (smartBtn) {
+            smartBtn.addEventListener('click', () => {
+                smartPlaylists.openManager(this.playlists, playlist => this.addPlaylists([playlist]));
+            });
+        }
+        
+        // Instantanés des playlists suivies dont le dernier contrôle est ancien
+        playlistSnapshots.startPeriodicChecks();
+        
         // Attacher les événements de sélection de playlist
         this.attachPlaylistEvents();
     }
     
+    // Afficher des playlists créées par Melodyx (découpage, fusion)
+    addPlaylists(createdPlaylists) {
+        const entries = createdPlaylists.map(playlist => ({
+            id: playlist.id,
+            name: playlist.name,
+            description: 'Aucune description',
+            image: playlist.image,
+            trackCount: playlist.trackCount,
+            owner: 'Vous',
+            ownerId: playlist.ownerId,
+            collaborative: false,
+            isOwner: true,
+            uri: playlist.uri,
+            isPinned: false,
+            addedAt: new Date()
+        }));
+        
+        this.playlists.push(...entries);
+        this.applySorting();
+        this.refreshGrid();
+    }
+    
+    // Retirer de l'affichage des playlists supprimées
+    removePlaylists(playlistIds) {
+        const removed = new Set(playlistIds);
+        this.playlists = this.playlists.filter(playlist => !removed.has(playlist.id));
+        this.filteredPlaylists = this.filteredPlaylists.filter(playlist => !removed.has(playlist.id));
+        playlistIds.forEach(id => this.mergeSources.delete(id));
+        
+        if (this.selectedPlaylist && removed.has(this.selectedPlaylist.id)) {
+            this.selectedPlaylist = null;
+        }
+        
+        this.refreshGrid();
+        this.renderMergePanel();
+        this.updateShuffleButton();
+    }
+    
 
 
     // Fonctions de tri
@@ -475,6 +864,11 @@ class PlaylistSelector {
             grid.innerHTML = this.renderPlaylistView();
             // Ré-attacher les événements
             setTimeout(() => this.attachPlaylistEvents(), 0);
+            
+            // Conserver la sélection multiple après un changement de tri ou de vue
+            if (this.mergeMode) {
+                this.applyMergeSelection();
+            }
         }
         
         if (counter) {
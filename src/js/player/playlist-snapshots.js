@@ -0,0 +1,355 @@
+// Historique des playlists - Melodyx
+// Instantanés des playlists suivies (un par snapshot_id Spotify) conservés dans IndexedDB :
+// chronologie des ajouts et retraits, auteur de chaque ajout (playlists collaboratives) et retour à un état antérieur
+
+class PlaylistSnapshots {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+        this.storeName = 'playlistSnapshots';
+        this.trackedStorageKey = 'melodyx-tracked-playlists';
+        this.checkInterval = 6 * 60 * 60 * 1000; // Un instantané toutes les 6 h au plus par playlist
+        this.maxSnapshotsPerPlaylist = 50;
+        this.timer = null;
+        this.userNames = new Map(); // userId -> nom affiché
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // === PLAYLISTS SUIVIES ===
+
+    // { playlistId: { name, lastCheckedAt } }
+    getTracked() {
+        try {
+            return JSON.parse(localStorage.getItem(this.trackedStorageKey)) || {};
+        } catch (error) {
+            logger.warn('PlaylistSnapshots: Playlists suivies illisibles, liste réinitialisée', error);
+            return {};
+        }
+    }
+
+    saveTracked(tracked) {
+        localStorage.setItem(this.trackedStorageKey, JSON.stringify(tracked));
+    }
+
+    isTracked(playlistId) {
+        return Boolean(this.getTracked()[playlistId]);
+    }
+
+    track(playlist) {
+        const tracked = this.getTracked();
+        tracked[playlist.id] = { name: playlist.name, lastCheckedAt: 0 };
+        this.saveTracked(tracked);
+    }
+
+    untrack(playlistId) {
+        const tracked = this.getTracked();
+        delete tracked[playlistId];
+        this.saveTracked(tracked);
+    }
+
+    // === INSTANTANÉS ===
+
+    // Instantanés d'une playlist, du plus ancien au plus récent
+    async list(playlistId) {
+        const snapshots = await melodyxDB.getAllFromIndex(this.storeName, 'playlistId', IDBKeyRange.only(playlistId));
+        return snapshots.sort((a, b) => a.capturedAt - b.capturedAt);
+    }
+
+    // Enregistrer l'état actuel si le snapshot_id a changé depuis le dernier instantané.
+    // Retourne l'instantané créé, ou null si la playlist n'a pas changé
+    async capture(playlistId, force = false) {
+        const playlist = await this.webApiService.getPlaylist(playlistId);
+        const snapshots = await this.list(playlistId);
+        const latest = snapshots[snapshots.length - 1];
+
+        const tracked = this.getTracked();
+        if (tracked[playlistId]) {
+            tracked[playlistId] = { name: playlist.name, lastCheckedAt: Date.now() };
+            this.saveTracked(tracked);
+        }
+
+        if (!force && latest && latest.snapshotId === playlist.snapshot_id) {
+            return null;
+        }
+
+        const items = await this.webApiService.getAllPlaylistItems(playlistId);
+        const record = {
+            id: `${playlistId}:${playlist.snapshot_id}`,
+            playlistId,
+            snapshotId: playlist.snapshot_id,
+            name: playlist.name,
+            collaborative: Boolean(playlist.collaborative),
+            capturedAt: Date.now(),
+            tracks: items.filter(item => item && item.track).map(item => ({
+                uri: this.webApiService.getPlaylistItemUri(item.track),
+                name: item.track.name || '',
+                artists: (item.track.artists || []).map(artist => artist.name).join(', '),
+                addedAt: item.added_at || null,
+                addedBy: item.added_by?.id || null,
+                isLocal: Boolean(item.track.is_local)
+            }))
+        };
+
+        await melodyxDB.put(this.storeName, record);
+        await this.prune(playlistId);
+
+        logger.debug('PlaylistSnapshots: Instantané enregistré', { name: record.name, tracks: record.tracks.length });
+        return record;
+    }
+
+    // Garder les instantanés les plus récents
+    async prune(playlistId) {
+        const snapshots = await this.list(playlistId);
+        const excess = snapshots.slice(0, Math.max(0, snapshots.length - this.maxSnapshotsPerPlaylist));
+        for (const snapshot of excess) {
+            await melodyxDB.delete(this.storeName, snapshot.id);
+        }
+    }
+
+    async deleteAll(playlistId) {
+        for (const snapshot of await this.list(playlistId)) {
+            await melodyxDB.delete(this.storeName, snapshot.id);
+        }
+    }
+
+    // Capturer les playlists suivies dont le dernier contrôle est plus ancien que l'intervalle
+    async checkDue() {
+        const tracked = this.getTracked();
+        const due = Object.entries(tracked)
+            .filter(([, info]) => Date.now() - (info.lastCheckedAt || 0) >= this.checkInterval)
+            .map(([playlistId]) => playlistId);
+
+        for (const playlistId of due) {
+            try {
+                await this.capture(playlistId);
+            } catch (error) {
+                logger.warn(`PlaylistSnapshots: Instantané impossible pour ${tracked[playlistId].name}`, error);
+            }
+        }
+    }
+
+    // Contrôle au démarrage puis toutes les heures tant que la page reste ouverte
+    startPeriodicChecks() {
+        if (this.timer || !this.webApiService) return;
+
+        this.checkDue();
+        this.timer = setInterval(() => this.checkDue(), 60 * 60 * 1000);
+    }
+
+    // === COMPARAISON ===
+
+    // Ajouts et retraits entre deux instantanés (une piste présente deux fois compte deux fois)
+    diff(older, newer) {
+        const remaining = new Map();
+        older.tracks.forEach(track => {
+            if (!remaining.has(track.uri)) remaining.set(track.uri, []);
+            remaining.get(track.uri).push(track);
+        });
+
+        const added = [];
+        newer.tracks.forEach(track => {
+            const previous = remaining.get(track.uri);
+            if (previous && previous.length > 0) {
+                previous.shift();
+            } else {
+                added.push(track);
+            }
+        });
+
+        const removed = [...remaining.values()].flat();
+        return { added, removed };
+    }
+
+    // Entrées de la chronologie, de la plus récente à la plus ancienne
+    async timeline(playlistId) {
+        const snapshots = await this.list(playlistId);
+
+        return snapshots.map((snapshot, index) => ({
+            snapshot,
+            initial: index === 0,
+            ...(index === 0 ? { added: [], removed: [] } : this.diff(snapshots[index - 1], snapshot))
+        })).reverse();
+    }
+
+    // Noms affichés des auteurs d'ajouts (mis en cache ; l'identifiant sert de repli)
+    async resolveUserNames(userIds) {
+        for (const userId of userIds) {
+            if (!userId || this.userNames.has(userId)) continue;
+
+            try {
+                const user = await this.webApiService.getUser(userId);
+                this.userNames.set(userId, user.display_name || userId);
+            } catch (error) {
+                this.userNames.set(userId, userId);
+            }
+        }
+    }
+
+    // === RETOUR ARRIÈRE ===
+
+    // Remplacer le contenu de la playlist par celui d'un instantané.
+    // Les dates et auteurs d'ajout repartent de zéro et les fichiers locaux ne peuvent pas être remis
+    async revert(snapshotKey) {
+        const snapshot = await melodyxDB.get(this.storeName, snapshotKey);
+        if (!snapshot) {
+            throw new Error('Instantané introuvable');
+        }
+
+        const uris = snapshot.tracks.filter(track => !track.isLocal).map(track => track.uri);
+        await this.webApiService.replacePlaylistTracks(snapshot.playlistId, uris);
+
+        // Le nouvel état rejoint la chronologie
+        return this.capture(snapshot.playlistId, true);
+    }
+
+    // === INTERFACE ===
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    renderTrackList(tracks, type, collaborative) {
+        return tracks.map(track => `
+            <li class="history-track ${type}">
+                <span class="history-track-sign">${type === 'added' ? '+' : '−'}</span>
+                <span class="history-track-name">${this.escapeHTML(track.name)} <small>${this.escapeHTML(track.artists)}</small></span>
+                ${type === 'added' && collaborative && track.addedBy
+                    ? `<span class="history-track-author">par ${this.escapeHTML(this.userNames.get(track.addedBy) || track.addedBy)}</span>`
+                    : ''}
+            </li>
+        `).join('');
+    }
+
+    renderTimeline(entries) {
+        if (entries.length === 0) {
+            return '<p class="history-empty">Aucun instantané pour le moment.</p>';
+        }
+
+        return entries.map((entry, index) => {
+            const { snapshot, added, removed, initial } = entry;
+            const summary = initial
+                ? `Instantané initial · ${snapshot.tracks.length} titres`
+                : added.length === 0 && removed.length === 0
+                    ? `Ordre modifié · ${snapshot.tracks.length} titres`
+                    : `+${added.length} / −${removed.length} · ${snapshot.tracks.length} titres`;
+
+            return `
+                <div class="history-entry">
+                    <div class="history-entry-header">
+                        <span class="history-entry-date">${new Date(snapshot.capturedAt).toLocaleString()}</span>
+                        <span class="history-entry-summary">${summary}</span>
+                        ${index > 0 ? `<button class="btn btn-secondary history-revert" data-snapshot="${this.escapeHTML(snapshot.id)}">Revenir à cet état</button>` : '<span class="history-entry-current">Actuel</span>'}
+                    </div>
+                    ${added.length + removed.length > 0 ? `
+                        <details>
+                            <summary>Détails</summary>
+                            <ul class="history-tracks">
+                                ${this.renderTrackList(added, 'added', snapshot.collaborative)}
+                                ${this.renderTrackList(removed, 'removed', false)}
+                            </ul>
+                        </details>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    async openTimeline(playlist) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container history-container" onclick="event.stopPropagation()">
+                    <div class="modal-content playlist-history">
+                        <h2>🕒 Historique de « ${this.escapeHTML(playlist.name)} »</h2>
+                        <div class="history-toolbar">
+                            <label>
+                                <input type="checkbox" class="history-track-toggle" ${this.isTracked(playlist.id) ? 'checked' : ''}>
+                                Suivre cette playlist (instantané toutes les 6 h)
+                            </label>
+                            <button class="btn btn-secondary history-capture">Capturer maintenant</button>
+                        </div>
+                        <p class="history-status"></p>
+                        <div class="history-timeline"></div>
+                        <div class="history-actions">
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">Fermer</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('.history-status');
+        const timeline = modal.querySelector('.history-timeline');
+        const captureBtn = modal.querySelector('.history-capture');
+
+        const refresh = async () => {
+            const entries = await this.timeline(playlist.id);
+            const authors = entries.flatMap(entry => entry.snapshot.collaborative ? entry.added.map(track => track.addedBy) : []);
+            await this.resolveUserNames([...new Set(authors)]);
+            timeline.innerHTML = this.renderTimeline(entries);
+        };
+
+        const capture = async (force) => {
+            captureBtn.disabled = true;
+            status.textContent = 'Capture en cours...';
+            try {
+                const snapshot = await this.capture(playlist.id, force);
+                status.textContent = snapshot ? '✅ Instantané enregistré.' : 'Aucun changement depuis le dernier instantané.';
+                await refresh();
+            } catch (error) {
+                console.error('Erreur instantané playlist:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                captureBtn.disabled = false;
+            }
+        };
+
+        modal.querySelector('.history-track-toggle').addEventListener('change', async (e) => {
+            if (e.target.checked) {
+                this.track(playlist);
+                await capture(false);
+            } else {
+                this.untrack(playlist.id);
+                status.textContent = 'Playlist retirée du suivi (les instantanés existants sont conservés).';
+            }
+        });
+
+        captureBtn.addEventListener('click', () => capture(false));
+
+        timeline.addEventListener('click', async (e) => {
+            const revertBtn = e.target.closest('.history-revert');
+            if (!revertBtn) return;
+            if (!confirm('Remplacer le contenu actuel de la playlist par cet état ? Les dates d\'ajout seront réinitialisées.')) return;
+
+            revertBtn.disabled = true;
+            status.textContent = 'Retour à l\'état choisi...';
+            try {
+                await this.revert(revertBtn.dataset.snapshot);
+                status.textContent = '✅ Playlist restaurée.';
+                await refresh();
+            } catch (error) {
+                console.error('Erreur retour instantané:', error);
+                status.textContent = `Erreur : ${error.message}`;
+                revertBtn.disabled = false;
+            }
+        });
+
+        try {
+            await refresh();
+        } catch (error) {
+            console.error('Erreur chargement historique:', error);
+            status.textContent = `Erreur : ${error.message}`;
+        }
+    }
+}
+
+// Instance globale
+const playlistSnapshots = new PlaylistSnapshots();
+
+// Make available globally
+window.playlistSnapshots = playlistSnapshots;
+window.PlaylistSnapshots = PlaylistSnapshots;
@@ -0,0 +1,233 @@
+// Alimentation progressive de la file d'attente - Melodyx
+// Garde seulement quelques pistes d'avance dans la file Spotify au lieu d'y ajouter toute la liste d'un coup
+
+class QueueFeeder {
+    constructor(webApiService, options = {}) {
+        this.webApiService = webApiService;
+        this.initialCount = options.initialCount || 20; // Pistes lancées directement via playTracks
+        this.lookAhead = options.lookAhead || 5;        // Pistes gardées d'avance dans la file
+        this.requestDelay = options.requestDelay || 250;
+        this.listeners = new Set();
+        this.runId = 0; // Change à chaque nouvelle liste : les boucles d'une liste précédente s'arrêtent
+        this.reset();
+    }
+
+    reset() {
+        this.runId++;
+        this.uris = [];
+        this.status = 'idle'; // idle | running | paused | completed | cancelled
+        this.initialLength = 0;
+        this.fedCount = 0;     // Pistes déjà transmises à Spotify (lecture initiale + file)
+        this.currentIndex = -1;
+        this.started = false;  // Lecture de la liste confirmée par un état du lecteur
+        this.feeding = false;
+    }
+
+    // Lancer la lecture d'une liste d'URIs
+    // startIndex / positionMs : reprendre la liste à une piste et une position données
+    async start(uris, deviceId = null, { startIndex = 0, positionMs = 0 } = {}) {
+        if (!uris || uris.length === 0) {
+            throw new Error('No tracks to play');
+        }
+
+        this.cancel();
+        this.reset();
+        this.uris = [...uris];
+        const runId = this.runId;
+
+        // Quelques pistes précédentes restent dans la liste pour le bouton « précédent »
+        const batchStart = Math.max(0, startIndex - 5);
+        const initialBatch = this.uris.slice(batchStart, startIndex + this.initialCount);
+        await this.webApiService.playTracks(initialBatch, deviceId, startIndex - batchStart, positionMs);
+        if (runId !== this.runId) return; // Une autre liste a été lancée entre-temps
+
+        // Index (dans la liste complète) de la fin du lot initial
+        this.initialLength = batchStart + initialBatch.length;
+        this.fedCount = this.initialLength;
+        this.status = this.fedCount < this.uris.length ? 'running' : 'completed';
+
+        logger.info('QueueFeeder: Lecture démarrée', {
+            total: this.uris.length,
+            initial: this.initialLength,
+            lookAhead: this.lookAhead
+        });
+        this.notify();
+    }
+
+    // Reprendre une alimentation déjà lancée (après rechargement de la page)
+    restore(uris, { queued = 0, initial = 0 } = {}) {
+        this.reset();
+        this.uris = [...uris];
+        this.initialLength = initial;
+        this.fedCount = Math.min(queued, this.uris.length);
+        this.status = this.fedCount < this.uris.length ? 'running' : 'completed';
+        this.notify();
+    }
+
+    // Appelé à chaque mise à jour de l'état du lecteur
+    handlePlaybackState(trackUri, contextUri = null) {
+        if (!trackUri || !['running', 'paused', 'completed'].includes(this.status)) return;
+
+        const index = this.findIndex(trackUri);
+
+        // L'ancien contexte peut encore être rapporté juste après le lancement
+        if (!this.started) {
+            if (contextUri || index < 0) return;
+            this.started = true;
+        }
+
+        // L'utilisateur a lancé une playlist, un album... : notre liste n'est plus lue
+        if (contextUri) {
+            this.cancel();
+            return;
+        }
+
+        // Piste ajoutée manuellement à la file : attendre le retour dans la liste
+        if (index < 0) return;
+
+        if (index !== this.currentIndex) {
+            this.currentIndex = index;
+            this.notify();
+        }
+
+        this.topUp();
+    }
+
+    findIndex(trackUri) {
+        const index = this.uris.indexOf(trackUri, Math.max(this.currentIndex, 0));
+        return index >= 0 ? index : this.uris.indexOf(trackUri);
+    }
+
+    // Compléter la file jusqu'à la fenêtre d'avance
+    async topUp() {
+        if (this.status !== 'running' || this.feeding) return;
+
+        // Les ajouts à la file passent avant le reste de la liste initiale : attendre sa dernière piste
+        if (this.currentIndex < this.initialLength - 1) return;
+
+        this.feeding = true;
+        const runId = this.runId;
+
+        try {
+            while (runId === this.runId &&
+                   this.status === 'running' &&
+                   this.fedCount < this.uris.length &&
+                   this.fedCount - this.currentIndex - 1 < this.lookAhead) {
+                const uri = this.uris[this.fedCount];
+
+                try {
+                    await this.webApiService.addToQueue(uri);
+                } catch (error) {
+                    // Continuer même si certaines pistes échouent
+                    logger.warn('QueueFeeder: Failed to add track to queue', { uri, error: error.message });
+                }
+
+                // Liste remplacée pendant l'ajout : ne pas toucher à la nouvelle
+                if (runId !== this.runId) return;
+
+                this.fedCount++;
+                this.notify();
+                await this.webApiService.delay(this.requestDelay);
+            }
+
+            if (runId === this.runId && this.status === 'running' && this.fedCount >= this.uris.length) {
+                this.status = 'completed';
+                logger.info('QueueFeeder: Toutes les pistes ont été transmises', { total: this.uris.length });
+                this.notify();
+            }
+        } finally {
+            // La nouvelle liste a son propre indicateur (remis à zéro par reset)
+            if (runId === this.runId) {
+                this.feeding = false;
+            }
+        }
+    }
+
+    // === CONTRÔLE ===
+
+    pause() {
+        if (this.status !== 'running') return;
+        this.status = 'paused';
+        logger.info('QueueFeeder: En pause', this.getProgress());
+        this.notify();
+    }
+
+    resume() {
+        if (this.status !== 'paused') return;
+        this.status = 'running';
+        logger.info('QueueFeeder: Reprise', this.getProgress());
+        this.notify();
+        this.topUp();
+    }
+
+    // Arrêter l'alimentation (les pistes déjà dans la file Spotify y restent)
+    cancel() {
+        if (!['running', 'paused'].includes(this.status)) return;
+        this.status = 'cancelled';
+        logger.info('QueueFeeder: Annulé', this.getProgress());
+        this.notify();
+    }
+
+    isActive() {
+        return this.status === 'running' || this.status === 'paused';
+    }
+
+    // === PROGRESSION ===
+
+    getProgress() {
+        return {
+            status: this.status,
+            total: this.uris.length,
+            queued: this.fedCount,
+            played: this.currentIndex + 1,
+            initial: this.initialLength
+        };
+    }
+
+    // S'abonner à la progression ; retourne la fonction de désabonnement
+    onProgress(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const progress = this.getProgress();
+        this.listeners.forEach(listener => {
+            try {
+                listener(progress);
+            } catch (error) {
+                logger.error('QueueFeeder: Erreur listener progression', error);
+            }
+        });
+    }
+
+    // === LECTURE EN ATTENTE ===
+    // Une autre page (sélecteur de playlist...) prépare une liste que le lecteur lancera à son ouverture
+
+    static savePending(uris, info = {}) {
+        localStorage.setItem(QueueFeeder.pendingStorageKey, JSON.stringify({
+            uris,
+            ...info,
+            createdAt: Date.now()
+        }));
+    }
+
+    // Récupérer (et consommer) la liste en attente si elle est encore récente
+    static takePending(maxAgeMs = 10 * 60 * 1000) {
+        const raw = localStorage.getItem(QueueFeeder.pendingStorageKey);
+        localStorage.removeItem(QueueFeeder.pendingStorageKey);
+
+        try {
+            const pending = JSON.parse(raw);
+            if (!pending || !Array.isArray(pending.uris) || pending.uris.length === 0) return null;
+            return Date.now() - pending.createdAt <= maxAgeMs ? pending : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+QueueFeeder.pendingStorageKey = 'melodyx-pending-queue';
+
+// Make available globally
+window.QueueFeeder = QueueFeeder;
@@ -0,0 +1,52 @@
+// Files d'attente enregistrées - Melodyx
+// Instantanés nommés d'une session d'écoute (liste de pistes, piste en cours et position),
+// conservés dans IndexedDB pour reprendre la lecture plus tard au même endroit
+
+class QueueSnapshots {
+    constructor() {
+        this.storeName = 'queueSnapshots';
+    }
+
+    // Instantanés du plus récent au plus ancien
+    async list() {
+        const snapshots = await melodyxDB.getAll(this.storeName);
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    get(id) {
+        return melodyxDB.get(this.storeName, id);
+    }
+
+    // snapshot: { name, uris, index, positionMs, contextUri, label }
+    async save(snapshot) {
+        if (!snapshot.uris || snapshot.uris.length === 0) {
+            throw new Error('File d\'attente vide');
+        }
+
+        const record = {
+            id: `queue-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: snapshot.name,
+            uris: snapshot.uris,
+            index: Math.min(Math.max(snapshot.index || 0, 0), snapshot.uris.length - 1),
+            positionMs: snapshot.positionMs || 0,
+            contextUri: snapshot.contextUri || null,
+            label: snapshot.label || null,
+            createdAt: Date.now()
+        };
+
+        await melodyxDB.put(this.storeName, record);
+        logger.info('QueueSnapshots: File enregistrée', { name: record.name, tracks: record.uris.length });
+        return record;
+    }
+
+    delete(id) {
+        return melodyxDB.delete(this.storeName, id);
+    }
+}
+
+// Instance globale
+const queueSnapshots = new QueueSnapshots();
+
+// Make available globally
+window.queueSnapshots = queueSnapshots;
+window.QueueSnapshots = QueueSnapshots;
@@ -0,0 +1,490 @@
+// Rewind mensuel - Melodyx
+// Statistiques d'écoute par mois : journal des écoutes (scrobbler.js, conservé sans limite et avec
+// la durée réellement écoutée) croisé avec les tops Spotify (/me/top/artists et /me/top/tracks)
+
+class RewindStats {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+
+        this.timeRanges = {
+            short_term: '4 dernières semaines',
+            medium_term: '6 derniers mois',
+            long_term: 'Depuis toujours'
+        };
+        this.metrics = {
+            minutes: 'Minutes',
+            plays: 'Écoutes'
+        };
+        this.dayLabels = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim'];
+        this.topSize = 10;
+
+        // Métadonnées complètes par piste et par artiste (durée, artistes, genres, pochettes)
+        this.tracks = new Map();
+        this.artists = new Map();
+
+        this.plays = [];
+        this.topItems = null;
+        this.state = { month: null, metric: 'minutes', range: 'short_term' };
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+        // Import des écoutes récentes (bouton de la page)
+        playHistory.setWebApiService(webApiService);
+    }
+
+    // === DONNÉES ===
+
+    // Tops Spotify des trois périodes
+    async loadTopItems() {
+        const ranges = Object.keys(this.timeRanges);
+        const results = await Promise.all(ranges.flatMap(range => [
+            this.webApiService.getTopItems('artists', range),
+            this.webApiService.getTopItems('tracks', range)
+        ]));
+
+        this.topItems = {};
+        ranges.forEach((range, index) => {
+            const artists = results[index * 2];
+            const tracks = results[index * 2 + 1];
+            this.topItems[range] = { artists, tracks };
+
+            artists.forEach(artist => this.artists.set(artist.id, artist));
+            tracks.forEach(track => this.tracks.set(track.id, track));
+        });
+
+        return this.topItems;
+    }
+
+    // Journal des écoutes complété par les métadonnées Spotify manquantes
+    // Toute écoute compte pour les minutes ; seules celles qui valent un scrobble comptent comme écoutes
+    async loadPlays() {
+        const entries = await scrobbler.list();
+        this.plays = entries.map(entry => ({
+            trackId: entry.trackId,
+            name: entry.name,
+            artist: entry.artist,
+            playedAt: entry.startedAt,
+            minutes: entry.listenedMs / 60000,
+            counted: entry.scrobbled
+        }));
+
+        // Les fichiers locaux (URI en guise d'identifiant) n'existent pas dans le catalogue
+        const missingTracks = [...new Set(this.plays.map(play => play.trackId))]
+            .filter(trackId => !trackId.includes(':') && !this.tracks.has(trackId));
+        if (missingTracks.length > 0) {
+            const tracks = await this.webApiService.getTracks(missingTracks);
+            tracks.forEach(track => this.tracks.set(track.id, track));
+        }
+
+        const missingArtists = [...new Set([...this.tracks.values()]
+            .flatMap(track => (track.artists || []).map(artist => artist.id)))]
+            .filter(artistId => artistId && !this.artists.has(artistId));
+        if (missingArtists.length > 0) {
+            const artists = await this.webApiService.getArtists(missingArtists);
+            artists.forEach(artist => this.artists.set(artist.id, artist));
+        }
+
+        return this.plays;
+    }
+
+    async load() {
+        await this.loadTopItems();
+        await this.loadPlays();
+
+        const months = this.getMonths();
+        this.state.month = months.length > 0 ? months[months.length - 1].key : null;
+    }
+
+    // === AGRÉGATION ===
+
+    getMonthKey(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    formatMonth(key, style = 'long') {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('fr-FR', { month: style, year: 'numeric' });
+    }
+
+    getPlayArtists(play) {
+        const track = this.tracks.get(play.trackId);
+        if (track?.artists?.length) {
+            return track.artists.map(artist => ({ id: artist.id, name: artist.name }));
+        }
+        return (play.artist || '').split(', ').filter(Boolean).map(name => ({ id: null, name }));
+    }
+
+    getPlayGenres(play) {
+        const genres = new Set();
+        this.getPlayArtists(play).forEach(artist => {
+            (this.artists.get(artist.id)?.genres || []).forEach(genre => genres.add(genre));
+        });
+        return [...genres];
+    }
+
+    // Mois présents dans le journal, du plus ancien au plus récent
+    getMonths() {
+        const months = new Map();
+        this.plays.forEach(play => {
+            const key = this.getMonthKey(play.playedAt);
+            const month = months.get(key) || { key, plays: 0, minutes: 0 };
+            if (play.counted) month.plays++;
+            month.minutes += play.minutes;
+            months.set(key, month);
+        });
+        return [...months.values()].sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    // Classement générique : clé -> { plays, minutes, ...infos }
+    rank(map, metric) {
+        return [...map.values()]
+            .sort((a, b) => b[metric] - a[metric] || b.plays - a.plays)
+            .slice(0, this.topSize);
+    }
+
+    // Statistiques détaillées d'un mois
+    aggregateMonth(monthKey, metric = this.state.metric) {
+        const plays = this.plays.filter(play => this.getMonthKey(play.playedAt) === monthKey);
+        const [year, month] = monthKey.split('-').map(Number);
+        const daysInMonth = new Date(year, month, 0).getDate();
+
+        const tracks = new Map();
+        const artists = new Map();
+        const genres = new Map();
+        const days = Array.from({ length: daysInMonth }, () => ({ plays: 0, minutes: 0 }));
+        const heatmap = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ plays: 0, minutes: 0 })));
+
+        const add = (map, key, minutes, counted, info) => {
+            const entry = map.get(key) || { ...info, plays: 0, minutes: 0 };
+            if (counted) entry.plays++;
+            entry.minutes += minutes;
+            map.set(key, entry);
+        };
+
+        let totalMinutes = 0;
+        plays.forEach(play => {
+            const { minutes } = play;
+            const date = new Date(play.playedAt);
+            const track = this.tracks.get(play.trackId);
+            totalMinutes += minutes;
+
+            add(tracks, play.trackId, minutes, play.counted, {
+                name: track?.name || play.name,
+                artist: track ? track.artists.map(artist => artist.name).join(', ') : play.artist,
+                image: track?.album?.images?.[track.album.images.length - 1]?.url || null
+            });
+            this.getPlayArtists(play).forEach(artist => add(artists, artist.id || artist.name, minutes, play.counted, {
+                name: artist.name,
+                image: this.artists.get(artist.id)?.images?.[0]?.url || null
+            }));
+            this.getPlayGenres(play).forEach(genre => add(genres, genre, minutes, play.counted, { name: genre }));
+
+            const day = days[date.getDate() - 1];
+            if (play.counted) day.plays++;
+            day.minutes += minutes;
+
+            // Lundi en premier
+            const cell = heatmap[(date.getDay() + 6) % 7][date.getHours()];
+            if (play.counted) cell.plays++;
+            cell.minutes += minutes;
+        });
+
+        return {
+            monthKey,
+            plays: plays.filter(play => play.counted).length,
+            minutes: totalMinutes,
+            uniqueTracks: tracks.size,
+            uniqueArtists: artists.size,
+            topTracks: this.rank(tracks, metric),
+            topArtists: this.rank(artists, metric),
+            topGenres: this.rank(genres, metric),
+            days,
+            heatmap
+        };
+    }
+
+    // Genres dominants d'une période Spotify, pondérés par le rang des artistes
+    getTopGenres(range) {
+        const genres = new Map();
+        const artists = this.topItems?.[range]?.artists || [];
+        artists.forEach((artist, index) => {
+            (artist.genres || []).forEach(genre => {
+                genres.set(genre, (genres.get(genre) || 0) + (artists.length - index));
+            });
+        });
+        return [...genres.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.topSize)
+            .map(([name, score]) => ({ name, score }));
+    }
+
+    // === INTERFACE ===
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    formatValue(value, metric = this.state.metric) {
+        return metric === 'minutes'
+            ? `${Math.round(value).toLocaleString('fr-FR')} min`
+            : `${value.toLocaleString('fr-FR')} écoute${value > 1 ? 's' : ''}`;
+    }
+
+    // Histogramme SVG ; chaque barre porte data-key pour la sélection au clic
+    renderBarChart(bars, { selectedKey = null, height = 160, className = '' } = {}) {
+        const max = Math.max(1, ...bars.map(bar => bar.value));
+        const width = 100 / Math.max(1, bars.length);
+
+        return `
+            <svg class="rewind-chart ${className}" viewBox="0 0 100 ${height}" preserveAspectRatio="none">
+                ${bars.map((bar, index) => {
+                    const barHeight = (bar.value / max) * (height - 4);
+                    return `
+                        <rect class="rewind-bar ${bar.key === selectedKey ? 'selected' : ''}" data-key="${bar.key ?? ''}"
+                            x="${index * width + width * 0.1}" y="${height - barHeight}"
+                            width="${width * 0.8}" height="${Math.max(barHeight, 0.5)}">
+                            <title>${this.escapeHTML(bar.tooltip)}</title>
+                        </rect>
+                    `;
+                }).join('')}
+            </svg>
+            <div class="rewind-chart-labels">
+                ${bars.map(bar => `<span>${this.escapeHTML(bar.label)}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    renderHeatmap(heatmap, metric) {
+        const max = Math.max(1, ...heatmap.flat().map(cell => cell[metric]));
+
+        return `
+            <div class="rewind-heatmap">
+                <span></span>
+                ${Array.from({ length: 24 }, (_, hour) => `<span class="rewind-heatmap-hour">${hour % 3 === 0 ? `${hour}h` : ''}</span>`).join('')}
+                ${heatmap.map((hours, day) => `
+                    <span class="rewind-heatmap-day">${this.dayLabels[day]}</span>
+                    ${hours.map((cell, hour) => `
+                        <span class="rewind-heatmap-cell" style="opacity: ${cell[metric] ? 0.15 + 0.85 * (cell[metric] / max) : 0.05}"
+                            title="${this.dayLabels[day]} ${hour}h-${hour + 1}h : ${this.formatValue(cell[metric], metric)}"></span>
+                    `).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Classement avec barre proportionnelle
+    renderRanking(entries, metric, emptyText) {
+        if (entries.length === 0) {
+            return `<p class="rewind-empty">${emptyText}</p>`;
+        }
+
+        const max = Math.max(1, ...entries.map(entry => entry[metric]));
+        return `
+            <ol class="rewind-ranking">
+                ${entries.map(entry => `
+                    <li class="rewind-ranking-item">
+                        ${entry.image ? `<img src="${entry.image}" alt="">` : ''}
+                        <div class="rewind-ranking-info">
+                            <span class="rewind-ranking-name">${this.escapeHTML(entry.name)}</span>
+                            ${entry.artist ? `<small>${this.escapeHTML(entry.artist)}</small>` : ''}
+                            <div class="rewind-ranking-bar" style="width: ${(entry[metric] / max) * 100}%"></div>
+                        </div>
+                        <span class="rewind-ranking-value">${this.formatValue(entry[metric], metric)}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    renderMonth() {
+        const { month: monthKey, metric } = this.state;
+        if (!monthKey) {
+            return `
+                <p class="rewind-empty">
+                    Aucune écoute enregistrée pour le moment : lancez de la musique depuis Melodyx
+                    ou importez vos écoutes récentes Spotify.
+                </p>
+            `;
+        }
+
+        const stats = this.aggregateMonth(monthKey, metric);
+        const days = stats.days.map((day, index) => ({
+            key: index + 1,
+            value: day[metric],
+            label: (index + 1) % 5 === 0 || index === 0 ? String(index + 1) : '',
+            tooltip: `${index + 1} ${this.formatMonth(monthKey)} : ${this.formatValue(day[metric], metric)}`
+        }));
+
+        return `
+            <div class="rewind-summary">
+                <div class="rewind-summary-item"><strong>${Math.round(stats.minutes).toLocaleString('fr-FR')}</strong><span>minutes d'écoute</span></div>
+                <div class="rewind-summary-item"><strong>${stats.plays}</strong><span>écoutes</span></div>
+                <div class="rewind-summary-item"><strong>${stats.uniqueTracks}</strong><span>titres différents</span></div>
+                <div class="rewind-summary-item"><strong>${stats.uniqueArtists}</strong><span>artistes</span></div>
+            </div>
+
+            <section class="rewind-section">
+                <h3>Jour par jour</h3>
+                ${this.renderBarChart(days, { height: 100, className: 'rewind-days-chart' })}
+            </section>
+
+            <section class="rewind-section">
+                <h3>Quand écoutez-vous ?</h3>
+                ${this.renderHeatmap(stats.heatmap, metric)}
+            </section>
+
+            <div class="rewind-columns">
+                <section class="rewind-section">
+                    <h3>Top titres</h3>
+                    ${this.renderRanking(stats.topTracks, metric, 'Aucun titre ce mois-ci')}
+                </section>
+                <section class="rewind-section">
+                    <h3>Top artistes</h3>
+                    ${this.renderRanking(stats.topArtists, metric, 'Aucun artiste ce mois-ci')}
+                </section>
+                <section class="rewind-section">
+                    <h3>Top genres</h3>
+                    ${this.renderRanking(stats.topGenres, metric, 'Genres inconnus pour ces artistes')}
+                </section>
+            </div>
+        `;
+    }
+
+    renderSpotifyTops() {
+        const { range } = this.state;
+        const { artists = [], tracks = [] } = this.topItems?.[range] || {};
+
+        // Nombre d'écoutes locales pour croiser le classement Spotify avec le journal Melodyx
+        const localPlays = new Map();
+        this.plays.filter(play => play.counted)
+            .forEach(play => localPlays.set(play.trackId, (localPlays.get(play.trackId) || 0) + 1));
+
+        const rankedList = (items, render) => items.length === 0
+            ? '<p class="rewind-empty">Pas encore assez d\'écoutes sur cette période</p>'
+            : `<ol class="rewind-top-list">${items.slice(0, this.topSize).map(render).join('')}</ol>`;
+
+        return `
+            <div class="rewind-tabs">
+                ${Object.entries(this.timeRanges).map(([key, label]) => `
+                    <button class="rewind-tab ${key === range ? 'active' : ''}" data-range="${key}">${label}</button>
+                `).join('')}
+            </div>
+            <div class="rewind-columns">
+                <section class="rewind-section">
+                    <h3>Artistes</h3>
+                    ${rankedList(artists, artist => `
+                        <li>
+                            ${artist.images?.length ? `<img src="${artist.images[artist.images.length - 1].url}" alt="">` : ''}
+                            <span>${this.escapeHTML(artist.name)}</span>
+                        </li>
+                    `)}
+                </section>
+                <section class="rewind-section">
+                    <h3>Titres</h3>
+                    ${rankedList(tracks, track => `
+                        <li>
+                            ${track.album?.images?.length ? `<img src="${track.album.images[track.album.images.length - 1].url}" alt="">` : ''}
+                            <span>${this.escapeHTML(track.name)} <small>${this.escapeHTML(track.artists.map(artist => artist.name).join(', '))}</small></span>
+                            ${localPlays.get(track.id) ? `<small class="rewind-local-count">${localPlays.get(track.id)} × dans Melodyx</small>` : ''}
+                        </li>
+                    `)}
+                </section>
+                <section class="rewind-section">
+                    <h3>Genres</h3>
+                    ${rankedList(this.getTopGenres(range), genre => `<li><span>${this.escapeHTML(genre.name)}</span></li>`)}
+                </section>
+            </div>
+        `;
+    }
+
+    render(container) {
+        const { metric, month } = this.state;
+        const months = this.getMonths().map(entry => ({
+            key: entry.key,
+            value: entry[metric],
+            label: this.formatMonth(entry.key, 'short'),
+            tooltip: `${this.formatMonth(entry.key)} : ${this.formatValue(entry[metric], metric)}`
+        }));
+
+        container.innerHTML = `
+            <div class="rewind-toolbar">
+                <div class="rewind-metric">
+                    ${Object.entries(this.metrics).map(([key, label]) => `
+                        <button class="rewind-tab ${key === metric ? 'active' : ''}" data-metric="${key}">${label}</button>
+                    `).join('')}
+                </div>
+                <button class="btn btn-secondary rewind-import">Importer les écoutes récentes Spotify</button>
+            </div>
+
+            <section class="rewind-section rewind-months">
+                <h2>Mois par mois</h2>
+                ${months.length > 0
+                    ? this.renderBarChart(months, { selectedKey: month, className: 'rewind-months-chart' })
+                    : ''}
+                <p class="rewind-note">
+                    D'après le journal des écoutes du lecteur Melodyx, conservé sans limite : minutes réellement écoutées,
+                    écoutes comptées selon les règles de last.fm. Les écoutes importées de Spotify comptent pour la durée du titre.
+                </p>
+            </section>
+
+            <h2 class="rewind-month-title">${month ? this.formatMonth(month) : ''}</h2>
+            <div class="rewind-month">${this.renderMonth()}</div>
+
+            <h2>Vos tops Spotify</h2>
+            <div class="rewind-spotify">${this.renderSpotifyTops()}</div>
+        `;
+
+        this.attachEvents(container);
+    }
+
+    attachEvents(container) {
+        container.querySelector('.rewind-months-chart')?.addEventListener('click', (e) => {
+            const key = e.target.closest('.rewind-bar')?.dataset.key;
+            if (!key) return;
+            this.state.month = key;
+            this.render(container);
+        });
+
+        container.querySelectorAll('[data-metric]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.state.metric = button.dataset.metric;
+                this.render(container);
+            });
+        });
+
+        container.querySelectorAll('[data-range]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.state.range = button.dataset.range;
+                container.querySelector('.rewind-spotify').innerHTML = this.renderSpotifyTops();
+                this.attachEvents(container.querySelector('.rewind-spotify'));
+            });
+        });
+
+        container.querySelector('.rewind-import')?.addEventListener('click', async (e) => {
+            e.target.disabled = true;
+            try {
+                // Historique de la fraîcheur et journal des écoutes (sans doublon avec le lecteur)
+                const items = await playHistory.fetchRecentlyPlayed();
+                await playHistory.importRecentlyPlayed(items);
+                await scrobbler.importRecentlyPlayed(items);
+                await this.loadPlays();
+                const months = this.getMonths();
+                this.state.month = this.state.month || months[months.length - 1]?.key || null;
+                this.render(container);
+            } catch (error) {
+                console.error('Erreur import des écoutes récentes:', error);
+                alert(`Import impossible : ${error.message}`);
+                e.target.disabled = false;
+            }
+        });
+    }
+}
+
+// Instance globale
+const rewindStats = new RewindStats();
+
+// Make available globally
+window.rewindStats = rewindStats;
+window.RewindStats = RewindStats;
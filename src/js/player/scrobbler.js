@@ -0,0 +1,329 @@
+// Journal des écoutes (scrobbles) - Melodyx
+// Chaque lecture observée par le lecteur (événements du SDK et polling de l'API) est conservée dans IndexedDB
+// avec sa durée réellement écoutée ; elle compte comme scrobble selon les règles de last.fm
+
+class Scrobbler {
+    constructor() {
+        this.storeName = 'scrobbles';
+
+        // Règles last.fm : titre de plus de 30 s, écouté à moitié ou pendant 4 minutes
+        this.minTrackMs = 30000;
+        this.maxThresholdMs = 240000;
+        this.completionMarginMs = 5000; // Fin de piste considérée atteinte
+        this.minListenedMs = 1000; // En dessous, l'écoute n'est pas enregistrée
+        this.maxRendered = 200;
+
+        // Écoute en cours : { track, contextUri, startedAt, listenedMs, lastProgress, lastUpdate, isPlaying, manualSkip }
+        this.current = null;
+        this.listeners = [];
+    }
+
+    // Être notifié de chaque écoute enregistrée
+    onRecord(callback) {
+        this.listeners.push(callback);
+    }
+
+    // === SUIVI DE LA LECTURE ===
+
+    // Appelé à chaque état connu du lecteur (SDK ou API, jusqu'à plusieurs fois par seconde)
+    handlePlaybackState({ track, contextUri = null, progressMs = 0, isPlaying = false }, now = Date.now()) {
+        if (!track || !track.uri) return;
+
+        const current = this.current;
+
+        // Nouvelle piste, ou même piste relancée depuis le début (répétition, retour au début)
+        const restarted = current && current.track.uri === track.uri &&
+            progressMs < 10000 && progressMs + 10000 < current.lastProgress;
+
+        if (!current || current.track.uri !== track.uri || restarted) {
+            if (current) this.finish('skipped');
+            this.current = {
+                track,
+                contextUri,
+                startedAt: now - progressMs,
+                listenedMs: 0,
+                lastProgress: progressMs,
+                lastUpdate: now,
+                isPlaying,
+                manualSkip: false
+            };
+            return;
+        }
+
+        // Temps d'écoute : avancée de la lecture, bornée par le temps écoulé (un seek ne compte pas)
+        if (current.isPlaying) {
+            const elapsed = now - current.lastUpdate;
+            const advanced = progressMs - current.lastProgress;
+            current.listenedMs += Math.min(Math.max(advanced, 0), elapsed + 1500);
+        }
+
+        current.lastProgress = progressMs;
+        current.lastUpdate = now;
+        current.isPlaying = isPlaying;
+        current.contextUri = contextUri || current.contextUri;
+    }
+
+    // Piste passée avec le bouton Suivant (distingue un saut volontaire d'un changement de contexte)
+    markSkip() {
+        if (this.current) {
+            this.current.manualSkip = true;
+        }
+    }
+
+    isScrobble(listenedMs, durationMs) {
+        if (!durationMs || durationMs < this.minTrackMs) return false;
+        return listenedMs >= Math.min(durationMs / 2, this.maxThresholdMs);
+    }
+
+    // Clore l'écoute en cours ; endReason : 'skipped' (changement de piste) ou 'interrupted' (page fermée)
+    async finish(endReason = 'skipped') {
+        const current = this.current;
+        this.current = null;
+        if (!current || current.listenedMs < this.minListenedMs) return null;
+
+        const { track } = current;
+        const durationMs = track.duration_ms || 0;
+        const completed = durationMs > 0 && current.lastProgress >= durationMs - this.completionMarginMs;
+
+        const entry = {
+            id: `${track.id || track.uri}@${current.startedAt}`,
+            trackId: track.id || track.uri,
+            uri: track.uri,
+            name: track.name,
+            artist: (track.artists || []).map(artist => artist.name).join(', '),
+            album: track.album?.name || '',
+            durationMs,
+            contextUri: current.contextUri,
+            startedAt: current.startedAt,
+            listenedMs: Math.round(Math.min(current.listenedMs, durationMs || current.listenedMs)),
+            positionMs: current.lastProgress,
+            status: completed ? 'completed' : endReason,
+            manualSkip: current.manualSkip,
+            scrobbled: this.isScrobble(current.listenedMs, durationMs)
+        };
+
+        try {
+            await melodyxDB.put(this.storeName, entry);
+            logger.debug('Scrobbler: Écoute enregistrée', { name: entry.name, status: entry.status, scrobbled: entry.scrobbled });
+            this.listeners.forEach(callback => callback(entry));
+        } catch (error) {
+            logger.warn('Scrobbler: Impossible d\'enregistrer l\'écoute', error);
+        }
+
+        return entry;
+    }
+
+    // === LECTURE DU JOURNAL ===
+
+    // Écoutes de la plus récente à la plus ancienne
+    async list() {
+        const entries = await melodyxDB.getAllFromIndex(this.storeName, 'startedAt');
+        return entries.reverse();
+    }
+
+    // Compléter le journal avec l'historique récent de Spotify (/me/player/recently-played) :
+    // écoutes faites hors de Melodyx, supposées complètes ; celles déjà suivies par le lecteur sont ignorées
+    async importRecentlyPlayed(items) {
+        const entries = [];
+
+        for (const { track, played_at: playedAt, context } of items) {
+            if (!track || !track.id) continue;
+
+            const durationMs = track.duration_ms || 0;
+            const endedAt = new Date(playedAt).getTime();
+            const startedAt = endedAt - durationMs;
+            const known = await melodyxDB.getAllFromIndex(this.storeName, 'trackId', track.id);
+            if (known.some(entry => Math.abs(entry.startedAt - startedAt) <= durationMs)) continue;
+
+            entries.push({
+                id: `${track.id}@${startedAt}`,
+                trackId: track.id,
+                uri: track.uri,
+                name: track.name,
+                artist: track.artists.map(artist => artist.name).join(', '),
+                album: track.album?.name || '',
+                durationMs,
+                contextUri: context?.uri || null,
+                startedAt,
+                listenedMs: durationMs,
+                positionMs: durationMs,
+                status: 'completed',
+                manualSkip: false,
+                scrobbled: this.isScrobble(durationMs, durationMs)
+            });
+        }
+
+        await melodyxDB.putAll(this.storeName, entries);
+        logger.info(`Scrobbler: ${entries.length} écoutes importées depuis Spotify`);
+        return entries.length;
+    }
+
+    normalize(text) {
+        return String(text ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    // Recherche sur le titre, l'artiste, l'album et le contexte
+    filter(entries, query = '', includeAll = false) {
+        const terms = this.normalize(query).split(/\s+/).filter(Boolean);
+
+        return entries.filter(entry => {
+            if (!includeAll && !entry.scrobbled) return false;
+            const haystack = this.normalize(`${entry.name} ${entry.artist} ${entry.album} ${entry.contextUri || ''}`);
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    async clear() {
+        await melodyxDB.clear(this.storeName);
+    }
+
+    // === EXPORT ===
+
+    csvField(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toCSV(entries) {
+        const columns = ['started_at', 'title', 'artist', 'album', 'duration_ms', 'listened_ms', 'status', 'scrobbled', 'context_uri', 'uri'];
+        const rows = entries.map(entry => [
+            new Date(entry.startedAt).toISOString(),
+            entry.name,
+            entry.artist,
+            entry.album,
+            entry.durationMs,
+            entry.listenedMs,
+            entry.status,
+            entry.scrobbled,
+            entry.contextUri,
+            entry.uri
+        ].map(value => this.csvField(value)).join(','));
+
+        // BOM : accents lisibles dans Excel
+        return '\ufeff' + [columns.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    toJSON(entries) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            scrobbles: entries.map(entry => ({ ...entry, startedAt: new Date(entry.startedAt).toISOString() }))
+        }, null, 2);
+    }
+
+    download(entries, format = 'csv') {
+        const content = format === 'json' ? this.toJSON(entries) : this.toCSV(entries);
+        const mimeType = format === 'json' ? 'application/json' : 'text/csv';
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `melodyx-scrobbles-${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // === INTERFACE ===
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    renderEntries(entries) {
+        if (entries.length === 0) {
+            return '<p class="scrobble-empty">Aucune écoute ne correspond.</p>';
+        }
+
+        const statusLabels = { completed: 'terminé', skipped: 'passé', interrupted: 'interrompu' };
+
+        return entries.slice(0, this.maxRendered).map(entry => `
+            <div class="scrobble-item ${entry.scrobbled ? '' : 'not-counted'}">
+                <div class="scrobble-details">
+                    <div class="scrobble-name">${this.escapeHTML(entry.name)}</div>
+                    <div class="scrobble-meta">${this.escapeHTML(entry.artist)}${entry.album ? ` · ${this.escapeHTML(entry.album)}` : ''}</div>
+                </div>
+                <div class="scrobble-info">
+                    <div>${new Date(entry.startedAt).toLocaleString()}</div>
+                    <div class="scrobble-meta">
+                        ${this.formatDuration(entry.listenedMs)} / ${this.formatDuration(entry.durationMs)} · ${statusLabels[entry.status] || entry.status}
+                    </div>
+                </div>
+            </div>
+        `).join('') + (entries.length > this.maxRendered
+            ? `<p class="scrobble-empty">… ${entries.length - this.maxRendered} écoutes plus anciennes (affinez la recherche ou exportez)</p>`
+            : '');
+    }
+
+    // Vue historique : recherche, écoutes non comptées, export JSON/CSV
+    async renderHistory(container) {
+        if (!container) return;
+
+        let entries = [];
+        try {
+            entries = await this.list();
+        } catch (error) {
+            logger.warn('Scrobbler: Journal indisponible', error);
+        }
+
+        container.innerHTML = `
+            <div class="scrobble-toolbar">
+                <input type="search" class="scrobble-search" placeholder="Rechercher un titre, un artiste, un album...">
+                <label class="scrobble-include">
+                    <input type="checkbox" class="scrobble-include-all"> Inclure les écoutes non comptées
+                </label>
+            </div>
+            <div class="scrobble-toolbar">
+                <span class="scrobble-count"></span>
+                <button class="queue-snapshot-btn" data-export="json" type="button">Exporter JSON</button>
+                <button class="queue-snapshot-btn" data-export="csv" type="button">Exporter CSV</button>
+                <button class="play-history-clear-btn scrobble-clear" type="button">Effacer</button>
+            </div>
+            <div class="scrobble-list"></div>
+        `;
+
+        const search = container.querySelector('.scrobble-search');
+        const includeAll = container.querySelector('.scrobble-include-all');
+        const list = container.querySelector('.scrobble-list');
+        const count = container.querySelector('.scrobble-count');
+        let visible = [];
+
+        const update = () => {
+            visible = this.filter(entries, search.value, includeAll.checked);
+            const listenedMinutes = Math.round(visible.reduce((total, entry) => total + entry.listenedMs, 0) / 60000);
+            count.textContent = `${visible.length} écoutes · ${listenedMinutes} min`;
+            list.innerHTML = this.renderEntries(visible);
+        };
+
+        search.addEventListener('input', update);
+        includeAll.addEventListener('change', update);
+
+        container.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.download(visible, button.dataset.export));
+        });
+
+        container.querySelector('.scrobble-clear').addEventListener('click', async () => {
+            if (!confirm('Effacer tout le journal des écoutes ?')) return;
+            await this.clear();
+            entries = [];
+            update();
+        });
+
+        update();
+    }
+}
+
+// Instance globale
+const scrobbler = new Scrobbler();
+
+// Enregistrer l'écoute en cours à la fermeture de la page
+window.addEventListener('pagehide', () => scrobbler.finish('interrupted'));
+
+// Make available globally
+window.scrobbler = scrobbler;
+window.Scrobbler = Scrobbler;
@@ -0,0 +1,345 @@
+// Diagnostics d'équité des shuffles - Melodyx
+// Exécute chaque stratégie du registre de nombreuses fois et mesure l'uniformité des positions (chi²),
+// le taux de pistes consécutives du même artiste et le biais sur la première piste.
+// Les calculs n'utilisent pas le DOM : selfTest() tourne depuis la console et sous Node (npm test)
+
+class ShuffleDiagnostics {
+    constructor() {
+        this.defaultRuns = 500;
+        this.maxRuns = 5000;
+        this.maxRealRuns = 1000; // Les vraies playlists sont longues et certaines stratégies sont en O(n²)
+        this.frameBudget = 30; // ms de calcul avant de rendre la main au navigateur
+        this.positionBuckets = 10;
+        this.significance = 0.001; // Seuil des tests : un biais réel donne des p-values bien plus faibles
+    }
+
+    // Playlist synthétique reproductible : artistes de tailles inégales, plusieurs albums par artiste
+    createSyntheticPlaylist({ trackCount = 100, artistCount = 10, albumsPerArtist = 2 } = {}) {
+        return Array.from({ length: trackCount }, (_, i) => {
+            // Répartition inégale : les premiers artistes ont plus de titres
+            const artist = Math.floor(artistCount * Math.pow(i / trackCount, 1.5));
+            const album = i % albumsPerArtist;
+            return {
+                id: `synthetic-${i}`,
+                uri: `spotify:track:synthetic-${i}`,
+                name: `Titre ${i + 1}`,
+                artist: `Artiste ${artist + 1}`,
+                artistId: `artist-${artist}`,
+                album: `Album ${artist + 1}.${album + 1}`,
+                albumId: `album-${artist}-${album}`,
+                duration: 180000 + (i % 7) * 15000
+            };
+        });
+    }
+
+    // === ANALYSE ===
+
+    // Mélanger `runs` fois avec des graines dérivées et mesurer la distribution obtenue
+    analyze(strategyName, tracks, options = {}) {
+        const steps = this.analyzeSteps(strategyName, tracks, options);
+        let step = steps.next();
+        while (!step.done) step = steps.next();
+        return step.value;
+    }
+
+    // Même analyse, découpée pour ne pas bloquer la page : rend la main au navigateur
+    // dès que frameBudget ms de calcul sont écoulées. onProgress(run, runs) après chaque pause
+    async analyzeAsync(strategyName, tracks, options = {}, onProgress = null) {
+        const steps = this.analyzeSteps(strategyName, tracks, options);
+        let sliceStart = Date.now();
+        let step = steps.next();
+        while (!step.done) {
+            if (Date.now() - sliceStart >= this.frameBudget) {
+                if (onProgress) onProgress(step.value.run, step.value.runs);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                sliceStart = Date.now();
+            }
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    // Générateur commun : cède { run, runs } après chaque exécution et retourne le rapport
+    *analyzeSteps(strategyName, tracks, { runs = this.defaultRuns, seed = 'diagnostics' } = {}) {
+        const n = tracks.length;
+        const buckets = Math.min(n, this.positionBuckets);
+        const bucketOf = position => Math.floor((position * buckets) / n);
+        const bucketSizes = Array.from({ length: buckets }, (_, b) =>
+            Array.from({ length: n }, (_, p) => p).filter(p => bucketOf(p) === b).length
+        );
+
+        const indexOf = new Map(tracks.map((track, i) => [track, i]));
+        const positionCounts = Array.from({ length: n }, () => new Array(buckets).fill(0));
+        const firstCounts = new Array(n).fill(0);
+        let adjacentSameArtist = 0;
+
+        for (let run = 0; run < runs; run++) {
+            const { tracks: order } = shuffleRegistry.shuffleWithSeed(tracks, strategyName, { seed: `${seed}-${run}`, weighting: false });
+
+            order.forEach((track, position) => {
+                positionCounts[indexOf.get(track)][bucketOf(position)]++;
+                if (position > 0 && shuffleRegistry.getArtistKey(track) === shuffleRegistry.getArtistKey(order[position - 1])) {
+                    adjacentSameArtist++;
+                }
+            });
+            firstCounts[indexOf.get(order[0])]++;
+            yield { run: run + 1, runs };
+        }
+
+        // Uniformité des positions : table piste x tranche de positions
+        let positionChiSquare = 0;
+        positionCounts.forEach(row => row.forEach((count, b) => {
+            const expected = (runs * bucketSizes[b]) / n;
+            positionChiSquare += ((count - expected) ** 2) / expected;
+        }));
+        const positionDf = (n - 1) * (buckets - 1);
+
+        // Biais de première piste
+        const firstExpected = runs / n;
+        const firstChiSquare = firstCounts.reduce((sum, count) => sum + ((count - firstExpected) ** 2) / firstExpected, 0);
+
+        return {
+            strategy: strategyName,
+            label: shuffleRegistry.get(strategyName)?.label || strategyName,
+            runs,
+            trackCount: n,
+            position: {
+                chiSquare: positionChiSquare,
+                df: positionDf,
+                pValue: this.chiSquarePValue(positionChiSquare, positionDf)
+            },
+            adjacency: {
+                rate: n > 1 ? adjacentSameArtist / (runs * (n - 1)) : 0,
+                expected: this.expectedAdjacencyRate(tracks)
+            },
+            firstTrack: {
+                chiSquare: firstChiSquare,
+                df: n - 1,
+                pValue: this.chiSquarePValue(firstChiSquare, n - 1),
+                maxShare: Math.max(...firstCounts) / runs,
+                expectedShare: 1 / n,
+                // Le chi² n'est fiable qu'avec au moins 5 occurrences attendues par piste
+                reliable: firstExpected >= 5
+            }
+        };
+    }
+
+    // Analyser toutes les stratégies enregistrées sur la même playlist
+    analyzeAll(tracks, options = {}) {
+        return shuffleRegistry.list().map(strategy => this.analyze(strategy.name, tracks, options));
+    }
+
+    // Taux attendu de paires consécutives du même artiste pour un ordre uniformément aléatoire
+    expectedAdjacencyRate(tracks) {
+        const n = tracks.length;
+        if (n < 2) return 0;
+
+        const counts = new Map();
+        tracks.forEach(track => {
+            const key = shuffleRegistry.getArtistKey(track);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        let samePairs = 0;
+        counts.forEach(count => { samePairs += count * (count - 1); });
+        return samePairs / (n * (n - 1));
+    }
+
+    // === STATISTIQUES ===
+
+    // P-value d'un chi² (approximation de Wilson-Hilferty, précise dès quelques degrés de liberté)
+    chiSquarePValue(chiSquare, df) {
+        if (df <= 0) return 1;
+        const z = (Math.cbrt(chiSquare / df) - (1 - 2 / (9 * df))) / Math.sqrt(2 / (9 * df));
+        return 1 - this.normalCdf(z);
+    }
+
+    normalCdf(z) {
+        // Abramowitz & Stegun 7.1.26
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    // === AUTO-TEST ===
+
+    // Vérifications automatiques sur une playlist synthétique
+    // Retourne { passed, checks: [{ name, passed, detail }] }
+    selfTest({ runs = this.defaultRuns } = {}) {
+        const tracks = this.createSyntheticPlaylist({ trackCount: 40, artistCount: 8 });
+        const checks = [];
+        const check = (name, passed, detail) => checks.push({ name, passed, detail });
+
+        // Fisher-Yates : aucune position ni première piste privilégiée
+        const fisherYates = this.analyze('fisher-yates', tracks, { runs });
+        check('Fisher-Yates : positions uniformes',
+            fisherYates.position.pValue > this.significance,
+            `chi² ${fisherYates.position.chiSquare.toFixed(1)} (ddl ${fisherYates.position.df}), p = ${fisherYates.position.pValue.toFixed(4)}`);
+        check('Fisher-Yates : pas de biais de première piste',
+            fisherYates.firstTrack.pValue > this.significance,
+            `chi² ${fisherYates.firstTrack.chiSquare.toFixed(1)} (ddl ${fisherYates.firstTrack.df}), p = ${fisherYates.firstTrack.pValue.toFixed(4)}`);
+
+        // Puissance du test : le mélange par blocs de 50 ne mélange pas entre les blocs
+        const batch = this.analyze('batch', this.createSyntheticPlaylist({ trackCount: 120 }), { runs });
+        check('Détecteur : biais du mélange par blocs repéré',
+            batch.position.pValue <= this.significance,
+            `chi² ${batch.position.chiSquare.toFixed(1)} (ddl ${batch.position.df}), p = ${batch.position.pValue.toFixed(4)}`);
+
+        // Stratégies d'espacement : moins de répétitions d'artiste que le hasard pur
+        ['no-adjacent', 'artist-spread'].forEach(name => {
+            if (!shuffleRegistry.get(name)) return;
+            const report = this.analyze(name, tracks, { runs: Math.min(runs, 200) });
+            check(`${report.label} : artistes moins souvent consécutifs qu'au hasard`,
+                report.adjacency.rate < report.adjacency.expected,
+                `${(report.adjacency.rate * 100).toFixed(1)} % contre ${(report.adjacency.expected * 100).toFixed(1)} % attendus`);
+        });
+
+        // Reproductibilité : même graine, même ordre ; aucune piste perdue ni dupliquée
+        shuffleRegistry.list().forEach(strategy => {
+            const first = shuffleRegistry.shuffleWithSeed(tracks, strategy.name, { seed: 'selftest', weighting: false }).tracks;
+            const second = shuffleRegistry.shuffleWithSeed(tracks, strategy.name, { seed: 'selftest', weighting: false }).tracks;
+            const sameOrder = first.every((track, i) => track === second[i]);
+            const isPermutation = first.length === tracks.length && new Set(first).size === tracks.length;
+            check(`${strategy.label} : ordre reproductible et complet`,
+                sameOrder && isPermutation,
+                sameOrder ? (isPermutation ? 'OK' : 'pistes perdues ou dupliquées') : 'ordre différent avec la même graine');
+        });
+
+        return {
+            passed: checks.every(c => c.passed),
+            checks
+        };
+    }
+
+    // === INTERFACE ===
+
+    // Ouvrir le panneau de diagnostic
+    // loadRealTracks (optionnel) : fonction async retournant les pistes d'une vraie playlist
+    openPanel({ loadRealTracks = null, realLabel = 'Playlist sélectionnée' } = {}) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal shuffle-diagnostics-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container shuffle-diagnostics-container">
+                    <div class="modal-content">
+                        <h2>📊 Équité des shuffles</h2>
+                        <div class="shuffle-diagnostics-controls">
+                            <select class="shuffle-diagnostics-source">
+                                <option value="synthetic">Playlist synthétique (100 titres)</option>
+                                ${loadRealTracks ? `<option value="real">${realLabel}</option>` : ''}
+                            </select>
+                            <label>Exécutions <input type="number" class="shuffle-diagnostics-runs" value="${this.defaultRuns}" min="50" max="${this.maxRuns}" step="50"></label>
+                            <button class="btn btn-primary shuffle-diagnostics-run">Lancer</button>
+                            <button class="btn btn-secondary shuffle-diagnostics-selftest">Auto-test</button>
+                            <button class="btn btn-secondary shuffle-diagnostics-close">Fermer</button>
+                        </div>
+                        <p class="shuffle-diagnostics-status"></p>
+                        <div class="shuffle-diagnostics-results"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('.shuffle-diagnostics-status');
+        const results = modal.querySelector('.shuffle-diagnostics-results');
+
+        modal.querySelector('.shuffle-diagnostics-close').addEventListener('click', () => modal.remove());
+
+        modal.querySelector('.shuffle-diagnostics-run').addEventListener('click', async () => {
+            const source = modal.querySelector('.shuffle-diagnostics-source').value;
+            const isReal = source === 'real';
+            const maxRuns = isReal ? this.maxRealRuns : this.maxRuns;
+            const requestedRuns = Math.max(50, parseInt(modal.querySelector('.shuffle-diagnostics-runs').value) || this.defaultRuns);
+            const runs = Math.min(maxRuns, requestedRuns);
+            const runButton = modal.querySelector('.shuffle-diagnostics-run');
+
+            try {
+                runButton.disabled = true;
+                status.textContent = 'Chargement des titres...';
+                const tracks = isReal ? await loadRealTracks() : this.createSyntheticPlaylist();
+                if (tracks.length < 2) {
+                    throw new Error('Au moins deux titres sont nécessaires');
+                }
+
+                const reports = [];
+                for (const strategy of shuffleRegistry.list()) {
+                    // Charger les données de la stratégie (fraîcheur, audio features) comme avant un vrai shuffle ;
+                    // les pistes synthétiques n'existent pas côté Spotify
+                    if (isReal) {
+                        status.textContent = `Préparation de ${strategy.label}...`;
+                        await shuffleRegistry.prepare(tracks, strategy.name);
+                    }
+
+                    const label = `Analyse de ${strategy.label} (${runs} exécutions sur ${tracks.length} titres)`;
+                    status.textContent = `${label}...`;
+                    reports.push(await this.analyzeAsync(strategy.name, tracks, { runs }, (run) => {
+                        status.textContent = `${label} : ${run}/${runs}`;
+                    }));
+                }
+
+                status.textContent = `${tracks.length} titres, ${runs} exécutions par stratégie`
+                    + (requestedRuns > runs ? ` (plafonné à ${maxRuns} sur une vraie playlist)` : '');
+                results.innerHTML = this.renderReports(reports);
+            } catch (error) {
+                logger.error('ShuffleDiagnostics: Erreur du diagnostic', error);
+                status.textContent = `Erreur : ${error.message}`;
+            } finally {
+                runButton.disabled = false;
+            }
+        });
+
+        modal.querySelector('.shuffle-diagnostics-selftest').addEventListener('click', async () => {
+            status.textContent = 'Auto-test en cours...';
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const { passed, checks } = this.selfTest();
+            status.textContent = passed ? '✅ Tous les contrôles sont passés' : '⚠️ Certains contrôles ont échoué';
+            results.innerHTML = `
+                <ul class="shuffle-diagnostics-checks">
+                    ${checks.map(c => `<li class="${c.passed ? 'pass' : 'fail'}">${c.passed ? '✅' : '❌'} ${c.name} <span>${c.detail}</span></li>`).join('')}
+                </ul>
+            `;
+        });
+    }
+
+    renderReports(reports) {
+        const verdict = pValue => pValue > this.significance ? '✅' : '⚠️';
+
+        return `
+            <table class="shuffle-diagnostics-table">
+                <thead>
+                    <tr>
+                        <th>Stratégie</th>
+                        <th>Positions (p)</th>
+                        <th>Artistes consécutifs</th>
+                        <th>Première piste (p)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${reports.map(report => `
+                        <tr>
+                            <td>${report.label}</td>
+                            <td>${verdict(report.position.pValue)} ${report.position.pValue.toFixed(4)}</td>
+                            <td>${(report.adjacency.rate * 100).toFixed(1)} % <small>(hasard : ${(report.adjacency.expected * 100).toFixed(1)} %)</small></td>
+                            <td>${report.firstTrack.reliable ? `${verdict(report.firstTrack.pValue)} ${report.firstTrack.pValue.toFixed(4)}` : '<small>échantillon insuffisant</small>'}
+                                <small>max ${(report.firstTrack.maxShare * 100).toFixed(1)} % / ${(report.firstTrack.expectedShare * 100).toFixed(1)} %</small></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="shuffle-diagnostics-note">
+                p &gt; ${this.significance} : pas de biais détectable. Les stratégies qui façonnent l'ordre
+                (artistes espacés, énergie, décennies...) ne sont volontairement pas uniformes.
+            </p>
+        `;
+    }
+}
+
+// Instance globale
+const shuffleDiagnostics = new ShuffleDiagnostics();
+
+// Make available globally
+window.shuffleDiagnostics = shuffleDiagnostics;
+window.ShuffleDiagnostics = ShuffleDiagnostics;
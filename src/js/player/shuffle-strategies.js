@@ -0,0 +1,600 @@
+// Stratégies de shuffle - Melodyx
+// Registre partagé par le lecteur (SpotifyPlayer) et le mode vraiment aléatoire (TrueRandomMode)
+
+class ShuffleRegistry {
+    constructor() {
+        this.strategies = new Map();
+        this.defaultStrategy = 'fisher-yates';
+        this.storageKey = 'melodyx-shuffle-strategy';
+        this.optionsStorageKey = 'melodyx-shuffle-options';
+        this.seedOverride = null;
+        this.trackWeighting = null;
+        
+        this.registerDefaultStrategies();
+    }
+
+    // Enregistrer une stratégie
+    // definition: { label, description, shuffle(tracks, options, random), options: { clé: { label, default, min, max } } }
+    // random() est le générateur pseudo-aléatoire initialisé par la graine : aucune stratégie
+    // ne doit appeler Math.random() pour que l'ordre reste reproductible
+    // prepare(tracks, options) optionnel et asynchrone : charge les données dont shuffle() a besoin
+    register(name, definition) {
+        if (!definition || typeof definition.shuffle !== 'function') {
+            throw new Error(`Stratégie de shuffle invalide: ${name}`);
+        }
+        
+        this.strategies.set(name, {
+            name,
+            label: definition.label || name,
+            description: definition.description || '',
+            options: definition.options || {},
+            prepare: definition.prepare || null,
+            shuffle: definition.shuffle
+        });
+    }
+
+    // Obtenir une stratégie par son nom
+    get(name) {
+        return this.strategies.get(name) || null;
+    }
+
+    // Lister les stratégies enregistrées
+    list() {
+        return Array.from(this.strategies.values());
+    }
+
+    // Stratégies fournies par Melodyx
+    registerDefaultStrategies() {
+        this.register('fisher-yates', {
+            label: 'Fisher-Yates',
+            description: 'Mélange uniforme : chaque ordre a exactement la même probabilité',
+            shuffle: (tracks, options, random) => this.fisherYatesShuffle(tracks, random)
+        });
+        
+        this.register('batch', {
+            label: 'Par blocs',
+            description: 'Mélange par blocs de pistes puis mélange des blocs entre eux',
+            options: {
+                batchSize: { label: 'Taille des blocs', default: 50, min: 5, max: 500 }
+            },
+            shuffle: (tracks, options, random) => this.batchShuffle(tracks, options, random)
+        });
+        
+        this.register('no-adjacent', {
+            label: 'Artistes alternés',
+            description: 'Alterne les artistes pour éviter deux pistes consécutives du même artiste',
+            shuffle: (tracks, options, random) => this.noAdjacentShuffle(tracks, random)
+        });
+        
+        this.register('artist-spread', {
+            label: 'Artistes espacés',
+            description: 'Un artiste (et optionnellement un album) ne revient pas avant N pistes',
+            options: {
+                artistWindow: { label: 'Fenêtre artiste', default: 3, min: 1, max: 20 },
+                albumWindow: { label: 'Fenêtre album', default: 0, min: 0, max: 50 }
+            },
+            shuffle: (tracks, options, random) => this.artistSpreadShuffle(tracks, options, random)
+        });
+    }
+
+    // === PRÉFÉRENCES ===
+
+    // Stratégie choisie par l'utilisateur (persistée)
+    getSelectedStrategy() {
+        const saved = localStorage.getItem(this.storageKey);
+        return saved && this.strategies.has(saved) ? saved : this.defaultStrategy;
+    }
+
+    setSelectedStrategy(name) {
+        if (!this.strategies.has(name)) {
+            throw new Error(`Stratégie de shuffle inconnue: ${name}`);
+        }
+        localStorage.setItem(this.storageKey, name);
+    }
+
+    // Options d'une stratégie : valeurs par défaut complétées par les valeurs sauvegardées
+    getStrategyOptions(name) {
+        const strategy = this.get(name);
+        if (!strategy) return {};
+        
+        const options = {};
+        Object.entries(strategy.options).forEach(([key, schema]) => {
+            options[key] = schema.default;
+        });
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.optionsStorageKey) || '{}');
+            Object.assign(options, saved[name] || {});
+        } catch (error) {
+            console.warn('Options de shuffle illisibles, valeurs par défaut utilisées', error);
+        }
+        
+        return options;
+    }
+
+    setStrategyOption(name, key, value) {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.optionsStorageKey) || '{}');
+        } catch (error) {
+            saved = {};
+        }
+        
+        saved[name] = { ...(saved[name] || {}), [key]: value };
+        localStorage.setItem(this.optionsStorageKey, JSON.stringify(saved));
+    }
+
+    // === EXÉCUTION ===
+
+    // Charger les données nécessaires à une stratégie avant de mélanger (historique, métadonnées...)
+    // Une préparation en échec n'empêche pas le mélange : la stratégie fait avec ce qu'elle a
+    async prepare(tracks, name = this.getSelectedStrategy()) {
+        if (this.trackWeighting && this.trackWeighting.prepare) {
+            try {
+                await this.trackWeighting.prepare(tracks);
+            } catch (error) {
+                console.warn('Préparation de la pondération des pistes impossible:', error);
+            }
+        }
+        
+        const strategy = this.get(name);
+        if (!strategy || !strategy.prepare) return;
+        
+        try {
+            await strategy.prepare(tracks, this.getStrategyOptions(strategy.name));
+        } catch (error) {
+            console.warn(`Préparation de la stratégie ${strategy.name} impossible:`, error);
+        }
+    }
+
+    // Mélanger des pistes avec une stratégie (par défaut celle choisie par l'utilisateur)
+    // Retourne { tracks, seed, strategy, weighted } : la même graine appliquée aux mêmes pistes
+    // avec la même stratégie (et les mêmes poids) redonne exactement le même ordre
+    // options.weighting = false ignore la pondération des pistes (diagnostics d'équité)
+    shuffleWithSeed(tracks, name = this.getSelectedStrategy(), options = {}) {
+        const strategy = this.get(name) || this.get(this.defaultStrategy);
+        const { seed: requestedSeed, weighting = true, ...strategyOptions } = options;
+        const seed = this.resolveSeed(requestedSeed);
+        const resolvedOptions = { ...this.getStrategyOptions(strategy.name), ...strategyOptions };
+        const random = this.createRandom(seed);
+        
+        if (!weighting || !this.trackWeighting) {
+            return {
+                tracks: strategy.shuffle([...tracks], resolvedOptions, random),
+                seed,
+                strategy: strategy.name,
+                weighted: false
+            };
+        }
+        
+        // Pistes exclues retirées avant le mélange, pistes pénalisées repoussées après
+        const weights = new Map(tracks.map(track => [track, this.trackWeighting.weight(track)]));
+        const order = strategy.shuffle(tracks.filter(track => weights.get(track) > 0), resolvedOptions, random);
+        
+        return {
+            tracks: this.applyTrackWeights(order, weights, random),
+            seed,
+            strategy: strategy.name,
+            weighted: [...weights.values()].some(weight => weight < 1) // Au moins une piste exclue ou repoussée
+        };
+    }
+
+    // Raccourci quand seul l'ordre mélangé est utile
+    shuffle(tracks, name = this.getSelectedStrategy(), options = {}) {
+        return this.shuffleWithSeed(tracks, name, options).tracks;
+    }
+
+    // === PONDÉRATION DES PISTES ===
+
+    // Pondération commune à toutes les stratégies (titres souvent passés, exclusions)
+    // weighting: { weight(track) -> 0 (exclue) à 1 (normale), prepare(tracks) optionnel et asynchrone }
+    setTrackWeighting(weighting) {
+        this.trackWeighting = weighting;
+    }
+
+    // Une piste de poids w garde sa place avec une probabilité w, sinon elle est repoussée
+    // en fin de liste ; l'ordre produit par la stratégie est conservé dans chaque partie
+    applyTrackWeights(order, weights, random) {
+        const kept = [];
+        const deferred = [];
+        
+        order.forEach(track => {
+            const weight = weights.get(track) ?? 1;
+            if (weight >= 1 || random() < weight) {
+                kept.push(track);
+            } else {
+                deferred.push(track);
+            }
+        });
+        
+        return kept.concat(deferred);
+    }
+
+    // === GRAINES ===
+
+    // Nouvelle graine aléatoire, courte et facile à partager (8 caractères base 36)
+    generateSeed() {
+        const values = crypto.getRandomValues(new Uint32Array(2));
+        return Array.from(values, value => value.toString(36).padStart(7, '0'))
+            .join('')
+            .slice(-8);
+    }
+
+    // Nettoyer une graine saisie par l'utilisateur
+    normalizeSeed(seed) {
+        if (seed === undefined || seed === null) return null;
+        const normalized = String(seed).trim().toLowerCase();
+        return normalized.length > 0 ? normalized : null;
+    }
+
+    // Graine imposée pour les prochains mélanges (null pour revenir à une graine aléatoire)
+    setSeedOverride(seed) {
+        this.seedOverride = this.normalizeSeed(seed);
+    }
+
+    // Graine à utiliser : celle demandée, sinon celle imposée par l'utilisateur, sinon une nouvelle
+    resolveSeed(seed = null) {
+        return this.normalizeSeed(seed || this.seedOverride) || this.generateSeed();
+    }
+
+    // Générateur pseudo-aléatoire déterministe (mulberry32) initialisé par une graine texte
+    createRandom(seed) {
+        let hash = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+        
+        let state = hash >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Clés de regroupement : pistes brutes de l'API (artists/album objets)
+    // ou pistes simplifiées de TrueRandomMode (artistId/albumId)
+    getArtistKey(track) {
+        return track.artists?.[0]?.id || track.artistId || track.artist || 'unknown';
+    }
+
+    getAlbumKey(track) {
+        if (track.album && typeof track.album === 'object') {
+            return track.album.id || null;
+        }
+        return track.albumId || track.album || null;
+    }
+
+    // === ALGORITHMES ===
+
+    // Algorithme Fisher-Yates pour un mélange vraiment aléatoire
+    fisherYatesShuffle(array, random = Math.random) {
+        const shuffled = [...array]; // Copie pour ne pas modifier l'original
+        
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            // Générer un index aléatoire entre 0 et i
+            const randomIndex = Math.floor(random() * (i + 1));
+            
+            // Échanger les éléments
+            [shuffled[i], shuffled[randomIndex]] = [shuffled[randomIndex], shuffled[i]];
+        }
+        
+        return shuffled;
+    }
+    
+    // Shuffle par batch pour les grandes playlists
+    batchShuffle(array, options = {}, random = Math.random) {
+        const { batchSize = 50 } = options;
+        
+        if (array.length <= batchSize) {
+            return this.fisherYatesShuffle(array, random);
+        }
+        
+        const batches = [];
+        for (let i = 0; i < array.length; i += batchSize) {
+            const batch = array.slice(i, Math.min(i + batchSize, array.length));
+            batches.push(this.fisherYatesShuffle(batch, random));
+        }
+        
+        // Mélanger les batches entre elles
+        const shuffledBatches = this.fisherYatesShuffle(batches, random);
+        
+        // Aplatir le résultat
+        return shuffledBatches.flat();
+    }
+    
+    // Shuffle avec option no-adjacent (éviter les pistes consécutives du même artiste)
+    noAdjacentShuffle(tracks, random = Math.random) {
+        if (tracks.length < 3) {
+            return this.fisherYatesShuffle(tracks, random);
+        }
+        
+        // Grouper les pistes par artiste
+        const tracksByArtist = new Map();
+        tracks.forEach(track => {
+            const artistId = this.getArtistKey(track);
+            if (!tracksByArtist.has(artistId)) {
+                tracksByArtist.set(artistId, []);
+            }
+            tracksByArtist.get(artistId).push(track);
+        });
+        
+        // Si un seul artiste, faire un shuffle normal
+        if (tracksByArtist.size === 1) {
+            return this.fisherYatesShuffle(tracks, random);
+        }
+        
+        // Créer une liste shufflée en alternant les artistes
+        const shuffled = [];
+        const artistArrays = Array.from(tracksByArtist.values()).map(tracks => this.fisherYatesShuffle(tracks, random));
+        
+        while (artistArrays.some(arr => arr.length > 0)) {
+            // Parcourir chaque artiste et prendre une piste
+            for (let i = 0; i < artistArrays.length; i++) {
+                if (artistArrays[i].length > 0) {
+                    shuffled.push(artistArrays[i].shift());
+                }
+            }
+        }
+        
+        return shuffled;
+    }
+
+    // Shuffle avec fenêtre d'espacement : un artiste (et optionnellement un album)
+    // ne réapparaît pas dans les N pistes suivantes
+    artistSpreadShuffle(tracks, options = {}, random = Math.random) {
+        const { artistWindow = 3, albumWindow = 0 } = options;
+
+        if (tracks.length < 3) {
+            return this.fisherYatesShuffle(tracks, random);
+        }
+
+        const getArtistKey = track => this.getArtistKey(track);
+        const getAlbumKey = track => this.getAlbumKey(track);
+
+        // Grouper les pistes par artiste, chaque groupe mélangé
+        const groups = new Map();
+        tracks.forEach(track => {
+            const artistKey = getArtistKey(track);
+            if (!groups.has(artistKey)) {
+                groups.set(artistKey, []);
+            }
+            groups.get(artistKey).push(track);
+        });
+        groups.forEach((groupTracks, artistKey) => {
+            groups.set(artistKey, this.fisherYatesShuffle(groupTracks, random));
+        });
+
+        const result = [];
+        const lastArtistPosition = new Map();
+        const lastAlbumPosition = new Map();
+
+        const isAlbumAllowed = (track, position) => {
+            const albumKey = getAlbumKey(track);
+            if (!albumWindow || !albumKey || !lastAlbumPosition.has(albumKey)) return true;
+            return position - lastAlbumPosition.get(albumKey) > albumWindow;
+        };
+
+        while (true) {
+            const position = result.length;
+
+            // Artistes éligibles : hors de la fenêtre et avec une piste d'un album autorisé
+            const candidates = [];
+            groups.forEach((groupTracks, artistKey) => {
+                if (groupTracks.length === 0) return;
+                if (lastArtistPosition.has(artistKey) &&
+                    position - lastArtistPosition.get(artistKey) <= artistWindow) return;
+
+                const trackIndex = groupTracks.findIndex(track => isAlbumAllowed(track, position));
+                if (trackIndex >= 0) {
+                    candidates.push({ artistKey, trackIndex, weight: groupTracks.length });
+                }
+            });
+
+            if (candidates.length === 0) break;
+
+            // Un artiste devient prioritaire quand ses pistes restantes, espacées
+            // de la fenêtre, occupent toutes les places restantes (en tenant compte
+            // des autres artistes aussi contraints qui doivent s'intercaler)
+            const remainingSlots = tracks.length - position;
+            const needed = weight => (weight - 1) * (artistWindow + 1) + 1;
+            const atLeast = new Map();
+            [...groups.values()]
+                .filter(groupTracks => groupTracks.length > 0)
+                .map(groupTracks => needed(groupTracks.length))
+                .sort((a, b) => b - a)
+                .forEach((need, index) => atLeast.set(need, index + 1));
+            const critical = candidates
+                .filter(c => {
+                    const need = needed(c.weight);
+                    return need + atLeast.get(need) - 1 >= remainingSlots;
+                })
+                .sort((a, b) => b.weight - a.weight);
+
+            // Sinon tirage pondéré par le nombre de pistes restantes : les artistes
+            // dominants sont placés plus tôt au lieu de s'accumuler en fin de liste
+            let chosen = critical[0];
+            if (!chosen) {
+                const totalWeight = candidates.reduce((sum, c) => sum + c.weight, 0);
+                let threshold = random() * totalWeight;
+                chosen = candidates[candidates.length - 1];
+                for (const candidate of candidates) {
+                    threshold -= candidate.weight;
+                    if (threshold < 0) {
+                        chosen = candidate;
+                        break;
+                    }
+                }
+            }
+
+            const [track] = groups.get(chosen.artistKey).splice(chosen.trackIndex, 1);
+            result.push(track);
+            lastArtistPosition.set(chosen.artistKey, position);
+            const albumKey = getAlbumKey(track);
+            if (albumKey) lastAlbumPosition.set(albumKey, position);
+        }
+
+        // Pistes restantes (contrainte impossible à tenir) : les répartir
+        // là où elles sont le plus éloignées des pistes du même artiste
+        const leftovers = this.fisherYatesShuffle([...groups.values()].flat(), random);
+        leftovers.forEach(track => {
+            const artistKey = getArtistKey(track);
+            const isSame = result.map(placed => getArtistKey(placed) === artistKey);
+            const size = result.length;
+
+            // Pour chaque emplacement : distance à la piste du même artiste la plus proche
+            // et longueur de la série consécutive créée si on insère ici
+            const distanceBefore = new Array(size + 1).fill(Infinity);
+            const runBefore = new Array(size + 1).fill(0);
+            for (let slot = 1; slot <= size; slot++) {
+                distanceBefore[slot] = isSame[slot - 1] ? 1 : distanceBefore[slot - 1] + 1;
+                runBefore[slot] = isSame[slot - 1] ? runBefore[slot - 1] + 1 : 0;
+            }
+            const distanceAfter = new Array(size + 1).fill(Infinity);
+            const runAfter = new Array(size + 1).fill(0);
+            for (let slot = size - 1; slot >= 0; slot--) {
+                distanceAfter[slot] = isSame[slot] ? 1 : distanceAfter[slot + 1] + 1;
+                runAfter[slot] = isSame[slot] ? runAfter[slot + 1] + 1 : 0;
+            }
+
+            let bestSlots = [];
+            let bestDistance = -1;
+            let bestRun = Infinity;
+            for (let slot = 0; slot <= size; slot++) {
+                const distance = Math.min(distanceBefore[slot], distanceAfter[slot]);
+                const run = runBefore[slot] + runAfter[slot];
+                if (distance > bestDistance || (distance === bestDistance && run < bestRun)) {
+                    bestSlots = [slot];
+                    bestDistance = distance;
+                    bestRun = run;
+                } else if (distance === bestDistance && run === bestRun) {
+                    bestSlots.push(slot);
+                }
+            }
+
+            const slot = bestSlots[Math.floor(random() * bestSlots.length)];
+            result.splice(slot, 0, track);
+        });
+
+        if (leftovers.length > 0 && window.logger) {
+            window.logger.debug('ShuffleRegistry: Artist spread leftovers redistributed', { count: leftovers.length });
+        }
+
+        return result;
+    }
+
+    // Longueur d'un entrelacement pondéré : la liste s'arrête quand la source la plus courte
+    // (relativement à sa part) a donné toutes ses pistes, pour respecter les proportions jusqu'au bout
+    // sources: [{ count, weight }] ; retourne { length, limitingIndex } (index dans sources)
+    getWeightedLength(sources) {
+        const totalWeight = sources
+            .filter(source => source.weight > 0 && source.count > 0)
+            .reduce((sum, source) => sum + source.weight, 0);
+        let length = 0;
+        let limitingIndex = -1;
+        
+        sources.forEach((source, i) => {
+            if (!(source.weight > 0 && source.count > 0)) return;
+            const sourceLength = Math.floor(source.count / (source.weight / totalWeight) + 1e-9);
+            if (limitingIndex < 0 || sourceLength < length) {
+                length = sourceLength;
+                limitingIndex = i;
+            }
+        });
+        
+        return { length, limitingIndex };
+    }
+
+    // Entrelacer plusieurs listes déjà mélangées selon leurs poids
+    // sources: [{ tracks, weight }] ; longueur donnée par getWeightedLength
+    weightedInterleave(sources, random = Math.random) {
+        const active = sources.filter(source => source.weight > 0 && source.tracks.length > 0);
+        if (active.length === 0) return [];
+        
+        const totalWeight = active.reduce((sum, source) => sum + source.weight, 0);
+        const shares = active.map(source => source.weight / totalWeight);
+        const { length } = this.getWeightedLength(active.map(source => ({ count: source.tracks.length, weight: source.weight })));
+        const taken = active.map(() => 0);
+        const result = [];
+        
+        for (let slot = 0; slot < length; slot++) {
+            // Source la plus en retard sur sa part ; le tirage évite un motif de rotation fixe
+            let best = -1;
+            let bestScore = Infinity;
+            active.forEach((source, i) => {
+                if (taken[i] >= source.tracks.length) return;
+                const score = (taken[i] + random()) / shares[i];
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = i;
+                }
+            });
+            
+            if (best < 0) break;
+            result.push(active[best].tracks[taken[best]++]);
+        }
+        
+        return result;
+    }
+
+    // === INTERFACE ===
+
+    // Afficher le sélecteur de stratégie (et ses options) dans un conteneur
+    renderPicker(container) {
+        if (!container) return;
+        
+        const selected = this.getSelectedStrategy();
+        const strategy = this.get(selected);
+        const options = this.getStrategyOptions(selected);
+        
+        container.innerHTML = `
+            <div class="shuffle-strategy-picker">
+                <label class="shuffle-strategy-label" for="shuffle-strategy-select">🎲 Algorithme:</label>
+                <select id="shuffle-strategy-select" class="shuffle-strategy-select" title="${strategy.description}">
+                    ${this.list().map(s => `
+                        <option value="${s.name}" ${s.name === selected ? 'selected' : ''}>${s.label}</option>
+                    `).join('')}
+                </select>
+                ${Object.entries(strategy.options).map(([key, schema]) => `
+                    <label class="shuffle-strategy-option">
+                        <span>${schema.label}</span>
+                        <input type="number" data-option="${key}" value="${options[key]}" min="${schema.min}" max="${schema.max}">
+                    </label>
+                `).join('')}
+                <label class="shuffle-strategy-option shuffle-seed-option" title="Réutiliser une graine pour retrouver exactement le même ordre">
+                    <span>Graine</span>
+                    <input type="text" data-seed value="${this.seedOverride || ''}" placeholder="aléatoire" maxlength="32" spellcheck="false">
+                </label>
+            </div>
+        `;
+        
+        container.querySelector('input[data-seed]').addEventListener('change', (e) => {
+            this.setSeedOverride(e.target.value);
+            e.target.value = this.seedOverride || '';
+        });
+        
+        container.querySelector('.shuffle-strategy-select').addEventListener('change', (e) => {
+            this.setSelectedStrategy(e.target.value);
+            this.renderPicker(container);
+        });
+        
+        container.querySelectorAll('input[data-option]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.option;
+                const schema = strategy.options[key];
+                const value = Math.min(schema.max, Math.max(schema.min, parseInt(e.target.value) || schema.default));
+                e.target.value = value;
+                this.setStrategyOption(selected, key, value);
+            });
+        });
+    }
+}
+
+// Instance globale
+const shuffleRegistry = new ShuffleRegistry();
+
+// Make available globally
+window.shuffleRegistry = shuffleRegistry;
+window.ShuffleRegistry = ShuffleRegistry;
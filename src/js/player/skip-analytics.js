@@ -0,0 +1,291 @@
+// Titres souvent passés - Melodyx
+// Taux de saut par piste calculé depuis le journal des écoutes (scrobbler.js), exclusions des true shuffles
+// et pénalité optionnelle des titres souvent passés dans toutes les stratégies de shuffle
+
+class SkipAnalytics {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+        this.storeName = 'scrobbles'; // Journal alimenté par scrobbler.js
+        this.exclusionsStorageKey = 'melodyx-shuffle-exclusions';
+        this.weightingStorageKey = 'melodyx-skip-weighting';
+
+        this.minPlays = 3; // En dessous, le taux de saut n'est pas significatif
+        this.chronicRate = 0.6;
+        this.maxPenalty = 0.8; // Un titre toujours passé garde 20 % de chances de rester à sa place
+
+        // trackId -> { trackId, uri, name, artist, plays, skips, manualSkips, rate, lastSkippedAt, playlists }
+        this.stats = new Map();
+        this.exclusions = null; // Cache des exclusions (lu pour chaque piste pendant un shuffle)
+        this.removedFromPlaylists = new Set(); // `${trackId}:${playlistId}` déjà retirés pendant la session
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // === STATISTIQUES ===
+
+    // Écoute interrompue par un changement de piste avant d'avoir compté comme scrobble
+    isSkip(entry) {
+        return entry.status === 'skipped' && !entry.scrobbled;
+    }
+
+    // Relu avant chaque shuffle : les sauts de la session en cours sont pris en compte
+    async reload() {
+        const entries = await melodyxDB.getAll(this.storeName);
+        this.stats = this.compute(entries);
+        this.exclusions = null;
+        logger.debug('SkipAnalytics: Taux de saut calculés', { tracks: this.stats.size });
+    }
+
+    compute(entries) {
+        const stats = new Map();
+
+        entries.forEach(entry => {
+            // Une page fermée en cours d'écoute ne dit rien de la piste
+            if (entry.status === 'interrupted') return;
+
+            const stat = stats.get(entry.trackId) || {
+                trackId: entry.trackId,
+                uri: entry.uri,
+                name: entry.name,
+                artist: entry.artist,
+                plays: 0,
+                skips: 0,
+                manualSkips: 0,
+                rate: 0,
+                lastSkippedAt: null,
+                playlists: {}
+            };
+
+            stat.plays++;
+            if (this.isSkip(entry)) {
+                stat.skips++;
+                if (entry.manualSkip) stat.manualSkips++;
+                stat.lastSkippedAt = Math.max(stat.lastSkippedAt || 0, entry.startedAt);
+
+                // Playlists dans lesquelles la piste a été passée (action « retirer de la playlist »)
+                const playlistId = entry.contextUri?.startsWith('spotify:playlist:')
+                    ? entry.contextUri.split(':')[2]
+                    : null;
+                if (playlistId && !this.removedFromPlaylists.has(`${entry.trackId}:${playlistId}`)) {
+                    stat.playlists[playlistId] = (stat.playlists[playlistId] || 0) + 1;
+                }
+            }
+            stat.rate = stat.skips / stat.plays;
+
+            stats.set(entry.trackId, stat);
+        });
+
+        return stats;
+    }
+
+    getSkipRate(trackId) {
+        const stat = this.stats.get(trackId);
+        return stat && stat.plays >= this.minPlays ? stat.rate : 0;
+    }
+
+    // Titres passés au moins chronicRate fois sur minPlays écoutes ou plus
+    getChronicSkips() {
+        return [...this.stats.values()]
+            .filter(stat => stat.plays >= this.minPlays && stat.rate >= this.chronicRate)
+            .sort((a, b) => b.rate - a.rate || b.skips - a.skips);
+    }
+
+    // === EXCLUSIONS ET PONDÉRATION ===
+
+    getExclusions() {
+        if (!this.exclusions) {
+            try {
+                this.exclusions = JSON.parse(localStorage.getItem(this.exclusionsStorageKey)) || {};
+            } catch (error) {
+                console.warn('Exclusions de shuffle illisibles, liste réinitialisée:', error);
+                this.exclusions = {};
+            }
+        }
+        return this.exclusions;
+    }
+
+    isExcluded(trackId) {
+        return Boolean(trackId && this.getExclusions()[trackId]);
+    }
+
+    exclude(stat) {
+        const exclusions = this.getExclusions();
+        exclusions[stat.trackId] = { name: stat.name, artist: stat.artist, excludedAt: Date.now() };
+        localStorage.setItem(this.exclusionsStorageKey, JSON.stringify(exclusions));
+    }
+
+    include(trackId) {
+        const exclusions = this.getExclusions();
+        delete exclusions[trackId];
+        localStorage.setItem(this.exclusionsStorageKey, JSON.stringify(exclusions));
+    }
+
+    isWeightingEnabled() {
+        return localStorage.getItem(this.weightingStorageKey) === 'true';
+    }
+
+    setWeightingEnabled(enabled) {
+        localStorage.setItem(this.weightingStorageKey, String(enabled));
+    }
+
+    // Poids d'une piste dans les shuffles : 0 exclue, 1 normale, entre les deux pénalisée
+    getWeight(track) {
+        const trackId = track?.id;
+        if (!trackId) return 1;
+        if (this.isExcluded(trackId)) return 0;
+        if (!this.isWeightingEnabled()) return 1;
+
+        return 1 - this.getSkipRate(trackId) * this.maxPenalty;
+    }
+
+    // === ACTIONS ===
+
+    async removeFromPlaylist(stat, playlistId) {
+        await this.webApiService.removeTracksFromPlaylist(playlistId, [stat.uri]);
+        this.removedFromPlaylists.add(`${stat.trackId}:${playlistId}`);
+        delete stat.playlists[playlistId];
+    }
+
+    unlike(stat) {
+        return this.webApiService.setSavedTracks([stat.trackId], false);
+    }
+
+    // === INTERFACE ===
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    // Noms des playlists où les titres ont été passés
+    async getPlaylistNames(chronic) {
+        const ids = [...new Set(chronic.flatMap(stat => Object.keys(stat.playlists)))];
+        const names = new Map();
+
+        await Promise.all(ids.map(async playlistId => {
+            try {
+                const playlist = await this.webApiService.getPlaylist(playlistId);
+                names.set(playlistId, playlist.name);
+            } catch (error) {
+                names.set(playlistId, playlistId);
+            }
+        }));
+
+        return names;
+    }
+
+    async renderInsights(container) {
+        if (!container) return;
+
+        await this.reload().catch(error => console.warn('Statistiques de saut indisponibles:', error));
+        const chronic = this.getChronicSkips();
+        const exclusions = this.getExclusions();
+        const playlistNames = await this.getPlaylistNames(chronic);
+
+        container.innerHTML = `
+            <div class="scrobble-toolbar">
+                <label class="scrobble-include" title="Les titres souvent passés sont repoussés vers la fin des true shuffles, quelle que soit la stratégie">
+                    <input type="checkbox" class="skip-weighting" ${this.isWeightingEnabled() ? 'checked' : ''}>
+                    Repousser les titres souvent passés dans les shuffles
+                </label>
+            </div>
+            <p class="scrobble-meta">
+                Titres passés au moins ${Math.round(this.chronicRate * 100)} % du temps sur ${this.minPlays} écoutes ou plus.
+            </p>
+            <div class="scrobble-list">
+                ${chronic.length === 0 ? '<p class="scrobble-empty">Aucun titre régulièrement passé pour le moment.</p>' : chronic.map(stat => `
+                    <div class="scrobble-item skip-item" data-track-id="${this.escapeHTML(stat.trackId)}">
+                        <div class="scrobble-details">
+                            <div class="scrobble-name">${this.escapeHTML(stat.name)}</div>
+                            <div class="scrobble-meta">
+                                ${this.escapeHTML(stat.artist)} · passé ${stat.skips}/${stat.plays} fois (${Math.round(stat.rate * 100)} %)${stat.manualSkips ? `, dont ${stat.manualSkips} avec Suivant` : ''}
+                            </div>
+                        </div>
+                        <div class="skip-actions">
+                            ${Object.keys(stat.playlists).length > 0 ? `
+                                <select class="queue-snapshot-select skip-playlist">
+                                    ${Object.entries(stat.playlists).sort((a, b) => b[1] - a[1]).map(([playlistId]) => `
+                                        <option value="${playlistId}">${this.escapeHTML(playlistNames.get(playlistId))}</option>
+                                    `).join('')}
+                                </select>
+                                <button class="queue-snapshot-btn" data-skip-action="remove" type="button">Retirer</button>
+                            ` : ''}
+                            ${stat.trackId.startsWith('spotify:') ? '' : '<button class="queue-snapshot-btn" data-skip-action="unlike" type="button">Ne plus aimer</button>'}
+                            ${exclusions[stat.trackId]
+                                ? '<button class="queue-snapshot-btn" data-skip-action="include" type="button">Réintégrer</button>'
+                                : '<button class="queue-snapshot-btn" data-skip-action="exclude" type="button">Exclure des shuffles</button>'}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${Object.keys(exclusions).length > 0 ? `
+                <h4 class="skip-exclusions-title">Exclus des true shuffles</h4>
+                <div class="scrobble-list">
+                    ${Object.entries(exclusions).map(([trackId, excluded]) => `
+                        <div class="scrobble-item" data-track-id="${this.escapeHTML(trackId)}">
+                            <div class="scrobble-details">
+                                <div class="scrobble-name">${this.escapeHTML(excluded.name)}</div>
+                                <div class="scrobble-meta">${this.escapeHTML(excluded.artist)} · depuis le ${new Date(excluded.excludedAt).toLocaleDateString()}</div>
+                            </div>
+                            <button class="queue-snapshot-btn" data-skip-action="include" type="button">Réintégrer</button>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+
+        container.querySelector('.skip-weighting').addEventListener('change', (e) => {
+            this.setWeightingEnabled(e.target.checked);
+        });
+
+        container.querySelectorAll('[data-skip-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const item = button.closest('[data-track-id]');
+                const trackId = item.dataset.trackId;
+                const stat = this.stats.get(trackId);
+                button.disabled = true;
+
+                try {
+                    switch (button.dataset.skipAction) {
+                        case 'remove': {
+                            const select = item.querySelector('.skip-playlist');
+                            const name = select.options[select.selectedIndex].text;
+                            if (!confirm(`Retirer « ${stat.name} » de « ${name} » ?`)) break;
+                            await this.removeFromPlaylist(stat, select.value);
+                            break;
+                        }
+                        case 'unlike':
+                            if (!confirm(`Retirer « ${stat.name} » des titres likés ?`)) break;
+                            await this.unlike(stat);
+                            break;
+                        case 'exclude':
+                            this.exclude(stat);
+                            break;
+                        case 'include':
+                            this.include(trackId);
+                            break;
+                    }
+                } catch (error) {
+                    console.error('Action sur un titre souvent passé impossible:', error);
+                    alert(`Action impossible : ${error.message}`);
+                }
+
+                this.renderInsights(container);
+            });
+        });
+    }
+}
+
+// Instance globale
+const skipAnalytics = new SkipAnalytics();
+
+// Exclusions et pénalité des titres souvent passés appliquées à toutes les stratégies
+shuffleRegistry.setTrackWeighting({
+    prepare: () => skipAnalytics.reload(),
+    weight: track => skipAnalytics.getWeight(track)
+});
+
+// Make available globally
+window.skipAnalytics = skipAnalytics;
+window.SkipAnalytics = SkipAnalytics;
@@ -0,0 +1,575 @@
+// Playlists intelligentes - Melodyx
+// Règles (« titres likés ajoutés ces 90 derniers jours, durée < 5 min, sortie ≥ 2015... ») évaluées sur la
+// bibliothèque puis matérialisées dans une vraie playlist Spotify, actualisable en un clic
+
+class SmartPlaylists {
+    constructor() {
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
+        this.storageKey = 'melodyx-smart-playlists';
+        this.maxTracks = 10000; // Limite Spotify d'une playlist
+
+        // Champs disponibles ; value(item) reçoit un élément { added_at, track }
+        this.fields = {
+            added_at: { label: 'Date d\'ajout', type: 'date', value: item => item.added_at ? Date.parse(item.added_at) : null },
+            release_year: { label: 'Année de sortie', type: 'number', value: item => parseInt(item.track.album?.release_date) || null },
+            duration: { label: 'Durée (minutes)', type: 'number', value: item => item.track.duration_ms ? item.track.duration_ms / 60000 : null },
+            popularity: { label: 'Popularité (0-100)', type: 'number', value: item => item.track.popularity ?? null },
+            artist: { label: 'Artiste', type: 'text', value: item => (item.track.artists || []).map(artist => artist.name) },
+            title: { label: 'Titre', type: 'text', value: item => [item.track.name || ''] },
+            album: { label: 'Album', type: 'text', value: item => [item.track.album?.name || ''] },
+            explicit: { label: 'Explicite', type: 'boolean', value: item => Boolean(item.track.explicit) }
+        };
+
+        this.operators = {
+            number: { lt: '<', lte: '≤', gt: '>', gte: '≥', eq: '=' },
+            date: { inLast: 'il y a moins de (jours)', notInLast: 'il y a plus de (jours)' },
+            text: {
+                contains: 'contient',
+                notContains: 'ne contient pas',
+                is: 'est',
+                isNot: 'n\'est pas',
+                inList: 'parmi (liste séparée par des virgules)',
+                notInList: 'hors de (liste séparée par des virgules)'
+            },
+            boolean: { is: 'est' }
+        };
+
+        this.sortFields = {
+            added_at: 'Date d\'ajout',
+            release_year: 'Année de sortie',
+            popularity: 'Popularité',
+            duration: 'Durée',
+            random: 'Aléatoire'
+        };
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // === DÉFINITIONS ===
+    // { id, name, sources: ['liked-tracks' | playlistId], match: 'all' | 'any', rules: [{ field, operator, value }],
+    //   sort: { field, direction }, limit, playlistId, lastRefreshedAt, lastCount }
+
+    list() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            logger.warn('SmartPlaylists: Playlists intelligentes illisibles, liste réinitialisée', error);
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.list().find(definition => definition.id === id) || null;
+    }
+
+    save(definition) {
+        const definitions = this.list();
+        const record = {
+            id: definition.id || `smart-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: definition.name,
+            sources: definition.sources,
+            match: definition.match === 'any' ? 'any' : 'all',
+            rules: definition.rules,
+            sort: definition.sort || { field: 'added_at', direction: 'desc' },
+            limit: definition.limit || null,
+            playlistId: definition.playlistId || null,
+            lastRefreshedAt: definition.lastRefreshedAt || null,
+            lastCount: definition.lastCount ?? null
+        };
+
+        const index = definitions.findIndex(existing => existing.id === record.id);
+        if (index >= 0) {
+            definitions[index] = record;
+        } else {
+            definitions.push(record);
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(definitions));
+        return record;
+    }
+
+    // La playlist Spotify déjà créée est conservée
+    delete(id) {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.list().filter(definition => definition.id !== id)));
+    }
+
+    // === ÉVALUATION ===
+
+    normalize(text) {
+        return String(text ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    }
+
+    matchRule(rule, item) {
+        const field = this.fields[rule.field];
+        if (!field) return false;
+
+        const value = field.value(item);
+
+        switch (field.type) {
+            case 'number': {
+                const target = parseFloat(rule.value);
+                if (value === null || Number.isNaN(target)) return false;
+                return {
+                    lt: value < target,
+                    lte: value <= target,
+                    gt: value > target,
+                    gte: value >= target,
+                    eq: value === target
+                }[rule.operator] ?? false;
+            }
+
+            case 'date': {
+                const days = parseFloat(rule.value);
+                if (value === null || Number.isNaN(days)) return false;
+                const threshold = Date.now() - days * 24 * 60 * 60 * 1000;
+                return rule.operator === 'notInLast' ? value < threshold : value >= threshold;
+            }
+
+            case 'boolean':
+                return value === (rule.value === true || rule.value === 'true');
+
+            case 'text': {
+                const values = value.map(text => this.normalize(text));
+                const target = this.normalize(rule.value);
+                const list = String(rule.value || '').split(',').map(text => this.normalize(text)).filter(Boolean);
+
+                switch (rule.operator) {
+                    case 'contains': return values.some(text => text.includes(target));
+                    case 'notContains': return !values.some(text => text.includes(target));
+                    case 'is': return values.includes(target);
+                    case 'isNot': return !values.includes(target);
+                    case 'inList': return values.some(text => list.includes(text));
+                    case 'notInList': return !values.some(text => list.includes(text));
+                    default: return false;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    matches(definition, item) {
+        if (definition.rules.length === 0) return true;
+
+        return definition.match === 'any'
+            ? definition.rules.some(rule => this.matchRule(rule, item))
+            : definition.rules.every(rule => this.matchRule(rule, item));
+    }
+
+    // Éléments complets ({ added_at, track }) : getLikedTracks et getAllPlaylistTracks ne gardent que les pistes,
+    // sans la date d'ajout dont dépendent les règles « ajouté ces N derniers jours »
+    loadSource(sourceId, onProgress = null) {
+        return sourceId === 'liked-tracks'
+            ? this.webApiService.getAllSavedItems(onProgress)
+            : this.webApiService.getAllPlaylistItems(sourceId, onProgress);
+    }
+
+    // Pistes retenues (éléments complets), triées et limitées
+    async evaluate(definition, onProgress = null) {
+        const seen = new Set();
+        const candidates = [];
+
+        for (const [index, sourceId] of definition.sources.entries()) {
+            const items = await this.loadSource(sourceId, (loaded, total) => {
+                if (onProgress) onProgress(index + 1, definition.sources.length, loaded, total);
+            });
+
+            items.forEach(item => {
+                const track = item?.track;
+                if (!track || track.is_local || !track.uri?.startsWith('spotify:track:')) return;
+
+                // Une piste présente dans plusieurs sources n'est gardée qu'une fois
+                const uri = this.webApiService.getPlaylistItemUri(track);
+                if (seen.has(uri)) return;
+                seen.add(uri);
+
+                if (this.matches(definition, item)) {
+                    candidates.push(item);
+                }
+            });
+        }
+
+        this.sortItems(candidates, definition.sort);
+
+        const limit = Math.min(definition.limit || this.maxTracks, this.maxTracks);
+        return candidates.slice(0, limit);
+    }
+
+    sortItems(items, sort = { field: 'added_at', direction: 'desc' }) {
+        if (sort.field === 'random') {
+            for (let i = items.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [items[i], items[j]] = [items[j], items[i]];
+            }
+            return items;
+        }
+
+        const getValue = this.fields[sort.field]?.value;
+        if (!getValue) return items;
+
+        const direction = sort.direction === 'asc' ? 1 : -1;
+        return items.sort((a, b) => {
+            const left = getValue(a);
+            const right = getValue(b);
+            if (left === null) return 1;
+            if (right === null) return -1;
+            return (left - right) * direction;
+        });
+    }
+
+    // Résumé lisible des règles (description de la playlist, liste des playlists intelligentes)
+    describe(definition) {
+        const rules = definition.rules.map(rule => {
+            const field = this.fields[rule.field];
+            if (!field) return '';
+            // Les précisions entre parenthèses ne servent qu'au formulaire
+            const label = field.label.replace(/\s*\(.*\)/, '').toLowerCase();
+            const operator = (this.operators[field.type][rule.operator] || rule.operator).replace(/\s*\(.*\)/, '');
+            const value = {
+                boolean: String(rule.value) === 'true' ? 'oui' : 'non',
+                date: `${rule.value} jours`
+            }[field.type] ?? rule.value;
+            return `${label} ${operator} ${value}`;
+        }).filter(Boolean);
+
+        return rules.length === 0
+            ? 'toutes les pistes'
+            : rules.join(definition.match === 'any' ? ' ou ' : ' et ');
+    }
+
+    // === MATÉRIALISATION ===
+
+    // Évaluer puis écrire le résultat dans la playlist Spotify (créée au premier passage)
+    async refresh(definitionId, onProgress = null) {
+        const definition = this.get(definitionId);
+        if (!definition) {
+            throw new Error('Playlist intelligente introuvable');
+        }
+
+        const items = await this.evaluate(definition, onProgress);
+        const uris = items.map(item => this.webApiService.getPlaylistItemUri(item.track));
+        const description = `Playlist intelligente Melodyx : ${this.describe(definition)}`;
+
+        let playlistId = definition.playlistId;
+        let created = null;
+
+        if (playlistId) {
+            try {
+                // Nom et règles ont pu changer depuis la création
+                await this.webApiService.changePlaylistDetails(playlistId, { name: definition.name, description });
+                await this.webApiService.replacePlaylistTracks(playlistId, uris);
+            } catch (error) {
+                // Seule une playlist supprimée ou plus modifiable est recréée ; une autre erreur
+                // (limite de débit, réseau) est remontée pour ne pas créer de doublon
+                if (!/API Error (403|404)/.test(error.message)) throw error;
+                logger.warn(`SmartPlaylists: Playlist de « ${definition.name} » inaccessible, nouvelle playlist créée`, error.message);
+                playlistId = null;
+            }
+        }
+
+        if (!playlistId) {
+            created = await this.webApiService.createPlaylist(definition.name, description, false);
+            playlistId = created.id;
+            await this.webApiService.addTracksToPlaylist(playlistId, uris);
+        }
+
+        const saved = this.save({ ...definition, playlistId, lastRefreshedAt: Date.now(), lastCount: uris.length });
+        logger.info(`SmartPlaylists: Playlist intelligente « ${definition.name} » actualisée (${uris.length} titres)`);
+
+        return {
+            definition: saved,
+            created: created ? {
+                id: created.id,
+                name: created.name,
+                uri: created.uri,
+                image: null,
+                ownerId: created.owner?.id || null,
+                trackCount: uris.length
+            } : null
+        };
+    }
+
+    // === INTERFACE ===
+
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+
+    renderList() {
+        const definitions = this.list();
+        if (definitions.length === 0) {
+            return '<p class="smart-empty">Aucune playlist intelligente pour le moment.</p>';
+        }
+
+        return definitions.map(definition => `
+            <div class="smart-item">
+                <div class="smart-item-info">
+                    <span class="smart-item-name">${this.escapeHTML(definition.name)}</span>
+                    <span class="smart-item-rules">${this.escapeHTML(this.describe(definition))}</span>
+                    <span class="smart-item-meta">${definition.lastRefreshedAt
+                        ? `${definition.lastCount} titres · actualisée le ${new Date(definition.lastRefreshedAt).toLocaleString()}`
+                        : 'Jamais actualisée'}</span>
+                </div>
+                <button class="btn btn-primary smart-refresh" data-id="${definition.id}">Actualiser</button>
+                <button class="btn btn-secondary smart-edit" data-id="${definition.id}">Modifier</button>
+                <button class="btn btn-secondary smart-delete" data-id="${definition.id}" title="Supprimer la règle (la playlist Spotify est conservée)">✕</button>
+            </div>
+        `).join('');
+    }
+
+    renderRule(rule, index) {
+        const field = this.fields[rule.field] || this.fields.added_at;
+        const operators = this.operators[field.type];
+
+        return `
+            <div class="smart-rule" data-index="${index}">
+                <select class="smart-rule-field">
+                    ${Object.entries(this.fields).map(([key, { label }]) => `<option value="${key}" ${key === rule.field ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <select class="smart-rule-operator">
+                    ${Object.entries(operators).map(([key, label]) => `<option value="${key}" ${key === rule.operator ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                ${field.type === 'boolean' ? `
+                    <select class="smart-rule-value">
+                        <option value="true" ${String(rule.value) === 'true' ? 'selected' : ''}>oui</option>
+                        <option value="false" ${String(rule.value) === 'false' ? 'selected' : ''}>non</option>
+                    </select>
+                ` : `
+                    <input class="smart-rule-value" type="${field.type === 'text' ? 'text' : 'number'}" value="${this.escapeHTML(rule.value ?? '')}" step="any">
+                `}
+                <button class="btn btn-secondary smart-rule-remove" title="Retirer la règle">✕</button>
+            </div>
+        `;
+    }
+
+    defaultRule(fieldKey = 'added_at') {
+        const type = this.fields[fieldKey].type;
+        return {
+            field: fieldKey,
+            operator: Object.keys(this.operators[type])[0],
+            value: { date: 90, number: '', text: '', boolean: 'true' }[type]
+        };
+    }
+
+    // Modal : liste des playlists intelligentes et éditeur de règles
+    // playlists : playlists de l'utilisateur (sources possibles) ; onCreated(playlist) : playlist Spotify créée
+    openManager(playlists, onCreated = null) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container smart-container" onclick="event.stopPropagation()">
+                    <div class="modal-content smart-playlists">
+                        <h2>🧠 Playlists intelligentes</h2>
+                        <div class="smart-list"></div>
+                        <div class="smart-builder" style="display: none;"></div>
+                        <p class="smart-status"></p>
+                        <div class="smart-actions">
+                            <button class="btn btn-primary smart-new">Nouvelle playlist intelligente</button>
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">Fermer</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const listContainer = modal.querySelector('.smart-list');
+        const builder = modal.querySelector('.smart-builder');
+        const status = modal.querySelector('.smart-status');
+        const newBtn = modal.querySelector('.smart-new');
+
+        let draft = null;
+
+        const renderList = () => {
+            listContainer.innerHTML = this.renderList();
+        };
+
+        const progressText = (prefix) => (source, sources, loaded, total) => {
+            status.textContent = `${prefix} source ${source}/${sources}, ${loaded}/${total || '?'} titres...`;
+        };
+
+        // Relire le formulaire dans le brouillon (les règles sont re-rendues à chaque changement de champ)
+        const readBuilder = () => {
+            draft.name = builder.querySelector('.smart-name').value.trim();
+            draft.match = builder.querySelector('.smart-match').value;
+            draft.sources = [...builder.querySelectorAll('.smart-source:checked')].map(input => input.value);
+            draft.sort = {
+                field: builder.querySelector('.smart-sort-field').value,
+                direction: builder.querySelector('.smart-sort-direction').value
+            };
+            draft.limit = parseInt(builder.querySelector('.smart-limit').value) || null;
+            draft.rules = [...builder.querySelectorAll('.smart-rule')].map(row => ({
+                field: row.querySelector('.smart-rule-field').value,
+                operator: row.querySelector('.smart-rule-operator').value,
+                value: row.querySelector('.smart-rule-value').value
+            }));
+        };
+
+        const renderBuilder = () => {
+            builder.style.display = '';
+            newBtn.style.display = 'none';
+            builder.innerHTML = `
+                <input type="text" class="smart-name" placeholder="Nom de la playlist" value="${this.escapeHTML(draft.name)}">
+                <div class="smart-sources">
+                    <span>Sources :</span>
+                    ${playlists.map(playlist => `
+                        <label class="smart-source-option">
+                            <input type="checkbox" class="smart-source" value="${playlist.id}" ${draft.sources.includes(playlist.id) ? 'checked' : ''}>
+                            ${this.escapeHTML(playlist.name)}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="smart-row">
+                    Pistes qui respectent
+                    <select class="smart-match">
+                        <option value="all" ${draft.match !== 'any' ? 'selected' : ''}>toutes les règles</option>
+                        <option value="any" ${draft.match === 'any' ? 'selected' : ''}>au moins une règle</option>
+                    </select>
+                </div>
+                <div class="smart-rules">${draft.rules.map((rule, index) => this.renderRule(rule, index)).join('')}</div>
+                <button class="btn btn-secondary smart-rule-add">+ Règle</button>
+                <div class="smart-row">
+                    Trier par
+                    <select class="smart-sort-field">
+                        ${Object.entries(this.sortFields).map(([key, label]) => `<option value="${key}" ${draft.sort.field === key ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <select class="smart-sort-direction">
+                        <option value="desc" ${draft.sort.direction !== 'asc' ? 'selected' : ''}>décroissant</option>
+                        <option value="asc" ${draft.sort.direction === 'asc' ? 'selected' : ''}>croissant</option>
+                    </select>
+                    Limite
+                    <input type="number" class="smart-limit" min="1" max="${this.maxTracks}" placeholder="aucune" value="${draft.limit || ''}">
+                </div>
+                <ol class="smart-preview"></ol>
+                <div class="smart-actions">
+                    <button class="btn btn-secondary smart-preview-btn">Aperçu</button>
+                    <button class="btn btn-primary smart-save">Enregistrer et actualiser</button>
+                    <button class="btn btn-secondary smart-cancel">Annuler</button>
+                </div>
+            `;
+        };
+
+        const closeBuilder = () => {
+            draft = null;
+            builder.style.display = 'none';
+            builder.innerHTML = '';
+            newBtn.style.display = '';
+        };
+
+        const validate = () => {
+            readBuilder();
+            if (!draft.name) return 'Donnez un nom à la playlist';
+            if (draft.sources.length === 0) return 'Choisissez au moins une source';
+            return null;
+        };
+
+        const runRefresh = async (id) => {
+            try {
+                const { definition, created } = await this.refresh(id, progressText('Évaluation :'));
+                status.textContent = `✅ « ${definition.name} » actualisée : ${definition.lastCount} titres.`;
+                if (created && onCreated) onCreated(created);
+            } catch (error) {
+                console.error('Erreur actualisation playlist intelligente:', error);
+                status.textContent = `Erreur : ${error.message}`;
+            }
+            renderList();
+        };
+
+        newBtn.addEventListener('click', () => {
+            draft = {
+                name: '',
+                sources: ['liked-tracks'],
+                match: 'all',
+                rules: [this.defaultRule()],
+                sort: { field: 'added_at', direction: 'desc' },
+                limit: null
+            };
+            renderBuilder();
+        });
+
+        listContainer.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+            const id = button.dataset.id;
+
+            if (button.classList.contains('smart-refresh')) {
+                button.disabled = true;
+                await runRefresh(id);
+            } else if (button.classList.contains('smart-edit')) {
+                draft = JSON.parse(JSON.stringify(this.get(id)));
+                renderBuilder();
+            } else if (button.classList.contains('smart-delete')) {
+                if (!confirm('Supprimer cette règle ? La playlist Spotify déjà créée est conservée.')) return;
+                this.delete(id);
+                renderList();
+            }
+        });
+
+        builder.addEventListener('change', (e) => {
+            // Changer de champ change les opérateurs disponibles : réinitialiser la règle
+            const row = e.target.closest('.smart-rule');
+            if (row && e.target.classList.contains('smart-rule-field')) {
+                readBuilder();
+                draft.rules[row.dataset.index] = this.defaultRule(e.target.value);
+                renderBuilder();
+            }
+        });
+
+        builder.addEventListener('click', async (e) => {
+            if (e.target.classList.contains('smart-rule-add')) {
+                readBuilder();
+                draft.rules.push(this.defaultRule());
+                renderBuilder();
+            } else if (e.target.classList.contains('smart-rule-remove')) {
+                readBuilder();
+                draft.rules.splice(e.target.closest('.smart-rule').dataset.index, 1);
+                renderBuilder();
+            } else if (e.target.classList.contains('smart-cancel')) {
+                closeBuilder();
+            } else if (e.target.classList.contains('smart-preview-btn')) {
+                const error = validate();
+                if (error) {
+                    status.textContent = error;
+                    return;
+                }
+
+                e.target.disabled = true;
+                try {
+                    const items = await this.evaluate(draft, progressText('Aperçu :'));
+                    status.textContent = `${items.length} titres correspondent.`;
+                    builder.querySelector('.smart-preview').innerHTML = items.slice(0, 20).map(item => `
+                        <li>${this.escapeHTML(item.track.name)} <small>${this.escapeHTML((item.track.artists || []).map(artist => artist.name).join(', '))}</small></li>
+                    `).join('') + (items.length > 20 ? `<li class="smart-preview-more">… et ${items.length - 20} autres</li>` : '');
+                } catch (previewError) {
+                    console.error('Erreur aperçu playlist intelligente:', previewError);
+                    status.textContent = `Erreur : ${previewError.message}`;
+                } finally {
+                    e.target.disabled = false;
+                }
+            } else if (e.target.classList.contains('smart-save')) {
+                const error = validate();
+                if (error) {
+                    status.textContent = error;
+                    return;
+                }
+
+                const saved = this.save(draft);
+                closeBuilder();
+                renderList();
+                await runRefresh(saved.id);
+            }
+        });
+
+        renderList();
+    }
+}
+
+// Instance globale
+const smartPlaylists = new SmartPlaylists();
+
+// Make available globally
+window.smartPlaylists = smartPlaylists;
+window.SmartPlaylists = SmartPlaylists;
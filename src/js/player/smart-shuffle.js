@@ -0,0 +1,241 @@
+// Shuffles intelligents - Melodyx
+// Façonnent la session d'écoute (courbe d'énergie, rampe de tempo, blocs par décennie) à partir
+// des métadonnées des pistes et, quand Spotify les fournit, de leurs caractéristiques audio
+
+class SmartShuffle {
+    constructor() {
+        // Renseigné par le lecteur et le sélecteur ; sans service, seules les données déjà présentes sur les pistes servent
+        this.webApiService = null;
+
+        this.metadata = new Map();      // trackId -> { releaseDate, popularity, durationMs }
+        this.audioFeatures = new Map(); // trackId -> { energy, tempo }
+        this.audioFeaturesAvailable = true;
+    }
+
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
+    }
+
+    // === MÉTADONNÉES ===
+
+    // Métadonnées lisibles directement sur une piste brute de l'API ou simplifiée (TrueRandomMode)
+    readTrackMetadata(track) {
+        const album = track.album && typeof track.album === 'object' ? track.album : null;
+
+        return {
+            releaseDate: album?.release_date || track.releaseDate || null,
+            popularity: typeof track.popularity === 'number' ? track.popularity : null,
+            durationMs: track.duration_ms || track.duration || 0
+        };
+    }
+
+    // Compléter les métadonnées manquantes (pistes d'album simplifiées...) et, si demandé,
+    // charger les caractéristiques audio. Les échecs laissent simplement les données absentes
+    async prepare(tracks, { audioFeatures = false } = {}) {
+        const missing = [];
+
+        tracks.forEach(track => {
+            if (!track.id || this.metadata.has(track.id)) return;
+
+            const metadata = this.readTrackMetadata(track);
+            if (metadata.releaseDate && metadata.popularity !== null) {
+                this.metadata.set(track.id, metadata);
+            } else {
+                missing.push(track.id);
+            }
+        });
+
+        if (!this.webApiService) return;
+
+        if (missing.length > 0) {
+            try {
+                const fullTracks = await this.webApiService.getTracks([...new Set(missing)]);
+                fullTracks.forEach(track => this.metadata.set(track.id, this.readTrackMetadata(track)));
+            } catch (error) {
+                console.warn('Métadonnées des pistes indisponibles:', error);
+            }
+        }
+
+        if (audioFeatures && this.audioFeaturesAvailable) {
+            const ids = [...new Set(tracks.map(track => track.id).filter(id => id && !this.audioFeatures.has(id)))];
+            if (ids.length === 0) return;
+
+            try {
+                const features = await this.webApiService.getAudioFeatures(ids);
+                features.forEach(feature => {
+                    this.audioFeatures.set(feature.id, { energy: feature.energy, tempo: feature.tempo });
+                });
+            } catch (error) {
+                // Endpoint refusé à cette application : ne plus le solliciter pendant la session ;
+                // une erreur passagère (limite de débit, réseau) n'empêche pas le prochain essai
+                if (/API Error (403|404)/.test(error.message)) {
+                    this.audioFeaturesAvailable = false;
+                }
+                console.warn('Caractéristiques audio indisponibles, repli sur les métadonnées:', error);
+            }
+        }
+    }
+
+    getMetadata(track) {
+        return this.metadata.get(track.id) || this.readTrackMetadata(track);
+    }
+
+    // Énergie entre 0 et 1 : caractéristique audio si connue, sinon estimation à partir
+    // de la popularité et de la durée (les titres courts et populaires sont en général plus rythmés)
+    getEnergy(track) {
+        const features = this.audioFeatures.get(track.id);
+        if (features && typeof features.energy === 'number') {
+            return features.energy;
+        }
+
+        const { popularity, durationMs } = this.getMetadata(track);
+        const popularityScore = popularity !== null ? popularity / 100 : 0.5;
+        const brevityScore = durationMs
+            ? 1 - Math.min(Math.max((durationMs - 150000) / 300000, 0), 1)
+            : 0.5;
+
+        return popularityScore * 0.7 + brevityScore * 0.3;
+    }
+
+    getTempo(track) {
+        const features = this.audioFeatures.get(track.id);
+        return features && typeof features.tempo === 'number' ? features.tempo : null;
+    }
+
+    getYear(track) {
+        const { releaseDate } = this.getMetadata(track);
+        const year = releaseDate ? parseInt(releaseDate.slice(0, 4)) : NaN;
+        return Number.isNaN(year) ? null : year;
+    }
+
+    // Rang de chaque piste (entre 0 et 1) selon une valeur, pour combiner des échelles différentes
+    getQuantiles(tracks, valueOf) {
+        const quantiles = new Map();
+        const sorted = tracks.filter(track => valueOf(track) !== null)
+            .sort((a, b) => valueOf(a) - valueOf(b));
+
+        sorted.forEach((track, index) => {
+            quantiles.set(track, sorted.length > 1 ? index / (sorted.length - 1) : 0.5);
+        });
+
+        return quantiles;
+    }
+
+    // === STRATÉGIES ===
+
+    // Montée en douceur, pic d'énergie puis redescente : les pistes sont triées par énergie
+    // (légèrement bruitée) et placées sur les positions triées selon la courbe cible
+    energyCurveShuffle(tracks, options = {}, random = Math.random) {
+        const { peakPosition = 65, jitter = 10 } = options;
+        const peak = Math.min(Math.max(peakPosition / 100, 0.05), 0.95);
+        const shuffled = shuffleRegistry.fisherYatesShuffle(tracks, random);
+        const energyQuantiles = this.getQuantiles(shuffled, track => this.getEnergy(track));
+
+        const rankedTracks = shuffled
+            .map(track => ({ track, score: energyQuantiles.get(track) + (random() - 0.5) * (jitter / 100) }))
+            .sort((a, b) => a.score - b.score)
+            .map(entry => entry.track);
+
+        const curve = shuffled.map((_, index) => {
+            const t = shuffled.length > 1 ? index / (shuffled.length - 1) : 0;
+            const phase = t <= peak ? t / peak : 1 - (t - peak) / (1 - peak);
+            return { index, target: Math.sin(phase * Math.PI / 2) ** 2 };
+        });
+
+        const result = new Array(shuffled.length);
+        curve.sort((a, b) => a.target - b.target)
+            .forEach((slot, rank) => { result[slot.index] = rankedTracks[rank]; });
+
+        return result;
+    }
+
+    // Tempo croissant (ou décroissant) sur toute la session ; l'énergie départage les tempos égaux.
+    // Une piste sans tempo connu prend le tempo situé au même rang que son énergie ;
+    // sans aucune caractéristique audio, l'énergie estimée sert seule de repère
+    tempoRampShuffle(tracks, options = {}, random = Math.random) {
+        const { ascending = 1 } = options;
+        const shuffled = shuffleRegistry.fisherYatesShuffle(tracks, random);
+        const energyQuantiles = this.getQuantiles(shuffled, track => this.getEnergy(track));
+        const knownTempos = shuffled.map(track => this.getTempo(track))
+            .filter(tempo => tempo !== null)
+            .sort((a, b) => a - b);
+
+        const tempos = new Map(shuffled.map(track => {
+            const tempo = this.getTempo(track);
+            if (tempo !== null || knownTempos.length === 0) return [track, tempo ?? 0];
+            return [track, knownTempos[Math.round(energyQuantiles.get(track) * (knownTempos.length - 1))]];
+        }));
+
+        // Tri stable : l'ordre aléatoire départage les pistes de même tempo et de même énergie
+        const sorted = [...shuffled].sort((a, b) =>
+            tempos.get(a) - tempos.get(b) || energyQuantiles.get(a) - energyQuantiles.get(b));
+        return ascending ? sorted : sorted.reverse();
+    }
+
+    // Blocs par décennie de sortie, ordre aléatoire dans chaque bloc
+    decadeBlocksShuffle(tracks, options = {}, random = Math.random) {
+        const { chronological = 0 } = options;
+        const blocks = new Map();
+        const unknown = [];
+
+        tracks.forEach(track => {
+            const year = this.getYear(track);
+            if (year === null) {
+                unknown.push(track);
+                return;
+            }
+
+            const decade = Math.floor(year / 10) * 10;
+            if (!blocks.has(decade)) blocks.set(decade, []);
+            blocks.get(decade).push(track);
+        });
+
+        const decades = chronological
+            ? [...blocks.keys()].sort((a, b) => a - b)
+            : shuffleRegistry.fisherYatesShuffle([...blocks.keys()], random);
+
+        // Les pistes sans date de sortie ferment la session
+        return decades
+            .map(decade => shuffleRegistry.fisherYatesShuffle(blocks.get(decade), random))
+            .concat([shuffleRegistry.fisherYatesShuffle(unknown, random)])
+            .flat();
+    }
+}
+
+// Instance globale
+const smartShuffle = new SmartShuffle();
+
+shuffleRegistry.register('energy-curve', {
+    label: 'Courbe d\'énergie',
+    description: 'Échauffement, pic puis retour au calme',
+    options: {
+        peakPosition: { label: 'Position du pic (%)', default: 65, min: 10, max: 90 },
+        jitter: { label: 'Variation (%)', default: 10, min: 0, max: 50 }
+    },
+    prepare: tracks => smartShuffle.prepare(tracks, { audioFeatures: true }),
+    shuffle: (tracks, options, random) => smartShuffle.energyCurveShuffle(tracks, options, random)
+});
+
+shuffleRegistry.register('tempo-ramp', {
+    label: 'Rampe de tempo',
+    description: 'Le tempo évolue dans un seul sens du début à la fin',
+    options: {
+        ascending: { label: 'Croissant (1) / décroissant (0)', default: 1, min: 0, max: 1 }
+    },
+    prepare: tracks => smartShuffle.prepare(tracks, { audioFeatures: true }),
+    shuffle: (tracks, options, random) => smartShuffle.tempoRampShuffle(tracks, options, random)
+});
+
+shuffleRegistry.register('decade-blocks', {
+    label: 'Blocs par décennie',
+    description: 'Pistes regroupées par décennie de sortie, mélangées dans chaque bloc',
+    options: {
+        chronological: { label: 'Décennies dans l\'ordre (1/0)', default: 0, min: 0, max: 1 }
+    },
+    prepare: tracks => smartShuffle.prepare(tracks),
+    shuffle: (tracks, options, random) => smartShuffle.decadeBlocksShuffle(tracks, options, random)
+});
+
+// Make available globally
+window.smartShuffle = smartShuffle;
+window.SmartShuffle = SmartShuffle;
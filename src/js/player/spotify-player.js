@@ -1,48 +1,5 @@
 // Spotify Web Player - Melodyx
 
-// Système de logging centralisé
-class DebugLogger {
-    constructor() {
-        this.logs = [];
-        this.maxLogs = 100;
-    }
-
-    log(level, message, data = null) {
-        const timestamp = new Date().toISOString();
-        const logEntry = {
-            timestamp,
-            level,
-            message,
-            data: data ? JSON.stringify(data) : null
-        };
-        
-        this.logs.push(logEntry);
-        if (this.logs.length > this.maxLogs) {
-            this.logs.shift();
-        }
-        
-        // Console output avec couleurs
-        const colors = {
-            ERROR: '🔴',
-            WARN: '🟡', 
-            INFO: '🔵',
-            DEBUG: '⚪'
-        };
-        
-        console.log(`${colors[level]} [${timestamp}] ${message}`, data || '');
-    }
-
-    error(message, data) { this.log('ERROR', message, data); }
-    warn(message, data) { this.log('WARN', message, data); }
-    info(message, data) { this.log('INFO', message, data); }
-    debug(message, data) { this.log('DEBUG', message, data); }
-
-    getLogs() { return this.logs; }
-    clearLogs() { this.logs = []; }
-}
-
-const logger = new DebugLogger();
-
 class SpotifyPlayer {
     constructor() {
         this.player = null;
@@ -63,24 +20,52 @@ class SpotifyPlayer {
         this.uiEventsAttached = false;
         this.isShuffleActive = false; // État du shuffle
         
-        // True Shuffle state
-        this.trueShuffle = {
-            isActive: false,
-            originalTracks: [],
-            shuffledTracks: [],
-            currentContext: null,
-            playbackStarted: false
-        };
-        
         // Web API service instance
         this.webApiService = new SpotifyWebAPIService();
         
+        // Métadonnées et caractéristiques audio pour les shuffles intelligents
+        smartShuffle.setWebApiService(this.webApiService);
+        
+        // Import des écoutes récentes dans l'historique local
+        playHistory.setWebApiService(this.webApiService);
+        
+        // Actions sur les titres souvent passés (retirer d'une playlist, ne plus aimer)
+        skipAnalytics.setWebApiService(this.webApiService);
+        
+        // Paroles synchronisées : ISRC des pistes du SDK, clic sur une ligne pour s'y rendre
+        lyricsPanel.setWebApiService(this.webApiService);
+        lyricsPanel.onSeek(positionMs => {
+            if (this.duration) this.seek((positionMs / this.duration) * 100);
+        });
+        
+        // Visualiseur : analyse de la piste via l'API (endpoint audio-analysis)
+        musicVisualizer.setWebApiService(this.webApiService);
+        
+        // Alimentation progressive de la file pour les longues listes (true shuffle, titres likés)
+        this.queueFeeder = new QueueFeeder(this.webApiService);
+        this.queueFeeder.onProgress(progress => this.handleQueueFeederProgress(progress));
+        
+        // File d'attente gérée par Melodyx (réordonnable, pistes retirables)
+        this.virtualQueue = new VirtualQueue(this.webApiService);
+        this.virtualQueue.restore();
+        this.virtualQueue.onChange(() => this.renderVirtualQueue());
+        this.queueDragIndex = null;
+        
+        // True Shuffle state (persisté pour survivre à un rechargement de la page)
+        this.trueShuffleStorageKey = 'melodyx-true-shuffle';
+        this.resetTrueShuffleState();
+        this.restoreTrueShuffleState();
+        
         // Search and playlist management
         this.searchTimeout = null;
         this.currentSearchType = 'track';
         this.searchResults = {};
         this.userPlaylists = [];
         
+        // Media Session : pas d'avance/retour rapide du système (secondes) et piste publiée
+        this.mediaSessionSeekOffset = 10;
+        this.mediaSessionKey = null;
+        
         // Pas de gestion complexe des états - on fait confiance au SDK/API
         
         logger.info('SpotifyPlayer: Instance créée');
@@ -112,6 +97,10 @@ class SpotifyPlayer {
             // Connecter le lecteur
             await this.connectPlayer();
             
+            // Instantanés périodiques des playlists suivies (historique des modifications)
+            playlistSnapshots.setWebApiService(this.webApiService);
+            playlistSnapshots.startPeriodicChecks();
+            
         } catch (error) {
             logger.error('SpotifyPlayer: Erreur d\'initialisation', error);
             this.showError(error.message);
@@ -190,6 +179,9 @@ class SpotifyPlayer {
             // Vérifier l'état initial
             await this.checkInitialState();
             
+            // Lecture préparée depuis une autre page (fusion de playlists...)
+            this.playPendingQueue();
+            
             this.showPlayerInterface();
             document.getElementById('device-name').textContent = 'Melodyx Web Player';
             
@@ -198,6 +190,9 @@ class SpotifyPlayer {
             
             // Démarrer les health checks
             this.startHealthChecks();
+            
+            // Charger l'historique d'écoute local et le compléter avec les écoutes récentes Spotify
+            this.syncPlayHistory();
         });
 
         // Lecteur non disponible
@@ -303,11 +298,24 @@ class SpotifyPlayer {
         // Mettre à jour les informations de la piste
         this.updateTrackInfo(track);
         
+        // Compléter la file d'attente au fil de la lecture
+        if (track) {
+            this.queueFeeder.handlePlaybackState(track.uri, state.context ? state.context.uri : null);
+        }
+        
         // Mettre à jour l'état de lecture
         this.isPlaying = isPlaying;
         this.currentPosition = state.position;
         this.duration = state.duration;
         
+        // Journal des écoutes (durée réellement écoutée)
+        scrobbler.handlePlaybackState({
+            track,
+            contextUri: state.context ? state.context.uri : null,
+            progressMs: state.position,
+            isPlaying
+        });
+        
         // Mettre à jour l'interface
         this.updatePlayButton(isPlaying);
         this.updateProgress();
@@ -348,6 +356,10 @@ class SpotifyPlayer {
             trackImage.style.display = 'none';
             trackPlaceholder.style.display = 'flex';
         }
+
+        lyricsPanel.setTrack(track);
+        musicVisualizer.setTrack(track);
+        this.updateMediaSessionMetadata(track);
     }
 
     // Mettre à jour le bouton play/pause
@@ -365,6 +377,10 @@ class SpotifyPlayer {
             pauseIcon.style.display = 'none';
             playPauseBtn.title = 'Lecture';
         }
+
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+        }
     }
 
     // Mettre à jour la barre de progression
@@ -381,6 +397,10 @@ class SpotifyPlayer {
         progressSlider.value = percentage;
         currentTime.textContent = this.formatTime(this.currentPosition);
         totalTime.textContent = this.formatTime(this.duration);
+
+        lyricsPanel.update(this.currentPosition, this.isPlaying);
+        musicVisualizer.update(this.currentPosition, this.isPlaying);
+        this.updateMediaSessionPosition();
     }
 
     // Démarrer le suivi de progression
@@ -438,11 +458,20 @@ class SpotifyPlayer {
     async nextTrack() {
         logger.info('SpotifyPlayer: Next track');
         
+        // Saut volontaire : statistiques des titres souvent passés
+        scrobbler.markSkip();
+        
         // Feedback immédiat
         this.currentPosition = 0;
         this.updateProgress();
         
         try {
+            // File Melodyx : lancer sa piste suivante ; file vide, Spotify reprend la main
+            if (this.virtualQueue.isActive()) {
+                if (await this.virtualQueue.next()) return;
+                this.virtualQueue.release('end');
+            }
+            
             // SDK en priorité
             if (this.player) {
                 await this.player.nextTrack();
@@ -462,6 +491,9 @@ class SpotifyPlayer {
         this.updateProgress();
         
         try {
+            // File Melodyx : revenir à la piste précédente de son historique
+            if (this.virtualQueue.isActive() && await this.virtualQueue.previous()) return;
+            
             // SDK en priorité
             if (this.player) {
                 await this.player.previousTrack();
@@ -554,6 +586,9 @@ class SpotifyPlayer {
         // Activer les contrôles
         this.enableControls();
         
+        // Touches multimédia du clavier, écran verrouillé et contrôles du système
+        this.setupMediaSession();
+        
         // Bouton play/pause - direct et simple
         document.getElementById('play-pause-btn').addEventListener('click', () => {
             this.togglePlayback();
@@ -754,16 +789,21 @@ class SpotifyPlayer {
         // Mettre à jour l'état du shuffle si disponible
         if (data.shuffle_state !== undefined) {
             this.isShuffleActive = data.shuffle_state;
-            const shuffleBtn = document.getElementById('true-shuffle-btn');
-            if (shuffleBtn) {
-                if (this.isShuffleActive) {
-                    shuffleBtn.classList.add('active');
-                } else {
-                    shuffleBtn.classList.remove('active');
-                }
-            }
         }
         
+        // Suivre les sauts de piste et changements de contexte pendant le true shuffle
+        const contextUri = data.context ? data.context.uri : null;
+        this.syncTrueShuffleState(track.uri, contextUri);
+        this.updateTrueShuffleButton();
+        this.queueFeeder.handlePlaybackState(track.uri, contextUri);
+        this.virtualQueue.handlePlaybackState({
+            trackUri: track.uri,
+            contextUri,
+            progressMs: data.progress_ms || 0,
+            durationMs: track.duration_ms || 0,
+            isPlaying: data.is_playing
+        });
+        
         // Mettre à jour l'interface avec les données API
         const trackName = document.getElementById('track-name');
         const trackArtist = document.getElementById('track-artist');
@@ -781,11 +821,24 @@ class SpotifyPlayer {
             trackPlaceholder.style.display = 'none';
         }
         
+        lyricsPanel.setTrack(track);
+        musicVisualizer.setTrack(track);
+        this.updateMediaSessionMetadata(track);
+        
         // Mettre à jour l'état de lecture
         this.isPlaying = data.is_playing;
         this.currentPosition = data.progress_ms || 0;
         this.duration = track.duration_ms || 0;
         
+        // Alimenter l'historique d'écoute local et le journal des écoutes
+        playHistory.trackPlaybackState(track, this.currentPosition, this.isPlaying);
+        scrobbler.handlePlaybackState({
+            track,
+            contextUri,
+            progressMs: this.currentPosition,
+            isPlaying: this.isPlaying
+        });
+        
         this.updatePlayButton(this.isPlaying);
         this.updateProgress();
         
@@ -807,6 +860,19 @@ class SpotifyPlayer {
         }
     }
 
+    // Synchroniser l'historique d'écoute local
+    async syncPlayHistory() {
+        try {
+            await playHistory.load();
+            const imported = await playHistory.importRecentlyPlayed();
+            logger.info('SpotifyPlayer: Historique d\'écoute synchronisé', { imported });
+        } catch (error) {
+            logger.warn('SpotifyPlayer: Synchronisation historique impossible', error);
+        } finally {
+            playHistory.renderSettings(document.getElementById('play-history-settings'));
+        }
+    }
+
     // Gérer l'appareil prêt
     async handleDeviceReady(deviceId) {
         logger.info('SpotifyPlayer: Gestion appareil prêt', { deviceId });
@@ -1075,6 +1141,85 @@ class SpotifyPlayer {
     }
     
     
+    // === MEDIA SESSION ===
+    
+    // Brancher les actions du système (touches multimédia, écran verrouillé, casque) sur les contrôles du lecteur
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) {
+            logger.debug('SpotifyPlayer: Media Session non disponible');
+            return;
+        }
+        
+        const seekToMs = (positionMs) => {
+            if (!this.duration) return;
+            const clamped = Math.min(Math.max(positionMs, 0), this.duration);
+            this.seek((clamped / this.duration) * 100);
+        };
+        
+        const handlers = {
+            play: () => {
+                if (!this.isPlaying) this.togglePlayback();
+            },
+            pause: () => {
+                if (this.isPlaying) this.togglePlayback();
+            },
+            nexttrack: () => this.nextTrack(),
+            previoustrack: () => this.previousTrack(),
+            seekto: (details) => seekToMs(details.seekTime * 1000),
+            seekforward: (details) => seekToMs(this.currentPosition + (details.seekOffset || this.mediaSessionSeekOffset) * 1000),
+            seekbackward: (details) => seekToMs(this.currentPosition - (details.seekOffset || this.mediaSessionSeekOffset) * 1000)
+        };
+        
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Action non prise en charge par ce navigateur
+                logger.debug('SpotifyPlayer: Action Media Session ignorée', { action });
+            }
+        });
+        
+        logger.info('SpotifyPlayer: Media Session configurée');
+    }
+    
+    // Titre, artiste, album et pochette affichés par le système
+    updateMediaSessionMetadata(track) {
+        if (!('mediaSession' in navigator) || !track) return;
+        
+        // Mis à jour chaque seconde par le polling : ne recréer les métadonnées qu'au changement de piste
+        const images = track.album?.images || [];
+        const key = `${track.uri}|${images.length}`;
+        if (this.mediaSessionKey === key) return;
+        this.mediaSessionKey = key;
+        
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.name,
+            artist: track.artists.map(artist => artist.name).join(', '),
+            album: track.album?.name || '',
+            artwork: images.map(image => ({
+                src: image.url,
+                ...(image.width && image.height ? { sizes: `${image.width}x${image.height}` } : {}),
+                type: 'image/jpeg'
+            }))
+        });
+    }
+    
+    // Position et durée pour la barre de progression du système
+    updateMediaSessionPosition() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState || !this.duration) return;
+        
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: this.duration / 1000,
+                position: Math.min(Math.max(this.currentPosition, 0), this.duration) / 1000,
+                playbackRate: 1
+            });
+        } catch (error) {
+            logger.debug('SpotifyPlayer: Position Media Session refusée', error);
+        }
+    }
+    
+    
     // === SEARCH AND PLAYLIST FUNCTIONALITY ===
     
     // Attacher les événements de recherche et playlist
@@ -1084,6 +1229,85 @@ class SpotifyPlayer {
         const queueBtn = document.getElementById('queue-btn');
         const trueShuffleBtn = document.getElementById('true-shuffle-btn');
         
+        // Bouton true shuffle
+        if (trueShuffleBtn) {
+            trueShuffleBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.shuffleCurrentQueue();
+            });
+            this.updateTrueShuffleButton();
+        }
+        
+        // Lecture des titres likés
+        const likedShuffleBtn = document.getElementById('liked-shuffle-btn');
+        if (likedShuffleBtn) {
+            likedShuffleBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.playLikedSongs();
+            });
+        }
+        
+        // Contrôles de l'alimentation de la file
+        const feederPauseBtn = document.getElementById('queue-feeder-pause-btn');
+        const feederCancelBtn = document.getElementById('queue-feeder-cancel-btn');
+        
+        if (feederPauseBtn) {
+            feederPauseBtn.addEventListener('click', () => {
+                if (this.queueFeeder.status === 'paused') {
+                    this.queueFeeder.resume();
+                } else {
+                    this.queueFeeder.pause();
+                }
+            });
+        }
+        
+        if (feederCancelBtn) {
+            feederCancelBtn.addEventListener('click', () => {
+                this.queueFeeder.cancel();
+            });
+        }
+        
+        this.handleQueueFeederProgress(this.queueFeeder.getProgress());
+        
+        // Liste d'attente
+        if (queueBtn) {
+            queueBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openQueueModal();
+            });
+        }
+        
+        // Paroles synchronisées
+        const lyricsBtn = document.getElementById('lyrics-btn');
+        if (lyricsBtn) {
+            lyricsPanel.attach(document.getElementById('lyrics-panel'));
+            lyricsBtn.classList.toggle('active', lyricsPanel.visible);
+            lyricsBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                lyricsBtn.classList.toggle('active', lyricsPanel.toggle());
+            });
+        }
+        
+        // Visualiseur musical
+        const visualizerBtn = document.getElementById('visualizer-btn');
+        if (visualizerBtn) {
+            musicVisualizer.attach(document.getElementById('visualizer-panel'));
+            visualizerBtn.classList.toggle('active', musicVisualizer.visible);
+            visualizerBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                visualizerBtn.classList.toggle('active', musicVisualizer.toggle());
+            });
+        }
+        
+        // Journal des écoutes
+        const scrobblesBtn = document.getElementById('scrobbles-btn');
+        if (scrobblesBtn) {
+            scrobblesBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openScrobbleModal();
+            });
+        }
+        
         // Activer le bouton de recherche
         if (searchBtn) {
             searchBtn.addEventListener('click', (e) => {
@@ -1097,6 +1321,8 @@ class SpotifyPlayer {
         const queueCloseBtn = document.getElementById('queue-close-btn');
         const searchModal = document.getElementById('search-modal');
         const queueModal = document.getElementById('queue-modal');
+        const scrobbleCloseBtn = document.getElementById('scrobble-close-btn');
+        const scrobbleModal = document.getElementById('scrobble-modal');
         
         if (searchCloseBtn) {
             searchCloseBtn.addEventListener('click', () => {
@@ -1127,6 +1353,24 @@ class SpotifyPlayer {
             });
         }
         
+        if (scrobbleCloseBtn) {
+            scrobbleCloseBtn.addEventListener('click', () => {
+                this.closeScrobbleModal();
+            });
+        }
+        
+        if (scrobbleModal) {
+            scrobbleModal.addEventListener('click', (e) => {
+                if (e.target === scrobbleModal) {
+                    this.closeScrobbleModal();
+                }
+            });
+            
+            scrobbleModal.querySelectorAll('[data-scrobble-view]').forEach(tab => {
+                tab.addEventListener('click', () => this.openScrobbleModal(tab.dataset.scrobbleView));
+            });
+        }
+        
         // Recherche en temps réel
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
@@ -1165,6 +1409,9 @@ class SpotifyPlayer {
             });
         }
         
+        // Sélecteur de stratégie pour le true shuffle
+        shuffleRegistry.renderPicker(document.getElementById('shuffle-strategy-picker'));
+        
         // Raccourcis clavier
         document.addEventListener('keydown', (e) => {
             // Ctrl+K ou Cmd+K pour ouvrir la recherche
@@ -1222,9 +1469,8 @@ class SpotifyPlayer {
     }
     
     
-    // Fonction de queue désactivée
+    // Ouvrir la liste d'attente
     async openQueueModal() {
-        return;
         logger.info('SpotifyPlayer: Ouverture modale queue');
         
         const modal = document.getElementById('queue-modal');
@@ -1236,7 +1482,8 @@ class SpotifyPlayer {
                 modal.classList.add('show');
             }, 10);
             
-            // Charger la queue
+            // Charger la queue et les files enregistrées
+            this.renderQueueSnapshots();
             await this.loadCurrentQueue();
             
             // Rafraîchir la queue toutes les 5 secondes tant que la modale est ouverte
@@ -1271,6 +1518,43 @@ class SpotifyPlayer {
         }
     }
     
+    // Ouvrir le journal des écoutes (view : 'history' ou 'skips')
+    async openScrobbleModal(view = 'history') {
+        logger.info('SpotifyPlayer: Ouverture journal des écoutes', { view });
+        
+        const modal = document.getElementById('scrobble-modal');
+        
+        if (modal) {
+            modal.style.display = 'flex';
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+            
+            modal.querySelectorAll('[data-scrobble-view]').forEach(tab => {
+                tab.classList.toggle('active', tab.dataset.scrobbleView === view);
+            });
+            
+            const container = document.getElementById('scrobble-history');
+            if (view === 'skips') {
+                await skipAnalytics.renderInsights(container);
+            } else {
+                await scrobbler.renderHistory(container);
+            }
+        }
+    }
+    
+    // Fermer le journal des écoutes
+    closeScrobbleModal() {
+        const modal = document.getElementById('scrobble-modal');
+        
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+    }
+    
     // Gérer la saisie de recherche avec debounce et suggestions
     handleSearchInput(query) {
         // Ne pas gérer la recherche si on est sur les onglets spéciaux
@@ -1515,6 +1799,11 @@ class SpotifyPlayer {
                         </svg>
                     </button>
                     ${type === 'track' ? `
+                        <button class="search-result-action play-next-action" title="Lire ensuite">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M3 10h11v2H3zm0-4h11v2H3zm0 8h7v2H3zm13-1v8l6-4z"/>
+                            </svg>
+                        </button>
                         <button class="search-result-action queue-action" title="Ajouter à la file">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                                 <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
@@ -1606,6 +1895,14 @@ class SpotifyPlayer {
                         <span>Lire</span>
                     </button>
                     
+                    ${item.type === 'track' ? `
+                        <button class="premium-action-btn" title="Lire ensuite" data-action="next">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M3 10h11v2H3zm0-4h11v2H3zm0 8h7v2H3zm13-1v8l6-4z"/>
+                            </svg>
+                        </button>
+                    ` : ''}
+                    
                     <button class="premium-action-btn" title="Ajouter à la file" data-action="queue">
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
                             <path d="M4 6H2v14c0 1.1.9 2 2 2h14v-2H4V6zm16-4H8c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-1 9h-4v4h-2v-4H9V9h4V5h2v4h4v2z"/>
@@ -1714,6 +2011,7 @@ class SpotifyPlayer {
         // Support legacy and premium selectors
         const playActions = document.querySelectorAll('.search-result-action.play-action, .premium-play-btn');
         const queueActions = document.querySelectorAll('.search-result-action.queue-action');
+        const playNextActions = document.querySelectorAll('.search-result-action.play-next-action');
         
         // Premium play buttons in overlay
         const overlayPlayBtns = document.querySelectorAll('.premium-play-btn');
@@ -1737,6 +2035,9 @@ class SpotifyPlayer {
                     case 'play':
                         this.playSearchResult(card);
                         break;
+                    case 'next':
+                        this.playNextFromSearch(card);
+                        break;
                     case 'queue':
                         this.addToQueue(card);
                         break;
@@ -1764,6 +2065,14 @@ class SpotifyPlayer {
             });
         });
         
+        playNextActions.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const item = btn.closest('.search-result-item, .premium-result-card');
+                this.playNextFromSearch(item);
+            });
+        });
+        
         // Card click for quick play (both legacy and premium)
         const resultCards = document.querySelectorAll('.premium-result-card, .search-result-item');
         resultCards.forEach(card => {
@@ -1806,6 +2115,9 @@ class SpotifyPlayer {
         };
         
         try {
+            // La lecture d'un résultat remplace celle pilotée par la file Melodyx
+            this.virtualQueue.release('search');
+            
             // Use the enhanced play method from the API service
             await this.webApiService.playSearchResult(item, this.deviceId);
             
@@ -1819,6 +2131,28 @@ class SpotifyPlayer {
         }
     }
     
+    // Lire une piste juste après celle en cours : la file Spotify ne sait qu'ajouter en fin,
+    // la file passe donc sous le contrôle de Melodyx
+    async playNextFromSearch(itemElement) {
+        const uri = itemElement.dataset.uri;
+        const titleElement = itemElement.querySelector('.premium-title, .search-result-title');
+        const displayName = titleElement?.textContent?.trim() || itemElement.dataset.name || 'Unknown';
+        
+        logger.info('SpotifyPlayer: Lire ensuite', { uri });
+        
+        try {
+            await this.mirrorSpotifyQueue();
+            await this.takeOverQueue();
+            this.virtualQueue.playNext([{ uri }]);
+            this.virtualQueue.hydrate();
+            
+            this.showNotification(`Lu ensuite: ${displayName}`, 'success');
+        } catch (error) {
+            logger.error('SpotifyPlayer: Erreur lire ensuite', error);
+            this.showNotification(`Erreur: ${error.message}`, 'error');
+        }
+    }
+    
     // Ajouter à la file avec la nouvelle API
     async addToQueue(itemElement) {
         const uri = itemElement.dataset.uri;
@@ -1835,8 +2169,15 @@ class SpotifyPlayer {
         };
         
         try {
-            // Use the enhanced add to queue method from the API service
-            await this.webApiService.addSearchResultToQueue(item);
+            // File Melodyx active : la piste y est ajoutée (la file Spotify est court-circuitée
+            // à chaque fin de piste par la file Melodyx)
+            if (this.virtualQueue.isActive() && type === 'track') {
+                this.virtualQueue.playLater([{ uri }]);
+                this.virtualQueue.hydrate();
+            } else {
+                // Use the enhanced add to queue method from the API service
+                await this.webApiService.addSearchResultToQueue(item);
+            }
             
             // Feedback visuel amélioré
             const btn = itemElement.querySelector('.queue-action');
@@ -2302,20 +2643,21 @@ class SpotifyPlayer {
         this.displayUserPlaylists(sortedPlaylists);
     }
     
-    // Charger la queue actuelle
+    // Charger la liste d'attente : file Melodyx si elle pilote la lecture, sinon reflet de la file Spotify
     async loadCurrentQueue() {
         logger.info('SpotifyPlayer: Chargement queue actuelle');
         
         const queueLoading = document.getElementById('queue-loading');
-        const queueList = document.getElementById('queue-list');
         
         if (queueLoading) {
             queueLoading.style.display = 'block';
         }
         
         try {
-            const queueData = await this.webApiService.getQueue();
-            this.displayQueue(queueData);
+            await this.mirrorSpotifyQueue();
+            
+            this.renderVirtualQueue();
+            await this.virtualQueue.hydrate();
             
         } catch (error) {
             logger.error('SpotifyPlayer: Erreur chargement queue', error);
@@ -2327,16 +2669,19 @@ class SpotifyPlayer {
         }
     }
     
-    // Afficher la queue
-    displayQueue(queueData) {
+    // Afficher la file d'attente (uniquement quand la modale est ouverte)
+    renderVirtualQueue() {
         const queueList = document.getElementById('queue-list');
+        const modal = document.getElementById('queue-modal');
+        
+        if (!queueList || !modal || modal.style.display !== 'flex') return;
         
-        if (!queueList) return;
+        // Ne pas reconstruire la liste pendant un glisser-déposer
+        if (this.queueDragIndex !== null) return;
         
-        const currentTrack = queueData.currently_playing;
-        const queueTracks = queueData.queue || [];
+        const { current, items } = this.virtualQueue;
         
-        if (!currentTrack && queueTracks.length === 0) {
+        if (!current && items.length === 0) {
             queueList.innerHTML = `
                 <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
                     <p>Aucune piste en cours de lecture</p>
@@ -2345,20 +2690,34 @@ class SpotifyPlayer {
             return;
         }
         
-        let queueHTML = '';
+        const maxRendered = 200;
+        let queueHTML = `
+            <div class="queue-mode-info">
+                ${this.virtualQueue.isActive()
+                    ? 'File gérée par Melodyx - glissez les pistes pour les réordonner'
+                    : 'File Spotify - toute modification confie la file à Melodyx'}
+            </div>
+        `;
         
         // Ajouter la piste en cours
-        if (currentTrack) {
-            queueHTML += this.createQueueItemHTML(currentTrack, 0, true);
+        if (current) {
+            queueHTML += this.createQueueItemHTML(current, 0, true);
         }
         
         // Ajouter les pistes suivantes
-        queueTracks.forEach((track, index) => {
-            queueHTML += this.createQueueItemHTML(track, index + 1, false);
+        items.slice(0, maxRendered).forEach((item, index) => {
+            queueHTML += this.createQueueItemHTML(item, index + 1, false);
         });
         
-        // Si on a exactement 20 pistes dans la queue, il y a probablement plus de pistes
-        if (queueTracks.length === 20) {
+        if (items.length > maxRendered) {
+            queueHTML += `
+                <div class="queue-more-info">
+                    <div class="queue-more-icon">•••</div>
+                    <p>Et ${items.length - maxRendered} autres pistes</p>
+                </div>
+            `;
+        } else if (!this.virtualQueue.isActive() && this.queueMirrorCapped) {
+            // Spotify ne renvoie que 20 pistes : la suite du contexte est ajoutée à la prise de contrôle
             queueHTML += `
                 <div class="queue-more-info">
                     <div class="queue-more-icon">•••</div>
@@ -2369,37 +2728,162 @@ class SpotifyPlayer {
         }
         
         queueList.innerHTML = queueHTML;
-        
-        // Ajouter les event listeners pour les pistes cliquables
-        const clickableItems = queueList.querySelectorAll('.queue-item.clickable');
-        clickableItems.forEach(item => {
-            item.addEventListener('click', () => {
+        this.attachQueueItemEvents(queueList);
+    }
+    
+    // Clic (lecture), actions et glisser-déposer des pistes de la file
+    attachQueueItemEvents(queueList) {
+        queueList.querySelectorAll('.queue-item.clickable').forEach(item => {
+            const index = parseInt(item.getAttribute('data-position'));
+            
+            item.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-queue-action]');
+                if (action) {
+                    e.stopPropagation();
+                    this.editQueue(action.getAttribute('data-queue-action'), index);
+                    return;
+                }
+                
                 const trackUri = item.getAttribute('data-uri');
-                const position = parseInt(item.getAttribute('data-position'));
-                if (trackUri && !isNaN(position)) {
-                    this.playTrackFromQueue(trackUri, position);
+                if (trackUri && !isNaN(index)) {
+                    this.playTrackFromQueue(trackUri, index);
+                }
+            });
+            
+            item.addEventListener('dragstart', (e) => {
+                this.queueDragIndex = index;
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+            });
+            
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                item.classList.add('drag-over');
+            });
+            
+            item.addEventListener('dragleave', () => {
+                item.classList.remove('drag-over');
+            });
+            
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                const fromIndex = this.queueDragIndex;
+                this.queueDragIndex = null;
+                
+                if (fromIndex !== null && fromIndex !== index) {
+                    this.editQueue('move', fromIndex, index);
+                } else {
+                    this.renderVirtualQueue();
+                }
+            });
+            
+            item.addEventListener('dragend', () => {
+                if (this.queueDragIndex !== null) {
+                    this.queueDragIndex = null;
+                    this.renderVirtualQueue();
                 }
             });
         });
     }
     
+    // Modifier la file ; une file encore reflétée depuis Spotify passe d'abord sous le contrôle de Melodyx
+    async editQueue(action, index, toIndex = null) {
+        try {
+            await this.takeOverQueue();
+            
+            switch (action) {
+                case 'move':
+                    this.virtualQueue.move(index, toIndex);
+                    break;
+                case 'next':
+                    this.virtualQueue.move(index, 0);
+                    break;
+                case 'later':
+                    this.virtualQueue.move(index, this.virtualQueue.items.length - 1);
+                    break;
+                case 'remove':
+                    this.virtualQueue.remove(index);
+                    break;
+            }
+        } catch (error) {
+            logger.error('SpotifyPlayer: Erreur modification file', error);
+            this.showNotification('Impossible de modifier la file d\'attente', 'error');
+        }
+    }
+    
+    // Refléter la file Spotify dans la file virtuelle (sans effet si Melodyx pilote déjà la lecture)
+    async mirrorSpotifyQueue() {
+        if (this.virtualQueue.isActive()) return;
+        
+        const queueData = await this.webApiService.getQueue();
+        
+        // Pendant l'alimentation progressive, la liste complète est connue : pas de limite à 20 pistes
+        const upcoming = this.queueFeeder.isActive()
+            ? this.queueFeeder.uris.slice(this.queueFeeder.getProgress().played).map(uri => ({ uri }))
+            : queueData.queue || [];
+        
+        this.virtualQueue.load(queueData.currently_playing, upcoming);
+        this.queueMirrorCapped = !this.queueFeeder.isActive() && upcoming.length === 20;
+    }
+    
+    // Confier la file à Melodyx : l'alimentation progressive s'arrête (la file virtuelle contient
+    // déjà toute la liste) et, pour un contexte lu dans l'ordre, la suite au-delà des 20 pistes
+    // renvoyées par Spotify est ajoutée
+    async takeOverQueue() {
+        if (this.virtualQueue.isActive()) return;
+        
+        if (this.queueFeeder.isActive()) {
+            this.queueFeeder.cancel();
+        } else if (this.queueMirrorCapped) {
+            const { items } = this.virtualQueue;
+            this.virtualQueue.playLater(await this.getContextContinuation(items[items.length - 1].uri));
+        }
+        
+        this.queueMirrorCapped = false;
+        this.virtualQueue.takeOver(this.deviceId);
+    }
+    
+    // Pistes du contexte en cours situées après une piste donnée (au-delà des 20 pistes de /me/player/queue)
+    // Vide si le shuffle natif est actif : l'ordre du contexte n'est alors pas l'ordre de lecture
+    async getContextContinuation(lastUri) {
+        if (this.isShuffleActive) return [];
+        
+        try {
+            const contextData = await this.webApiService.getCurrentContextTracks();
+            const lastIndex = contextData.tracks.findIndex(track => track.uri === lastUri);
+            
+            return lastIndex >= 0
+                ? contextData.tracks.slice(lastIndex + 1).filter(track => track && track.uri)
+                : [];
+        } catch (error) {
+            logger.warn('SpotifyPlayer: Suite du contexte indisponible', error);
+            return [];
+        }
+    }
+    
     // Créer le HTML pour un item de queue
-    createQueueItemHTML(track, position, isCurrent) {
-        const imageUrl = track.album?.images?.[2]?.url || track.album?.images?.[0]?.url || '';
-        const trackName = track.name;
-        const artistName = track.artists?.map(a => a.name).join(', ') || 'Artiste inconnu';
+    createQueueItemHTML(item, position, isCurrent) {
+        const trackName = item.name || 'Chargement...';
+        const artistName = item.artist || (item.name ? 'Artiste inconnu' : '');
         const clickableClass = !isCurrent ? 'clickable' : '';
-        const dataPosition = !isCurrent ? `data-position="${position - 1}"` : '';
+        const dataPosition = !isCurrent ? `data-position="${position - 1}" draggable="true"` : '';
         
         return `
-            <div class="queue-item ${isCurrent ? 'current' : ''} ${clickableClass}" data-uri="${track.uri}" ${dataPosition}>
+            <div class="queue-item ${isCurrent ? 'current' : ''} ${clickableClass}" data-uri="${item.uri}" ${dataPosition}>
                 <div class="queue-thumbnail">
-                    ${imageUrl ? `<img src="${imageUrl}" alt="${trackName}">` : '🎵'}
+                    ${item.image ? `<img src="${item.image}" alt="${trackName}">` : '🎵'}
                 </div>
                 <div class="queue-details">
                     <div class="queue-track-name">${trackName}</div>
                     <div class="queue-track-artist">${artistName}</div>
                 </div>
+                ${!isCurrent ? `
+                    <div class="queue-actions">
+                        <button class="queue-action-btn" data-queue-action="next" title="Lire ensuite">⤒</button>
+                        <button class="queue-action-btn" data-queue-action="later" title="Lire plus tard">⤓</button>
+                        <button class="queue-action-btn" data-queue-action="remove" title="Retirer de la file">✕</button>
+                    </div>
+                ` : ''}
                 <div class="queue-position">${isCurrent ? 'En cours' : position}</div>
             </div>
         `;
@@ -2418,93 +2902,24 @@ class SpotifyPlayer {
         }
     }
     
-    // Jouer une piste depuis la queue
+    // Jouer une piste de la file : saut direct dans la file Melodyx
     async playTrackFromQueue(trackUri, position) {
         logger.info('SpotifyPlayer: Play track from queue', { trackUri, position });
         
         try {
-            // Obtenir l'état de lecture actuel pour le contexte
-            const playbackState = await this.webApiService.getPlaybackState();
-            
-            // Si on a un contexte (playlist, album), on peut utiliser l'API pour jouer à partir de ce contexte
-            if (playbackState && playbackState.context && playbackState.context.uri) {
-                const contextUri = playbackState.context.uri;
-                
-                // Pour les playlists et albums, on peut essayer de trouver l'URI de la piste dans le contexte
-                try {
-                    // Obtenir les pistes du contexte pour calculer l'offset correct
-                    let contextTracks = [];
-                    
-                    if (contextUri.includes('playlist:')) {
-                        const playlistId = contextUri.split(':')[2];
-                        const playlistTracks = await this.webApiService.getPlaylistTracks(playlistId);
-                        contextTracks = playlistTracks.items.map(item => item.track);
-                    } else if (contextUri.includes('album:')) {
-                        const albumId = contextUri.split(':')[2];
-                        const albumTracks = await this.webApiService.getAlbumTracks(albumId);
-                        contextTracks = albumTracks.items;
-                    }
-                    
-                    // Trouver l'index de la piste dans le contexte
-                    const trackIndex = contextTracks.findIndex(track => track.uri === trackUri);
-                    
-                    if (trackIndex >= 0) {
-                        logger.info('SpotifyPlayer: Playing from context with offset', { 
-                            contextUri, 
-                            trackIndex,
-                            trackUri 
-                        });
-                        
-                        // Jouer à partir du contexte avec l'offset
-                        await this.webApiService.playContext(contextUri, this.deviceId, trackIndex);
-                        
-                        // Fermer la modale
-                        this.closeQueueModal();
-                        
-                        // Rafraîchir l'état après un court délai
-                        setTimeout(() => this.refreshState(), 1000);
-                        return;
-                    }
-                } catch (contextError) {
-                    logger.warn('SpotifyPlayer: Fallback to queue method', contextError);
-                }
-            }
-            
-            // Fallback : utiliser la queue directement
-            const queueData = await this.webApiService.getQueue();
-            if (!queueData || !queueData.queue) {
-                throw new Error('Impossible d\'obtenir la queue');
-            }
+            await this.takeOverQueue();
             
-            // Vérifier que la piste existe à la position donnée
-            const selectedTrack = queueData.queue[position];
+            // La file a pu changer depuis l'affichage : retrouver la piste par son URI
+            const { items } = this.virtualQueue;
+            const index = items[position]?.uri === trackUri
+                ? position
+                : items.findIndex(item => item.uri === trackUri);
             
-            if (!selectedTrack || selectedTrack.uri !== trackUri) {
-                logger.warn('SpotifyPlayer: Track mismatch or not found', { 
-                    expected: trackUri, 
-                    found: selectedTrack?.uri 
-                });
+            if (index < 0) {
+                throw new Error('Piste introuvable dans la file');
             }
             
-            // Construire la liste des pistes à jouer depuis la position sélectionnée
-            const tracksToPlay = [];
-            for (let i = position; i < queueData.queue.length; i++) {
-                if (queueData.queue[i]) {
-                    tracksToPlay.push(queueData.queue[i].uri);
-                }
-            }
-            
-            if (tracksToPlay.length === 0) {
-                throw new Error('Aucune piste disponible à cette position');
-            }
-            
-            logger.info('SpotifyPlayer: Playing tracks from queue fallback', { 
-                tracksCount: tracksToPlay.length,
-                firstTrack: tracksToPlay[0]
-            });
-            
-            // Jouer les pistes en commençant par celle sélectionnée
-            await this.webApiService.playTracks(tracksToPlay, this.deviceId);
+            await this.virtualQueue.jumpTo(index);
             
             // Fermer la modale
             this.closeQueueModal();
@@ -2518,82 +2933,231 @@ class SpotifyPlayer {
         }
     }
     
-    // === ALGORITHMES DE TRUE SHUFFLE ===
-    
-    // Algorithme Fisher-Yates pour un mélange vraiment aléatoire
-    fisherYatesShuffle(array) {
-        const shuffled = [...array]; // Copie pour ne pas modifier l'original
-        
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            // Générer un index aléatoire entre 0 et i
-            const randomIndex = Math.floor(Math.random() * (i + 1));
+    // === FILES ENREGISTRÉES ===
+    
+    // Photographier la session : liste complète dans l'ordre de lecture et piste en cours
+    // Retourne { uris, index, positionMs, contextUri, label }
+    async captureQueueSnapshot() {
+        let uris = [];
+        let index = 0;
+        let label = null;
+        
+        if (this.virtualQueue.isActive()) {
+            const { history, current, items } = this.virtualQueue;
+            uris = [...history, ...(current ? [current] : []), ...items].map(item => item.uri);
+            index = history.length;
+            label = 'File Melodyx';
+        } else if (this.trueShuffle.isActive) {
+            uris = this.trueShuffle.shuffledTracks.map(track => track.uri);
+            index = Math.max(uris.indexOf(this.trueShuffle.currentUri), 0);
+            label = `True Shuffle (graine ${this.trueShuffle.seed})`;
+        } else if (this.queueFeeder.isActive()) {
+            uris = [...this.queueFeeder.uris];
+            index = Math.max(this.queueFeeder.getProgress().played - 1, 0);
+        } else {
+            const queueData = await this.webApiService.getQueue();
+            const queueTracks = (queueData.queue || []).filter(track => track && track.uri);
+            const tracks = [queueData.currently_playing, ...queueTracks].filter(track => track && track.uri);
             
-            // Échanger les éléments
-            [shuffled[i], shuffled[randomIndex]] = [shuffled[randomIndex], shuffled[i]];
+            // Spotify ne renvoie que 20 pistes : compléter avec la suite du contexte
+            if (queueTracks.length === 20) {
+                tracks.push(...await this.getContextContinuation(queueTracks[queueTracks.length - 1].uri));
+            }
+            
+            uris = tracks.map(track => track.uri);
         }
         
-        return shuffled;
+        const state = await this.webApiService.getPlaybackState();
+        
+        return {
+            uris,
+            index,
+            positionMs: this.currentPosition || 0,
+            contextUri: this.trueShuffle.currentContext?.contextUri || state?.context?.uri || null,
+            label
+        };
     }
     
-    // Shuffle par batch pour les grandes playlists
-    batchShuffle(array, batchSize = 50) {
-        if (array.length <= batchSize) {
-            return this.fisherYatesShuffle(array);
+    // Enregistrer la file en local sous un nom
+    async saveQueueSnapshot() {
+        try {
+            const snapshot = await this.captureQueueSnapshot();
+            if (snapshot.uris.length === 0) {
+                this.showNotification('Aucune piste à enregistrer', 'warning');
+                return;
+            }
+            
+            const defaultName = `Session du ${new Date().toLocaleString()}`;
+            const name = prompt('Nom de la file enregistrée :', defaultName);
+            if (name === null) return;
+            
+            await queueSnapshots.save({ ...snapshot, name: name.trim() || defaultName });
+            this.showNotification(`File enregistrée - ${snapshot.uris.length} pistes`, 'success');
+            this.renderQueueSnapshots();
+            
+        } catch (error) {
+            logger.error('SpotifyPlayer: Erreur enregistrement file', error);
+            this.showNotification('Impossible d\'enregistrer la file d\'attente', 'error');
         }
+    }
+    
+    // Enregistrer la file dans une nouvelle playlist ou à la fin d'une playlist existante
+    async saveQueueAsPlaylist(playlistId = null, name = null) {
+        try {
+            const { uris } = await this.captureQueueSnapshot();
+            const trackUris = uris.filter(uri => uri.startsWith('spotify:track:'));
+            
+            if (trackUris.length === 0) {
+                this.showNotification('Aucune piste à enregistrer', 'warning');
+                return;
+            }
+            
+            if (!playlistId) {
+                const playlist = await this.webApiService.createPlaylist(
+                    name || `Melodyx - Session du ${new Date().toLocaleDateString()}`,
+                    `File d'attente enregistrée par Melodyx. ${trackUris.length} titres.`
+                );
+                playlistId = playlist.id;
+            }
+            
+            await this.webApiService.addTracksToPlaylist(playlistId, trackUris);
+            this.showNotification(`${trackUris.length} pistes enregistrées dans la playlist`, 'success');
+            
+        } catch (error) {
+            logger.error('SpotifyPlayer: Erreur enregistrement playlist', error);
+            this.showNotification('Impossible d\'enregistrer la file dans une playlist', 'error');
+        }
+    }
+    
+    // Reprendre une file enregistrée à sa piste et sa position
+    async resumeQueueSnapshot(snapshotId) {
+        try {
+            const snapshot = await queueSnapshots.get(snapshotId);
+            if (!snapshot) {
+                throw new Error('File enregistrée introuvable');
+            }
+            
+            this.virtualQueue.release('snapshot');
+            await this.webApiService.toggleShuffle(false);
+            await this.queueFeeder.start(snapshot.uris, this.deviceId, {
+                startIndex: snapshot.index,
+                positionMs: snapshot.positionMs
+            });
+            
+            this.closeQueueModal();
+            this.showNotification(`Reprise de « ${snapshot.name} »`, 'success');
+            setTimeout(() => this.refreshState(), 1000);
+            
+        } catch (error) {
+            logger.error('SpotifyPlayer: Erreur reprise file', error);
+            this.showNotification('Impossible de reprendre cette file', 'error');
+        }
+    }
+    
+    // Barre d'enregistrement et liste des files enregistrées (modale de la liste d'attente)
+    async renderQueueSnapshots() {
+        const container = document.getElementById('queue-snapshots');
+        if (!container) return;
         
-        const batches = [];
-        for (let i = 0; i < array.length; i += batchSize) {
-            const batch = array.slice(i, Math.min(i + batchSize, array.length));
-            batches.push(this.fisherYatesShuffle(batch));
+        let snapshots = [];
+        try {
+            snapshots = await queueSnapshots.list();
+        } catch (error) {
+            logger.warn('SpotifyPlayer: Files enregistrées indisponibles', error);
         }
         
-        // Mélanger les batches entre elles
-        const shuffledBatches = this.fisherYatesShuffle(batches);
+        container.innerHTML = `
+            <div class="queue-snapshot-actions">
+                <button class="queue-snapshot-btn" id="queue-snapshot-save-btn" type="button">💾 Enregistrer la file</button>
+                <button class="queue-snapshot-btn" id="queue-snapshot-playlist-btn" type="button">➕ Enregistrer en playlist</button>
+            </div>
+            <div class="queue-snapshot-playlist-form" id="queue-snapshot-playlist-form" style="display: none;"></div>
+            ${snapshots.length > 0 ? `
+                <div class="queue-snapshot-list">
+                    ${snapshots.map(snapshot => `
+                        <div class="queue-snapshot-item" data-snapshot-id="${snapshot.id}">
+                            <div class="queue-snapshot-details">
+                                <div class="queue-snapshot-name">${snapshot.name}</div>
+                                <div class="queue-snapshot-meta">
+                                    ${snapshot.uris.length} pistes · piste ${snapshot.index + 1} à ${this.formatTime(snapshot.positionMs)} · ${new Date(snapshot.createdAt).toLocaleDateString()}
+                                </div>
+                            </div>
+                            <button class="queue-snapshot-btn" data-snapshot-action="resume" type="button">Reprendre</button>
+                            <button class="queue-action-btn" data-snapshot-action="delete" type="button" title="Supprimer">✕</button>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        
+        document.getElementById('queue-snapshot-save-btn').addEventListener('click', () => this.saveQueueSnapshot());
+        document.getElementById('queue-snapshot-playlist-btn').addEventListener('click', () => this.showQueuePlaylistForm());
         
-        // Aplatir le résultat
-        return shuffledBatches.flat();
+        container.querySelectorAll('.queue-snapshot-item').forEach(item => {
+            const snapshotId = item.getAttribute('data-snapshot-id');
+            
+            item.querySelector('[data-snapshot-action="resume"]').addEventListener('click', () => {
+                this.resumeQueueSnapshot(snapshotId);
+            });
+            
+            item.querySelector('[data-snapshot-action="delete"]').addEventListener('click', async () => {
+                if (!confirm('Supprimer cette file enregistrée ?')) return;
+                await queueSnapshots.delete(snapshotId);
+                this.renderQueueSnapshots();
+            });
+        });
     }
     
-    // Shuffle avec option no-adjacent (éviter les pistes consécutives du même artiste)
-    noAdjacentShuffle(tracks) {
-        if (tracks.length < 3) {
-            return this.fisherYatesShuffle(tracks);
+    // Choix de la playlist cible : nouvelle playlist ou playlist existante de l'utilisateur
+    async showQueuePlaylistForm() {
+        const form = document.getElementById('queue-snapshot-playlist-form');
+        if (!form) return;
+        
+        if (form.style.display !== 'none') {
+            form.style.display = 'none';
+            return;
         }
         
-        // Grouper les pistes par artiste
-        const tracksByArtist = new Map();
-        tracks.forEach(track => {
-            const artistId = track.artists?.[0]?.id || 'unknown';
-            if (!tracksByArtist.has(artistId)) {
-                tracksByArtist.set(artistId, []);
-            }
-            tracksByArtist.get(artistId).push(track);
-        });
+        form.style.display = 'flex';
+        form.innerHTML = '<span class="queue-snapshot-meta">Chargement de vos playlists...</span>';
         
-        // Si un seul artiste, faire un shuffle normal
-        if (tracksByArtist.size === 1) {
-            return this.fisherYatesShuffle(tracks);
+        let ownPlaylists = [];
+        try {
+            const [user, playlists] = await Promise.all([
+                this.webApiService.getUserProfile(),
+                this.webApiService.getAllUserPlaylists()
+            ]);
+            ownPlaylists = playlists.filter(playlist => playlist && playlist.owner.id === user.id);
+        } catch (error) {
+            logger.warn('SpotifyPlayer: Playlists indisponibles, seule une nouvelle playlist est proposée', error);
         }
         
-        // Créer une liste shufflée en alternant les artistes
-        const shuffled = [];
-        const artistArrays = Array.from(tracksByArtist.values()).map(tracks => this.fisherYatesShuffle(tracks));
+        form.innerHTML = `
+            <select class="queue-snapshot-select" id="queue-snapshot-target">
+                <option value="">Nouvelle playlist</option>
+                ${ownPlaylists.map(playlist => `<option value="${playlist.id}">${playlist.name}</option>`).join('')}
+            </select>
+            <input class="queue-snapshot-input" id="queue-snapshot-playlist-name" type="text" placeholder="Nom de la nouvelle playlist">
+            <button class="queue-snapshot-btn" id="queue-snapshot-playlist-confirm" type="button">Enregistrer</button>
+        `;
         
-        while (artistArrays.some(arr => arr.length > 0)) {
-            // Parcourir chaque artiste et prendre une piste
-            for (let i = 0; i < artistArrays.length; i++) {
-                if (artistArrays[i].length > 0) {
-                    shuffled.push(artistArrays[i].shift());
-                }
-            }
-        }
+        const target = document.getElementById('queue-snapshot-target');
+        const nameInput = document.getElementById('queue-snapshot-playlist-name');
+        
+        target.addEventListener('change', () => {
+            nameInput.style.display = target.value ? 'none' : '';
+        });
         
-        return shuffled;
+        document.getElementById('queue-snapshot-playlist-confirm').addEventListener('click', async () => {
+            form.style.display = 'none';
+            await this.saveQueueAsPlaylist(target.value || null, nameInput.value.trim() || null);
+        });
     }
-
-    // Fonction shuffle désactivée
+    
+    // === TRUE SHUFFLE ===
+    
+    // Activer/désactiver le true shuffle du contexte en cours
     async shuffleCurrentQueue() {
-        return;
         logger.info('SpotifyPlayer: Toggle TRUE shuffle mode');
         
         try {
@@ -2627,44 +3191,32 @@ class SpotifyPlayer {
             this.trueShuffle.originalTracks = [...contextData.tracks];
             this.trueShuffle.currentContext = contextData;
             
-            // Appliquer l'algorithme de shuffle approprié
-            let shuffledTracks;
-            
-            if (contextData.tracks.length > 100) {
-                // Pour les grandes playlists, utiliser le batch shuffle
-                logger.info('SpotifyPlayer: Using batch shuffle for large playlist');
-                shuffledTracks = this.batchShuffle(contextData.tracks);
-            } else if (contextData.tracks.length > 20) {
-                // Pour les playlists moyennes, option no-adjacent peut être utile
-                logger.info('SpotifyPlayer: Using no-adjacent shuffle');
-                shuffledTracks = this.noAdjacentShuffle(contextData.tracks);
-            } else {
-                // Pour les petites playlists, Fisher-Yates standard
-                logger.info('SpotifyPlayer: Using standard Fisher-Yates shuffle');
-                shuffledTracks = this.fisherYatesShuffle(contextData.tracks);
-            }
+            // Appliquer la stratégie de shuffle choisie par l'utilisateur
+            const strategyName = shuffleRegistry.getSelectedStrategy();
+            logger.info('SpotifyPlayer: Using shuffle strategy', { strategy: strategyName });
+            await shuffleRegistry.prepare(contextData.tracks, strategyName);
+            const { tracks: shuffledTracks, seed } = shuffleRegistry.shuffleWithSeed(contextData.tracks, strategyName);
             
-            // Sauvegarder les pistes shufflées
+            // Sauvegarder les pistes shufflées et la graine pour pouvoir reproduire l'ordre
             this.trueShuffle.shuffledTracks = shuffledTracks;
+            this.trueShuffle.seed = seed;
             
             // Extraire les URIs des pistes shufflées
             const shuffledUris = shuffledTracks.map(track => track.uri);
             
             // Désactiver le shuffle natif de Spotify
+            this.virtualQueue.release('true-shuffle');
             await this.webApiService.toggleShuffle(false);
             
-            // Jouer les pistes dans l'ordre shufflé
-            if (shuffledUris.length > 50) {
-                // Pour les grandes playlists, utiliser le batch playback
-                await this.webApiService.playTracksInBatches(shuffledUris, this.deviceId);
-            } else {
-                // Pour les petites playlists, jouer directement
-                await this.webApiService.playTracks(shuffledUris, this.deviceId);
-            }
+            // Jouer les pistes dans l'ordre shufflé, la file est complétée au fil de la lecture
+            await this.queueFeeder.start(shuffledUris, this.deviceId);
             
-            // Marquer le true shuffle comme actif
+            // Marquer le true shuffle comme actif ; la lecture est confirmée au prochain état
+            // reçu sans contexte (l'ancien contexte peut encore être rapporté quelques instants)
             this.trueShuffle.isActive = true;
-            this.trueShuffle.playbackStarted = true;
+            this.trueShuffle.playbackStarted = false;
+            this.trueShuffle.currentUri = shuffledUris[0];
+            this.saveTrueShuffleState();
             
             // Mettre à jour l'interface
             if (shuffleBtn) {
@@ -2674,7 +3226,7 @@ class SpotifyPlayer {
             
             // Afficher la notification de succès
             this.showNotification(
-                `True Shuffle activé - ${shuffledTracks.length} pistes mélangées aléatoirement`,
+                `True Shuffle activé - ${shuffledTracks.length} pistes mélangées aléatoirement (graine ${seed})`,
                 'success'
             );
             
@@ -2693,36 +3245,43 @@ class SpotifyPlayer {
         }
     }
     
-    // Fonction désactivée
+    // Désactiver le true shuffle et reprendre le contexte original à la piste en cours
     async disableTrueShuffle() {
-        return;
         logger.info('SpotifyPlayer: Disabling true shuffle');
         
         try {
-            // Si on a des pistes originales, les rejouer dans l'ordre
-            if (this.trueShuffle.originalTracks.length > 0 && this.trueShuffle.currentContext) {
-                // Rejouer le contexte original
-                await this.webApiService.playContext(
-                    this.trueShuffle.currentContext.contextUri, 
-                    this.deviceId
-                );
-            }
+            this.queueFeeder.cancel();
             
-            // Réinitialiser l'état du true shuffle
-            this.trueShuffle = {
-                isActive: false,
-                originalTracks: [],
-                shuffledTracks: [],
-                currentContext: null,
-                playbackStarted: false
-            };
+            const { originalTracks, currentContext } = this.trueShuffle;
             
-            // Mettre à jour l'interface
-            const shuffleBtn = document.getElementById('true-shuffle-btn');
-            if (shuffleBtn) {
-                shuffleBtn.classList.remove('active', 'true-shuffle-active');
+            if (originalTracks.length > 0 && currentContext) {
+                // Position actuelle dans l'ordre mélangé
+                const state = await this.webApiService.getPlaybackState();
+                const currentUri = state && state.item ? state.item.uri : this.trueShuffle.currentUri;
+                const positionMs = state ? state.progress_ms || 0 : 0;
+                
+                // L'offset par URI n'est accepté par Spotify que pour les playlists et albums
+                const canResume = ['playlist', 'album'].includes(currentContext.contextType) &&
+                    originalTracks.some(track => track.uri === currentUri);
+                
+                if (canResume) {
+                    await this.webApiService.playContext(currentContext.contextUri, this.deviceId, currentUri);
+                    
+                    // Reprendre à la même position dans la piste
+                    if (positionMs > 0) {
+                        await this.webApiService.delay(500);
+                        await this.webApiService.seekToPosition(positionMs);
+                    }
+                } else {
+                    await this.webApiService.playContext(currentContext.contextUri, this.deviceId);
+                }
             }
             
+            // Réinitialiser l'état du true shuffle
+            this.resetTrueShuffleState();
+            this.saveTrueShuffleState();
+            this.updateTrueShuffleButton();
+            
             this.showNotification('True Shuffle désactivé - Ordre original restauré', 'info');
             
             // Rafraîchir l'état
@@ -2734,6 +3293,211 @@ class SpotifyPlayer {
         }
     }
     
+    // Réinitialiser l'état du true shuffle
+    resetTrueShuffleState() {
+        this.trueShuffle = {
+            isActive: false,
+            originalTracks: [],
+            shuffledTracks: [],
+            currentContext: null,
+            currentUri: null,
+            playbackStarted: false,
+            seed: null
+        };
+    }
+    
+    // Suivre la lecture pendant le true shuffle : piste en cours, ou arrêt si l'utilisateur
+    // a lancé un autre contexte ou une piste hors du mélange
+    syncTrueShuffleState(trackUri, contextUri) {
+        if (!this.trueShuffle.isActive || !trackUri) return;
+        
+        // Les pistes insérées dans la file Melodyx ne mettent pas fin au true shuffle
+        const inShuffle = this.trueShuffle.shuffledTracks.some(track => track.uri === trackUri) ||
+            (this.virtualQueue.isActive() && this.virtualQueue.current?.uri === trackUri);
+        
+        // Attendre que la lecture mélangée ait réellement démarré
+        if (!this.trueShuffle.playbackStarted) {
+            if (contextUri || !inShuffle) return;
+            this.trueShuffle.playbackStarted = true;
+        }
+        
+        if (contextUri || !inShuffle) {
+            logger.info('SpotifyPlayer: Contexte changé, true shuffle arrêté', { trackUri, contextUri });
+            this.resetTrueShuffleState();
+            this.saveTrueShuffleState();
+            this.showNotification('True Shuffle arrêté - Nouveau contexte de lecture', 'info');
+            return;
+        }
+        
+        if (this.trueShuffle.currentUri !== trackUri) {
+            this.trueShuffle.currentUri = trackUri;
+            this.saveTrueShuffleState();
+        }
+    }
+    
+    // Mettre à jour le bouton true shuffle
+    updateTrueShuffleButton() {
+        const shuffleBtn = document.getElementById('true-shuffle-btn');
+        if (!shuffleBtn) return;
+        
+        shuffleBtn.classList.toggle('active', this.trueShuffle.isActive || this.isShuffleActive);
+        shuffleBtn.classList.toggle('true-shuffle-active', this.trueShuffle.isActive);
+    }
+    
+    // Sauvegarder l'état du true shuffle (URIs seulement pour rester dans le quota localStorage)
+    saveTrueShuffleState() {
+        try {
+            if (!this.trueShuffle.isActive) {
+                localStorage.removeItem(this.trueShuffleStorageKey);
+                return;
+            }
+            
+            const { currentContext } = this.trueShuffle;
+            localStorage.setItem(this.trueShuffleStorageKey, JSON.stringify({
+                originalUris: this.trueShuffle.originalTracks.map(track => track.uri),
+                shuffledUris: this.trueShuffle.shuffledTracks.map(track => track.uri),
+                context: {
+                    contextType: currentContext.contextType,
+                    contextUri: currentContext.contextUri,
+                    contextId: currentContext.contextId
+                },
+                currentUri: this.trueShuffle.currentUri,
+                seed: this.trueShuffle.seed,
+                feeder: this.queueFeeder.getProgress()
+            }));
+        } catch (error) {
+            logger.warn('SpotifyPlayer: Impossible de sauvegarder l\'état du true shuffle', error);
+        }
+    }
+    
+    // Restaurer l'état du true shuffle après un rechargement de la page
+    restoreTrueShuffleState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.trueShuffleStorageKey));
+            if (!saved || !saved.context || !Array.isArray(saved.shuffledUris)) return;
+            
+            this.trueShuffle = {
+                isActive: true,
+                originalTracks: (saved.originalUris || []).map(uri => ({ uri })),
+                shuffledTracks: saved.shuffledUris.map(uri => ({ uri })),
+                currentContext: saved.context,
+                currentUri: saved.currentUri || null,
+                playbackStarted: true,
+                seed: saved.seed || null
+            };
+            
+            // Reprendre l'alimentation de la file là où elle s'était arrêtée
+            if (saved.feeder && ['running', 'paused'].includes(saved.feeder.status)) {
+                this.queueFeeder.restore(saved.shuffledUris, saved.feeder);
+            }
+            
+            logger.info('SpotifyPlayer: État true shuffle restauré', {
+                tracks: this.trueShuffle.shuffledTracks.length,
+                seed: this.trueShuffle.seed
+            });
+        } catch (error) {
+            logger.warn('SpotifyPlayer: État true shuffle illisible, ignoré', error);
+            localStorage.removeItem(this.trueShuffleStorageKey);
+        }
+    }
+    
+    // === TITRES LIKÉS ===
+    
+    // Lire tous les titres likés dans l'ordre de la stratégie de shuffle choisie
+    async playLikedSongs() {
+        logger.info('SpotifyPlayer: Lecture des titres likés');
+        
+        const likedBtn = document.getElementById('liked-shuffle-btn');
+        if (likedBtn) likedBtn.classList.add('loading');
+        
+        try {
+            const tracks = (await this.webApiService.getLikedTracks()).filter(track => track && track.uri);
+            
+            if (tracks.length === 0) {
+                this.showNotification('Aucun titre liké à lire', 'warning');
+                return;
+            }
+            
+            const strategyName = shuffleRegistry.getSelectedStrategy();
+            await shuffleRegistry.prepare(tracks, strategyName);
+            const { tracks: shuffledTracks, seed } = shuffleRegistry.shuffleWithSeed(tracks, strategyName);
+            
+            // Désactiver le shuffle natif de Spotify
+            this.virtualQueue.release('liked');
+            await this.webApiService.toggleShuffle(false);
+            await this.queueFeeder.start(shuffledTracks.map(track => track.uri), this.deviceId);
+            
+            this.showNotification(
+                `Titres likés - ${shuffledTracks.length} pistes mélangées (graine ${seed})`,
+                'success'
+            );
+            
+            setTimeout(() => this.refreshState(), 1000);
+            
+        } catch (error) {
+            logger.error('SpotifyPlayer: Erreur lecture titres likés', error);
+            this.showNotification('Erreur lors de la lecture des titres likés', 'error');
+        } finally {
+            if (likedBtn) likedBtn.classList.remove('loading');
+        }
+    }
+    
+    // === ALIMENTATION DE LA FILE ===
+    
+    // Lancer une liste préparée par une autre page (fusion de playlists en lecture directe)
+    async playPendingQueue() {
+        const pending = QueueFeeder.takePending();
+        if (!pending) return;
+        
+        logger.info('SpotifyPlayer: Lecture en attente trouvée', { tracks: pending.uris.length, label: pending.label });
+        
+        try {
+            this.virtualQueue.release('pending');
+            await this.webApiService.toggleShuffle(false);
+            await this.queueFeeder.start(pending.uris, this.deviceId);
+            
+            this.showNotification(
+                `${pending.label || 'Lecture'} - ${pending.uris.length} pistes${pending.seed ? ` (graine ${pending.seed})` : ''}`,
+                'success'
+            );
+            
+            setTimeout(() => this.refreshState(), 1000);
+            
+        } catch (error) {
+            logger.error('SpotifyPlayer: Erreur lecture en attente', error);
+            this.showNotification('Impossible de lancer la lecture préparée', 'error');
+        }
+    }
+    
+    // Afficher la progression de l'alimentation de la file
+    handleQueueFeederProgress(progress) {
+        // Conserver la progression avec l'état du true shuffle
+        if (this.trueShuffle && this.trueShuffle.isActive) {
+            this.saveTrueShuffleState();
+        }
+        
+        const status = document.getElementById('queue-feeder-status');
+        if (!status) return;
+        
+        const isActive = progress.status === 'running' || progress.status === 'paused';
+        status.style.display = isActive ? 'flex' : 'none';
+        if (!isActive) return;
+        
+        const text = status.querySelector('.queue-feeder-text');
+        const bar = status.querySelector('.queue-feeder-bar-fill');
+        const pauseBtn = document.getElementById('queue-feeder-pause-btn');
+        
+        if (text) {
+            text.textContent = `File : ${progress.queued}/${progress.total} pistes${progress.status === 'paused' ? ' (en pause)' : ''}`;
+        }
+        if (bar) {
+            bar.style.width = `${progress.total ? (progress.queued / progress.total) * 100 : 0}%`;
+        }
+        if (pauseBtn) {
+            pauseBtn.textContent = progress.status === 'paused' ? 'Reprendre' : 'Pause';
+        }
+    }
+    
     // Afficher une notification temporaire
     showNotification(message, type = 'info') {
         // Créer la notification si elle n'existe pas
@@ -2875,5 +3639,4 @@ let spotifyPlayer = null;
 
 // Export globals for module usage
 window.SpotifyPlayer = SpotifyPlayer;
-window.logger = logger;
 window.spotifyPlayer = spotifyPlayer;
\ No newline at end of file
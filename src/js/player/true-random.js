@@ -5,21 +5,17 @@ class TrueRandomMode {
         this.shuffledTracks = [];
         this.isLoading = false;
         this.tempPlaylistId = null;
+        this.userId = null;
+        this.shuffleAlgorithm = 'Fisher-Yates';
+        this.shuffleSeed = null;
+        this.shuffleBias = null; // Ce qui oriente l'ordre ; null pour Fisher-Yates sans pondération (tirage uniforme)
+        this.maxMarkerIdLength = 64; // Au-delà, le marqueur [melodyx:...] porte une empreinte de la source
+        this.generatedPlaylists = null; // Playlists générées connues pendant la session (voir fetchGeneratedPlaylists)
+        this.webApiService = null; // SpotifyWebAPIService, injecté par la page
     }
 
-    // Algorithme Fisher-Yates pour un mélange vraiment aléatoire
-    fisherYatesShuffle(array) {
-        const shuffled = [...array]; // Copie pour ne pas modifier l'original
-        
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            // Générer un index aléatoire entre 0 et i
-            const randomIndex = Math.floor(Math.random() * (i + 1));
-            
-            // Échanger les éléments
-            [shuffled[i], shuffled[randomIndex]] = [shuffled[randomIndex], shuffled[i]];
-        }
-        
-        return shuffled;
+    setWebApiService(webApiService) {
+        this.webApiService = webApiService;
     }
 
     // Récupérer tous les titres likés de l'utilisateur
@@ -57,9 +53,13 @@ class TrueRandomMode {
                         uri: item.track.uri,
                         name: item.track.name,
                         artist: item.track.artists.map(a => a.name).join(', '),
+                        artistId: item.track.artists[0]?.id,
                         album: item.track.album.name,
+                        albumId: item.track.album.id,
                         image: item.track.album.images[0]?.url,
                         duration: item.track.duration_ms,
+                        releaseDate: item.track.album.release_date,
+                        popularity: item.track.popularity,
                         added_at: item.added_at
                     }));
 
@@ -94,89 +94,59 @@ class TrueRandomMode {
             throw new Error('Aucun titre liké trouvé');
         }
 
-        // Appliquer l'algorithme Fisher-Yates
-        this.shuffledTracks = this.fisherYatesShuffle(this.likedTracks);
+        // Appliquer la stratégie de shuffle choisie par l'utilisateur
+        await shuffleRegistry.prepare(this.likedTracks);
+        this.applyShuffle(this.likedTracks);
         
         console.log('Mélange vraiment aléatoire créé:', this.shuffledTracks.length, 'titres');
         return this.shuffledTracks;
     }
 
-    // Créer une playlist temporaire avec les titres mélangés
-    async createTemporaryPlaylist() {
-        const token = SpotifyAuth.getAccessToken();
-        if (!token) {
-            throw new Error('Token d\'accès non disponible');
-        }
-
+    // Écrire les titres mélangés dans la playlist générée pour cette source :
+    // la playlist existante (repérée par le marqueur de sa description) est réutilisée, sinon elle est créée
+    // playlistDescription: texte libre, complété par la graine et le marqueur
+    // sourceId: identifiant de la source ('liked-tracks', ID de playlist, 'merge:...')
+    async createShuffledPlaylist(playlistName, playlistDescription, sourceId) {
         try {
-            // Récupérer l'ID utilisateur
-            const userResponse = await fetch('https://api.spotify.com/v1/me', {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+            // Limite Spotify de 300 caractères : seul le texte libre est raccourci, la graine et le marqueur sont conservés
+            const suffix = `Graine : ${this.shuffleSeed} ${this.getGeneratedMarker(sourceId)}`;
+            const description = `${playlistDescription.slice(0, 300 - suffix.length - 1)} ${suffix}`;
+            const trackUris = this.shuffledTracks.map(track => track.uri);
 
-            if (!userResponse.ok) {
-                throw new Error('Impossible de récupérer les informations utilisateur');
+            // Le marqueur complet reste reconnu pour les playlists générées avant sa version courte
+            const markerIds = [this.getMarkerSourceId(sourceId), sourceId];
+            let existing = (await this.fetchGeneratedPlaylists()).find(playlist => markerIds.includes(playlist.sourceId));
+            let playlist;
+
+            if (existing) {
+                try {
+                    // Mettre à jour le nom et la description puis remplacer les titres dans le nouvel ordre
+                    await this.webApiService.changePlaylistDetails(existing.id, { name: playlistName, description });
+                    await this.webApiService.replacePlaylistTracks(existing.id, trackUris);
+                    Object.assign(existing, { name: playlistName, trackCount: trackUris.length, sourceId: markerIds[0] });
+                    playlist = { id: existing.id, external_urls: { spotify: existing.url } };
+                } catch (error) {
+                    // Playlist supprimée depuis Spotify pendant la session : la recréer
+                    if (!/API Error 404/.test(error.message)) throw error;
+                    this.generatedPlaylists = this.generatedPlaylists.filter(generated => generated !== existing);
+                    existing = null;
+                }
             }
 
-            const user = await userResponse.json();
-            const userId = user.id;
-
-            // Créer la playlist temporaire
-            const playlistName = `Melodyx - Vraiment Aléatoire (${new Date().toLocaleDateString()})`;
-            const playlistDescription = `Playlist générée par Melodyx avec un vrai algorithme aléatoire. ${this.shuffledTracks.length} titres de votre bibliothèque.`;
-
-            const createPlaylistResponse = await fetch(`https://api.spotify.com/v1/users/${userId}/playlists`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    name: playlistName,
-                    description: playlistDescription,
-                    public: false
-                })
-            });
-
-            if (!createPlaylistResponse.ok) {
-                throw new Error('Impossible de créer la playlist');
+            if (!existing) {
+                playlist = await this.webApiService.createPlaylist(playlistName, description, false);
+                await this.webApiService.addTracksToPlaylist(playlist.id, trackUris);
+                this.generatedPlaylists.push(this.toGeneratedPlaylist(playlist, markerIds[0], trackUris.length));
             }
 
-            const playlist = await createPlaylistResponse.json();
             this.tempPlaylistId = playlist.id;
 
-            // Ajouter les pistes à la playlist (par lots de 100 max)
-            const trackUris = this.shuffledTracks.map(track => track.uri);
-            const batchSize = 100;
-
-            for (let i = 0; i < trackUris.length; i += batchSize) {
-                const batch = trackUris.slice(i, i + batchSize);
-                
-                const addTracksResponse = await fetch(`https://api.spotify.com/v1/playlists/${playlist.id}/tracks`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        uris: batch
-                    })
-                });
-
-                if (!addTracksResponse.ok) {
-                    console.error(`Erreur lors de l'ajout du lot ${i / batchSize + 1}`);
-                }
-
-                // Petite pause entre les requêtes pour éviter le rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-
             return {
                 playlistId: playlist.id,
                 playlistUrl: playlist.external_urls.spotify,
-                trackCount: this.shuffledTracks.length
+                trackCount: this.shuffledTracks.length,
+                seed: this.shuffleSeed,
+                reused: Boolean(existing)
             };
 
         } catch (error) {
@@ -185,6 +155,132 @@ class TrueRandomMode {
         }
     }
 
+    // === PLAYLISTS GÉNÉRÉES ===
+    // Chaque playlist générée porte dans sa description un marqueur [melodyx:<source>]
+    // qui permet de la retrouver pour la réutiliser ou la supprimer
+
+    getGeneratedMarker(sourceId) {
+        return `[melodyx:${this.getMarkerSourceId(sourceId)}]`;
+    }
+
+    // Identifiant inscrit dans le marqueur : une fusion de nombreuses sources est remplacée par une empreinte
+    // stable de l'ensemble, pour que description et marqueur tiennent dans les 300 caractères de Spotify
+    getMarkerSourceId(sourceId) {
+        if (sourceId.length <= this.maxMarkerIdLength) return sourceId;
+
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < sourceId.length; i++) {
+            const code = sourceId.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        const prefix = sourceId.split(':')[0];
+        return `${prefix}:${(h2 >>> 0).toString(16).padStart(8, '0')}${(h1 >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    // Lire le marqueur d'une description ; null si la playlist n'a pas été générée par Melodyx
+    parseGeneratedMarker(description) {
+        const match = /\[melodyx:([^\]\s]+)\]/.exec(description || '');
+        return match ? match[1] : null;
+    }
+
+    // Playlists générées avant l'ajout du marqueur
+    isLegacyGeneratedPlaylist(playlist) {
+        return playlist.name.startsWith('Melodyx - Vraiment Aléatoire') ||
+            (playlist.name.endsWith(' - True Shuffle') && (playlist.description || '').includes('générée par Melodyx'));
+    }
+
+    async getCurrentUserId() {
+        if (!this.userId) {
+            const user = await this.webApiService.getUserProfile();
+            this.userId = user.id;
+        }
+        return this.userId;
+    }
+
+    toGeneratedPlaylist(playlist, sourceId, trackCount, legacy = false) {
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            url: playlist.external_urls.spotify,
+            trackCount,
+            sourceId,
+            legacy
+        };
+    }
+
+    // Lister les playlists générées par Melodyx appartenant à l'utilisateur
+    // Retourne [{ id, name, url, trackCount, sourceId, legacy }] dans l'ordre de la bibliothèque
+    // La bibliothèque n'est parcourue qu'une fois par session (refresh pour la relire) ; les playlists
+    // créées ou supprimées ensuite tiennent la liste à jour. getAllPages plutôt que getAllUserPlaylists :
+    // une erreur doit interrompre l'opération (sinon une playlist existante serait recréée en double)
+    async fetchGeneratedPlaylists({ refresh = false } = {}) {
+        if (this.generatedPlaylists && !refresh) {
+            return this.generatedPlaylists;
+        }
+
+        const userId = await this.getCurrentUserId();
+        const playlists = await this.webApiService.getAllPages('/me/playlists', 50);
+
+        this.generatedPlaylists = playlists
+            .filter(playlist => playlist && playlist.owner.id === userId)
+            .map(playlist => {
+                const sourceId = this.parseGeneratedMarker(playlist.description);
+                const legacy = !sourceId && this.isLegacyGeneratedPlaylist(playlist);
+                return sourceId || legacy ? this.toGeneratedPlaylist(playlist, sourceId, playlist.tracks.total, legacy) : null;
+            })
+            .filter(Boolean);
+
+        return this.generatedPlaylists;
+    }
+
+    // Playlists générées obsolètes : sans marqueur, ou doublons d'une source déjà couverte
+    // (la première trouvée pour chaque source est celle qui sera réutilisée)
+    findStalePlaylists(generated) {
+        const reusedSources = new Set();
+
+        return new Set(generated.filter(playlist => {
+            if (playlist.legacy) return true;
+            if (reusedSources.has(playlist.sourceId)) return true;
+            reusedSources.add(playlist.sourceId);
+            return false;
+        }).map(playlist => playlist.id));
+    }
+
+    // Supprimer (ne plus suivre) des playlists ; retourne les IDs effectivement supprimés
+    async deletePlaylists(playlistIds, onProgress = null) {
+        const deleted = [];
+
+        for (let i = 0; i < playlistIds.length; i++) {
+            try {
+                await this.webApiService.unfollowPlaylist(playlistIds[i]);
+                deleted.push(playlistIds[i]);
+            } catch (error) {
+                console.error(`Erreur lors de la suppression de la playlist ${playlistIds[i]}:`, error);
+            }
+
+            if (onProgress) onProgress(i + 1, playlistIds.length);
+        }
+
+        if (this.generatedPlaylists) {
+            this.generatedPlaylists = this.generatedPlaylists.filter(playlist => !deleted.includes(playlist.id));
+        }
+
+        return deleted;
+    }
+
+    // Créer une playlist temporaire avec les titres mélangés
+    async createTemporaryPlaylist() {
+        const playlistName = `Melodyx - Vraiment Aléatoire (${new Date().toLocaleDateString()})`;
+        const playlistDescription = `Playlist générée par Melodyx avec un vrai algorithme aléatoire. ${this.shuffledTracks.length} titres de votre bibliothèque. Algorithme : ${this.shuffleAlgorithm}.`;
+
+        return this.createShuffledPlaylist(playlistName, playlistDescription, 'liked-tracks');
+    }
+
     // Récupérer les pistes d'une playlist spécifique
     async fetchPlaylistTracks(playlistId) {
         const token = SpotifyAuth.getAccessToken();
@@ -220,9 +316,13 @@ class TrueRandomMode {
                         uri: item.track.uri,
                         name: item.track.name,
                         artist: item.track.artists.map(a => a.name).join(', '),
+                        artistId: item.track.artists[0]?.id,
                         album: item.track.album.name,
+                        albumId: item.track.album.id,
                         image: item.track.album.images[0]?.url,
                         duration: item.track.duration_ms,
+                        releaseDate: item.track.album.release_date,
+                        popularity: item.track.popularity,
                         added_at: item.added_at
                     }));
 
@@ -245,8 +345,26 @@ class TrueRandomMode {
         }
     }
 
+    // Mélanger des pistes avec une stratégie du registre partagé
+    // La graine est conservée pour pouvoir reproduire exactement le même ordre
+    applyShuffle(tracks, strategy = shuffleRegistry.getSelectedStrategy(), seed = null) {
+        const result = shuffleRegistry.shuffleWithSeed(tracks, strategy, { seed });
+        this.shuffledTracks = result.tracks;
+        this.shuffleSeed = result.seed;
+        this.shuffleAlgorithm = shuffleRegistry.get(result.strategy)?.label || result.strategy;
+
+        const biases = [];
+        if (result.strategy !== 'fisher-yates') biases.push(`la stratégie « ${this.shuffleAlgorithm} »`);
+        if (result.weighted) biases.push('la pondération des titres (souvent passés ou exclus)');
+
+        this.shuffleBias = biases.length > 0 ? biases.join(' et ') : null;
+        return this.shuffledTracks;
+    }
+
     // Shuffle d'une playlist spécifique
-    async shuffleSpecificPlaylist(playlist) {
+    // strategy: nom d'une stratégie enregistrée dans shuffleRegistry
+    // seed: graine à réappliquer pour retrouver un ordre déjà généré (optionnelle)
+    async shuffleSpecificPlaylist(playlist, strategy = shuffleRegistry.getSelectedStrategy(), seed = null) {
         try {
             this.showProgressModal();
             
@@ -260,7 +378,8 @@ class TrueRandomMode {
 
             // Étape 2: Créer le mélange aléatoire
             this.updateProgress('Application de l\'algorithme vraiment aléatoire...', 50);
-            this.shuffledTracks = this.fisherYatesShuffle(playlistTracks);
+            await shuffleRegistry.prepare(playlistTracks, strategy);
+            this.applyShuffle(playlistTracks, strategy, seed);
             
             // Étape 3: Créer la playlist temporaire
             this.updateProgress('Création de votre playlist mélangée...', 75);
@@ -285,89 +404,124 @@ class TrueRandomMode {
 
     // Créer une playlist temporaire à partir d'une playlist spécifique
     async createTemporaryPlaylistFromSpecific(originalPlaylist) {
-        const token = SpotifyAuth.getAccessToken();
-        if (!token) {
-            throw new Error('Token d\'accès non disponible');
-        }
+        const playlistName = `🎲 ${originalPlaylist.name} - True Shuffle`;
+        const playlistDescription = `Version vraiment aléatoire de "${originalPlaylist.name}" générée par Melodyx. ${this.shuffledTracks.length} titres mélangés avec l'algorithme ${this.shuffleAlgorithm}.`;
+
+        const result = await this.createShuffledPlaylist(playlistName, playlistDescription, originalPlaylist.id);
+        return {
+            ...result,
+            originalPlaylist: originalPlaylist.name
+        };
+    }
+
+    // === FUSION DE PLAYLISTS ===
 
+    // Fusion pondérée de plusieurs sources (playlists et/ou titres likés)
+    // sources: [{ playlist, weight }] ; output: 'playlist' (playlist Spotify) ou 'queue' (lecture dans le lecteur)
+    async mergeShuffle(sources, { output = 'playlist', strategy = shuffleRegistry.getSelectedStrategy(), seed = null } = {}) {
         try {
-            // Récupérer l'ID utilisateur
-            const userResponse = await fetch('https://api.spotify.com/v1/me', {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+            this.showProgressModal();
+
+            // Étape 1: Récupérer les titres de chaque source
+            const loadedSources = [];
+            for (let i = 0; i < sources.length; i++) {
+                const { playlist, weight } = sources[i];
+                this.updateProgress(`Récupération des titres de "${playlist.name}"...`, Math.round((i / sources.length) * 40));
 
-            if (!userResponse.ok) {
-                throw new Error('Impossible de récupérer les informations utilisateur');
+                const tracks = playlist.id === 'liked-tracks'
+                    ? await this.fetchAllLikedTracks()
+                    : await this.fetchPlaylistTracks(playlist.id);
+
+                loadedSources.push({ playlist, weight, tracks });
             }
 
-            const user = await userResponse.json();
-            const userId = user.id;
-
-            // Créer la playlist temporaire
-            const playlistName = `🎲 ${originalPlaylist.name} - True Shuffle`;
-            const playlistDescription = `Version vraiment aléatoire de "${originalPlaylist.name}" générée par Melodyx. ${this.shuffledTracks.length} titres mélangés avec l'algorithme Fisher-Yates.`;
-
-            const createPlaylistResponse = await fetch(`https://api.spotify.com/v1/users/${userId}/playlists`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    name: playlistName,
-                    description: playlistDescription,
-                    public: false
-                })
-            });
+            // Étape 2: Retirer les doublons entre sources
+            this.updateProgress('Suppression des doublons...', 45);
+            const uniqueSources = this.deduplicateSources(loadedSources);
+
+            // Étape 3: Mélanger chaque source puis les entrelacer selon leurs poids
+            this.updateProgress('Mélange et entrelacement des sources...', 55);
+            const mergeSeed = shuffleRegistry.resolveSeed(seed);
 
-            if (!createPlaylistResponse.ok) {
-                throw new Error('Impossible de créer la playlist');
+            for (let i = 0; i < uniqueSources.length; i++) {
+                await shuffleRegistry.prepare(uniqueSources[i].tracks, strategy);
+                uniqueSources[i].tracks = shuffleRegistry.shuffleWithSeed(
+                    uniqueSources[i].tracks, strategy, { seed: `${mergeSeed}-${i}` }
+                ).tracks;
             }
 
-            const playlist = await createPlaylistResponse.json();
-            this.tempPlaylistId = playlist.id;
+            this.shuffledTracks = shuffleRegistry.weightedInterleave(uniqueSources, shuffleRegistry.createRandom(mergeSeed));
+            this.shuffleSeed = mergeSeed;
+            this.shuffleAlgorithm = `${shuffleRegistry.get(strategy)?.label || strategy} (fusion pondérée)`;
+            this.shuffleBias = `la fusion pondérée des sources (stratégie « ${shuffleRegistry.get(strategy)?.label || strategy} »)`;
 
-            // Ajouter les pistes à la playlist (par lots de 100 max)
-            const trackUris = this.shuffledTracks.map(track => track.uri);
-            const batchSize = 100;
+            if (this.shuffledTracks.length === 0) {
+                throw new Error('Les sources sélectionnées ne contiennent aucun titre jouable');
+            }
 
-            for (let i = 0; i < trackUris.length; i += batchSize) {
-                const batch = trackUris.slice(i, i + batchSize);
-                
-                const addTracksResponse = await fetch(`https://api.spotify.com/v1/playlists/${playlist.id}/tracks`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        uris: batch
-                    })
-                });
+            const sourceNames = sources.map(({ playlist }) => playlist.name.replace('❤️ ', ''));
 
-                if (!addTracksResponse.ok) {
-                    console.error(`Erreur lors de l'ajout du lot ${i / batchSize + 1}`);
-                }
+            // Étape 4a: Lecture directe, le lecteur alimente la file au fil de l'écoute
+            if (output === 'queue') {
+                this.updateProgress('Préparation de la lecture...', 100);
+                QueueFeeder.savePending(this.shuffledTracks.map(track => track.uri), {
+                    label: `Fusion : ${sourceNames.join(' + ')}`,
+                    seed: mergeSeed
+                });
+                this.hideProgressModal();
 
-                // Petite pause entre les requêtes pour éviter le rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
+                return {
+                    trackCount: this.shuffledTracks.length,
+                    seed: mergeSeed,
+                    queued: true
+                };
             }
 
-            return {
-                playlistId: playlist.id,
-                playlistUrl: playlist.external_urls.spotify,
-                trackCount: this.shuffledTracks.length,
-                originalPlaylist: originalPlaylist.name
-            };
+            // Étape 4b: Créer la playlist fusionnée
+            this.updateProgress('Création de votre playlist fusionnée...', 75);
+            const proportions = uniqueSources
+                .map(({ playlist, weight }) => `${playlist.name.replace('❤️ ', '')} ${Math.round(weight)}`)
+                .join(', ');
+            const result = await this.createShuffledPlaylist(
+                `🔀 ${sourceNames.join(' + ')} - True Shuffle`,
+                `Fusion pondérée générée par Melodyx (poids : ${proportions}). ${this.shuffledTracks.length} titres sans doublons. Algorithme : ${this.shuffleAlgorithm}.`,
+                `merge:${sources.map(({ playlist }) => playlist.id).sort().join(',')}`
+            );
+
+            this.updateProgress('Finalisation...', 100);
+
+            setTimeout(() => {
+                this.hideProgressModal();
+                this.showSuccessModal(result);
+            }, 500);
+
+            return result;
 
         } catch (error) {
-            console.error('Erreur lors de la création de la playlist:', error);
+            this.hideProgressModal();
+            this.showErrorModal(error.message);
             throw error;
         }
     }
 
+    // Un titre présent dans plusieurs sources n'est gardé que dans celle de plus fort poids
+    deduplicateSources(sources) {
+        const seen = new Set();
+        const byWeight = [...sources].sort((a, b) => b.weight - a.weight);
+        const uniqueTracks = new Map();
+
+        byWeight.forEach(source => {
+            uniqueTracks.set(source, source.tracks.filter(track => {
+                const key = track.id || track.uri;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            }));
+        });
+
+        return sources.map(source => ({ ...source, tracks: uniqueTracks.get(source) }));
+    }
+
     // Lancer le processus complet (pour les titres likés)
     async generateTrueRandomPlaylist() {
         try {
@@ -462,11 +616,14 @@ class TrueRandomMode {
                 <div class="modal-container" onclick="event.stopPropagation()">
                     <div class="modal-content success">
                         <div class="success-icon">🎉</div>
-                        <h2>Playlist créée avec succès !</h2>
-                        <p>Votre playlist vraiment aléatoire a été générée avec ${result.trackCount} titres.</p>
+                        <h2>${result.reused ? 'Playlist mise à jour !' : 'Playlist créée avec succès !'}</h2>
+                        <p>Votre playlist vraiment aléatoire a été ${result.reused ? 'remélangée' : 'générée'} avec ${result.trackCount} titres.</p>
                         <div style="margin: 1.5rem 0;">
-                            <strong>Algorithme utilisé :</strong> Fisher-Yates<br>
-                            <strong>Garantie :</strong> 100% aléatoire, pas de biais
+                            <strong>Algorithme utilisé :</strong> ${this.shuffleAlgorithm}<br>
+                            <strong>Graine :</strong> <code>${result.seed}</code><br>
+                            ${this.shuffleBias
+                                ? `<strong>Ordre :</strong> orienté par ${this.shuffleBias}, reproductible avec la graine <code>${result.seed}</code>`
+                                : '<strong>Garantie :</strong> 100% aléatoire, pas de biais'}
                         </div>
                         <div style="display: flex; gap: 1rem; justify-content: center; flex-wrap: wrap;">
                             <a href="${result.playlistUrl}" target="_blank" class="btn btn-primary">
@@ -483,6 +640,86 @@ class TrueRandomMode {
         document.body.appendChild(modal);
     }
 
+    // Écran de nettoyage : liste les playlists générées, les obsolètes sont pré-cochées
+    // onDeleted(ids) est appelé après la suppression pour mettre à jour l'affichage
+    async showCleanupModal(onDeleted = null) {
+        const modal = document.createElement('div');
+        modal.className = 'spotify-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-container" onclick="event.stopPropagation()">
+                    <div class="modal-content generated-cleanup">
+                        <h2>🧹 Playlists générées</h2>
+                        <p class="generated-cleanup-status">Recherche des playlists générées par Melodyx...</p>
+                        <div class="generated-cleanup-list"></div>
+                        <div style="display: flex; gap: 1rem; justify-content: center; flex-wrap: wrap;">
+                            <button class="btn btn-primary generated-cleanup-delete" disabled>Supprimer la sélection</button>
+                            <button class="btn btn-secondary" onclick="this.closest('.spotify-modal').remove()">
+                                Fermer
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const status = modal.querySelector('.generated-cleanup-status');
+        const list = modal.querySelector('.generated-cleanup-list');
+        const deleteBtn = modal.querySelector('.generated-cleanup-delete');
+
+        const selectedIds = () => [...list.querySelectorAll('input:checked')].map(input => input.value);
+        const updateDeleteButton = () => {
+            const count = selectedIds().length;
+            deleteBtn.disabled = count === 0;
+            deleteBtn.textContent = count > 0 ? `Supprimer la sélection (${count})` : 'Supprimer la sélection';
+        };
+
+        try {
+            const generated = await this.fetchGeneratedPlaylists({ refresh: true });
+            const stale = this.findStalePlaylists(generated);
+
+            if (generated.length === 0) {
+                status.textContent = 'Aucune playlist générée par Melodyx.';
+                return;
+            }
+
+            status.textContent = `${generated.length} playlist(s) générée(s), ${stale.size} obsolète(s) pré-sélectionnée(s).`;
+            list.innerHTML = generated.map(playlist => `
+                <label class="generated-cleanup-item">
+                    <input type="checkbox" value="${playlist.id}" ${stale.has(playlist.id) ? 'checked' : ''}>
+                    <span class="generated-cleanup-name">${playlist.name}</span>
+                    <span class="generated-cleanup-meta">${playlist.trackCount} titres${playlist.legacy ? ' · ancienne version' : stale.has(playlist.id) ? ' · doublon' : ' · réutilisée'}</span>
+                </label>
+            `).join('');
+
+            list.addEventListener('change', updateDeleteButton);
+            updateDeleteButton();
+
+            deleteBtn.addEventListener('click', async () => {
+                const ids = selectedIds();
+                if (ids.length === 0 || !confirm(`Supprimer définitivement ${ids.length} playlist(s) de votre bibliothèque ?`)) return;
+
+                deleteBtn.disabled = true;
+                const deleted = await this.deletePlaylists(ids, (done, total) => {
+                    status.textContent = `Suppression... ${done}/${total}`;
+                });
+
+                deleted.forEach(id => list.querySelector(`input[value="${id}"]`)?.closest('label').remove());
+                status.textContent = deleted.length === ids.length
+                    ? `${deleted.length} playlist(s) supprimée(s).`
+                    : `${deleted.length} playlist(s) supprimée(s), ${ids.length - deleted.length} en erreur.`;
+                updateDeleteButton();
+
+                if (onDeleted && deleted.length > 0) onDeleted(deleted);
+            });
+
+        } catch (error) {
+            console.error('Erreur lors de la recherche des playlists générées:', error);
+            status.textContent = `Erreur : ${error.message}`;
+        }
+    }
+
     showErrorModal(errorMessage) {
         const modal = document.createElement('div');
         modal.className = 'spotify-modal';
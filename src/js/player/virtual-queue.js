@@ -0,0 +1,301 @@
+// File d'attente virtuelle - Melodyx
+// La file Spotify ne permet ni de retirer ni de réordonner des pistes : Melodyx garde sa propre liste
+// et ne transmet à Spotify que la piste en cours, la suivante étant lancée à la fin de celle-ci
+
+class VirtualQueue {
+    constructor(webApiService, options = {}) {
+        this.webApiService = webApiService;
+        this.endThreshold = options.endThreshold || 1500; // Lancer la suivante à moins de 1,5 s de la fin
+        this.listeners = new Set();
+        this.reset();
+    }
+
+    reset() {
+        this.current = null;  // Piste en cours
+        this.items = [];      // Pistes à venir, dans l'ordre de lecture
+        this.history = [];    // Pistes déjà jouées (pour « précédent »)
+        this.active = false;  // true : Melodyx pilote la lecture ; false : simple reflet de la file Spotify
+        this.pendingUri = null; // Piste lancée, en attente de confirmation par le lecteur
+        this.ownsPlayback = false; // Une piste a été lancée par la file (avant : piste en cours lancée par Spotify)
+        this.advancing = false;
+        this.lastProgress = 0;
+        this.deviceId = null;
+    }
+
+    // Piste de l'API (complète ou simplifiée) ou { uri } -> entrée de la file
+    static toItem(track) {
+        return {
+            uri: track.uri,
+            id: track.id || track.uri.split(':').pop(),
+            name: track.name || null,
+            artist: Array.isArray(track.artists)
+                ? track.artists.map(artist => artist.name).join(', ')
+                : track.artist || null,
+            image: track.album?.images?.[2]?.url || track.album?.images?.[0]?.url || track.image || null,
+            duration: track.duration_ms || track.duration || 0
+        };
+    }
+
+    // === REFLET ===
+
+    // Refléter la lecture en cours sans en prendre le contrôle
+    load(currentTrack, upcomingTracks) {
+        if (this.active) return;
+
+        this.current = currentTrack ? VirtualQueue.toItem(currentTrack) : null;
+        this.items = upcomingTracks.filter(track => track && track.uri).map(track => VirtualQueue.toItem(track));
+        this.notify();
+    }
+
+    // Prendre le contrôle de la lecture : la liste reflétée devient la file Melodyx
+    takeOver(deviceId = null) {
+        if (this.active) return;
+
+        this.active = true;
+        this.deviceId = deviceId;
+        logger.info('VirtualQueue: Prise de contrôle de la file', { upcoming: this.items.length });
+        this.save();
+        this.notify();
+    }
+
+    // Rendre la main à Spotify (autre contexte lancé, file vidée...)
+    release(reason = null) {
+        if (!this.active) return;
+
+        logger.info('VirtualQueue: File rendue à Spotify', { reason });
+        this.reset();
+        this.save();
+        this.notify();
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    // === ÉDITION ===
+
+    move(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !this.items[fromIndex]) return;
+
+        const [item] = this.items.splice(fromIndex, 1);
+        this.items.splice(Math.min(Math.max(toIndex, 0), this.items.length), 0, item);
+        this.changed();
+    }
+
+    remove(index) {
+        if (!this.items[index]) return;
+
+        this.items.splice(index, 1);
+        this.changed();
+    }
+
+    // Insérer des pistes juste après la piste en cours
+    playNext(tracks) {
+        this.items.unshift(...tracks.map(track => VirtualQueue.toItem(track)));
+        this.changed();
+    }
+
+    // Ajouter des pistes à la fin de la file
+    playLater(tracks) {
+        this.items.push(...tracks.map(track => VirtualQueue.toItem(track)));
+        this.changed();
+    }
+
+    changed() {
+        this.save();
+        this.notify();
+    }
+
+    // === LECTURE ===
+
+    // Sauter directement à une piste de la file ; les pistes sautées passent dans l'historique
+    async jumpTo(index) {
+        if (!this.items[index]) return;
+
+        const position = this.getPosition();
+        const skipped = this.items.splice(0, index);
+        if (this.current) this.history.push(this.current);
+        this.history.push(...skipped);
+
+        await this.playItem(this.items.shift(), position);
+    }
+
+    async next() {
+        if (this.items.length === 0) return false;
+
+        const position = this.getPosition();
+        if (this.current) this.history.push(this.current);
+        await this.playItem(this.items.shift(), position);
+        return true;
+    }
+
+    async previous() {
+        if (this.history.length === 0) return false;
+
+        const position = this.getPosition();
+        if (this.current) this.items.unshift(this.current);
+        await this.playItem(this.history.pop(), position);
+        return true;
+    }
+
+    // Position dans la file avant un changement de piste
+    getPosition() {
+        return {
+            current: this.current,
+            items: [...this.items],
+            history: [...this.history],
+            ownsPlayback: this.ownsPlayback,
+            lastProgress: this.lastProgress
+        };
+    }
+
+    // position : état à rétablir si la piste ne peut pas être lancée
+    async playItem(item, position = this.getPosition()) {
+        this.current = item;
+        this.pendingUri = item.uri;
+        this.ownsPlayback = true;
+        this.lastProgress = 0;
+        this.changed();
+
+        try {
+            await this.webApiService.playTracks([item.uri], this.deviceId);
+        } catch (error) {
+            // Piste jamais lancée (appareil perdu, 403, réseau) : sans ce retour en arrière, pendingUri
+            // bloquerait le suivi du lecteur et l'historique pointerait vers une piste non jouée
+            Object.assign(this, position, { pendingUri: null });
+            this.changed();
+            throw error;
+        }
+    }
+
+    // Appelé à chaque mise à jour de l'état du lecteur
+    async handlePlaybackState({ trackUri, contextUri = null, progressMs = 0, durationMs = 0, isPlaying = false }) {
+        if (!this.active || !trackUri || this.advancing) return;
+
+        // Juste après un lancement, l'ancienne piste peut encore être rapportée
+        if (this.pendingUri) {
+            if (trackUri !== this.pendingUri) return;
+            this.pendingUri = null;
+        }
+
+        // Lecture lancée hors de Melodyx (avant notre première piste, le contexte d'origine est normal)
+        if (contextUri && this.ownsPlayback) {
+            this.release('context');
+            return;
+        }
+
+        if (!this.current || trackUri !== this.current.uri) {
+            // Piste restée dans la file Spotify avant la prise de contrôle : l'adopter si elle est dans la file
+            const index = this.items.findIndex(item => item.uri === trackUri);
+            if (index < 0) {
+                this.release('track');
+                return;
+            }
+
+            if (this.current) this.history.push(this.current);
+            this.current = this.items.splice(index, 1)[0];
+            this.changed();
+            return;
+        }
+
+        const nearEnd = durationMs > 0 && durationMs - progressMs <= this.endThreshold;
+        // Piste terminée entre deux mises à jour : Spotify s'arrête sur la piste, revenue au début
+        const ended = !isPlaying && progressMs === 0 && durationMs > 0 && this.lastProgress >= durationMs - 5000;
+        this.lastProgress = progressMs;
+
+        if ((isPlaying && nearEnd) || ended) {
+            this.advancing = true;
+            try {
+                if (!(await this.next())) {
+                    this.release('end');
+                }
+            } catch (error) {
+                logger.error('VirtualQueue: Impossible de lancer la piste suivante', error);
+            } finally {
+                this.advancing = false;
+            }
+        }
+    }
+
+    // Compléter nom, artiste et pochette des pistes connues seulement par leur URI
+    async hydrate(limit = 100) {
+        const missing = [this.current, ...this.items.slice(0, limit)]
+            .filter(item => item && !item.name && item.uri.startsWith('spotify:track:'));
+        if (missing.length === 0) return;
+
+        try {
+            const tracks = await this.webApiService.getTracks([...new Set(missing.map(item => item.id))]);
+            const byId = new Map(tracks.filter(Boolean).map(track => [track.id, VirtualQueue.toItem(track)]));
+
+            missing.forEach(item => Object.assign(item, byId.get(item.id) || {}));
+            this.notify();
+        } catch (error) {
+            logger.warn('VirtualQueue: Métadonnées indisponibles', error);
+        }
+    }
+
+    // === PERSISTANCE ===
+    // URIs seulement pour rester dans le quota localStorage ; les détails sont rechargés à l'affichage
+
+    save() {
+        try {
+            if (!this.active) {
+                localStorage.removeItem(VirtualQueue.storageKey);
+                return;
+            }
+
+            localStorage.setItem(VirtualQueue.storageKey, JSON.stringify({
+                current: this.current?.uri || null,
+                items: this.items.map(item => item.uri),
+                history: this.history.slice(-50).map(item => item.uri),
+                deviceId: this.deviceId,
+                ownsPlayback: this.ownsPlayback
+            }));
+        } catch (error) {
+            logger.warn('VirtualQueue: Impossible de sauvegarder la file', error);
+        }
+    }
+
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(VirtualQueue.storageKey));
+            if (!saved || !Array.isArray(saved.items)) return;
+
+            this.reset();
+            this.active = true;
+            this.deviceId = saved.deviceId || null;
+            this.ownsPlayback = Boolean(saved.ownsPlayback);
+            this.current = saved.current ? VirtualQueue.toItem({ uri: saved.current }) : null;
+            this.items = saved.items.map(uri => VirtualQueue.toItem({ uri }));
+            this.history = (saved.history || []).map(uri => VirtualQueue.toItem({ uri }));
+
+            logger.info('VirtualQueue: File restaurée', { upcoming: this.items.length });
+        } catch (error) {
+            logger.warn('VirtualQueue: File sauvegardée illisible, ignorée', error);
+            localStorage.removeItem(VirtualQueue.storageKey);
+        }
+    }
+
+    // === ÉVÉNEMENTS ===
+
+    // S'abonner aux changements ; retourne la fonction de désabonnement
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                logger.error('VirtualQueue: Erreur listener', error);
+            }
+        });
+    }
+}
+
+VirtualQueue.storageKey = 'melodyx-virtual-queue';
+
+// Make available globally
+window.VirtualQueue = VirtualQueue;
@@ -0,0 +1,200 @@
+// Base de données locale (IndexedDB) - Melodyx
+// Stockage persistant côté navigateur partagé par les fonctionnalités qui conservent un historique
+
+class MelodyxDatabase {
+    constructor() {
+        this.name = 'melodyx';
+        this.version = 6;
+        this.db = null;
+        this.openPromise = null;
+
+        // Schéma des object stores : ajouter un store = ajouter une entrée ici et incrémenter la version
+        this.stores = {
+            playHistory: {
+                keyPath: 'id',
+                indexes: {
+                    trackId: 'trackId',
+                    playedAt: 'playedAt'
+                }
+            },
+            queueSnapshots: {
+                keyPath: 'id',
+                indexes: {
+                    createdAt: 'createdAt'
+                }
+            },
+            playlistSnapshots: {
+                keyPath: 'id',
+                indexes: {
+                    playlistId: 'playlistId',
+                    capturedAt: 'capturedAt'
+                }
+            },
+            scrobbles: {
+                keyPath: 'id',
+                indexes: {
+                    trackId: 'trackId',
+                    startedAt: 'startedAt'
+                }
+            },
+            lyrics: {
+                keyPath: 'id',
+                indexes: {
+                    isrc: 'isrc',
+                    titleKey: 'titleKey'
+                }
+            },
+            analyses: {
+                keyPath: 'trackId'
+            }
+        };
+    }
+
+    // Ouvrir la base (une seule ouverture partagée)
+    open() {
+        if (this.openPromise) {
+            return this.openPromise;
+        }
+
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB non disponible dans ce navigateur'));
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            // Créer les stores et index manquants lors d'un changement de version
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const transaction = request.transaction;
+
+                Object.entries(this.stores).forEach(([storeName, schema]) => {
+                    const store = db.objectStoreNames.contains(storeName)
+                        ? transaction.objectStore(storeName)
+                        : db.createObjectStore(storeName, {
+                            keyPath: schema.keyPath,
+                            autoIncrement: schema.autoIncrement || false
+                        });
+
+                    Object.entries(schema.indexes || {}).forEach(([indexName, keyPath]) => {
+                        if (!store.indexNames.contains(indexName)) {
+                            store.createIndex(indexName, keyPath);
+                        }
+                    });
+                });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Une autre page a ouvert une version plus récente : libérer la connexion
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    // Exécuter une requête IndexedDB sur un store et retourner son résultat
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            const request = operation(store);
+            let result;
+
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // === LECTURE ===
+
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAll(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAll());
+    }
+
+    // Tous les enregistrements d'un index, optionnellement restreints à un IDBKeyRange
+    getAllFromIndex(storeName, indexName, range = null) {
+        return this.request(storeName, 'readonly', store => store.index(indexName).getAll(range));
+    }
+
+    count(storeName) {
+        return this.request(storeName, 'readonly', store => store.count());
+    }
+
+    // === ÉCRITURE ===
+
+    put(storeName, value) {
+        return this.request(storeName, 'readwrite', store => store.put(value));
+    }
+
+    // Écrire plusieurs enregistrements dans une seule transaction
+    putAll(storeName, values) {
+        return this.request(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+            return null;
+        });
+    }
+
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.request(storeName, 'readwrite', store => store.clear());
+    }
+
+    // Supprimer les enregistrements dont la clé d'index est dans l'intervalle donné
+    async deleteFromIndex(storeName, indexName, range) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const cursorRequest = transaction.objectStore(storeName).index(indexName).openCursor(range);
+            let deleted = 0;
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+// Instance globale
+const melodyxDB = new MelodyxDatabase();
+
+// Make available globally
+window.melodyxDB = melodyxDB;
+window.MelodyxDatabase = MelodyxDatabase;
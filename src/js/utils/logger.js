@@ -0,0 +1,49 @@
+// Journal de débogage - Melodyx
+// Partagé par toutes les pages : à charger avant les autres scripts
+
+// Système de logging centralisé
+class DebugLogger {
+    constructor() {
+        this.logs = [];
+        this.maxLogs = 100;
+    }
+
+    log(level, message, data = null) {
+        const timestamp = new Date().toISOString();
+        const logEntry = {
+            timestamp,
+            level,
+            message,
+            data: data ? JSON.stringify(data) : null
+        };
+        
+        this.logs.push(logEntry);
+        if (this.logs.length > this.maxLogs) {
+            this.logs.shift();
+        }
+        
+        // Console output avec couleurs
+        const colors = {
+            ERROR: '🔴',
+            WARN: '🟡', 
+            INFO: '🔵',
+            DEBUG: '⚪'
+        };
+        
+        console.log(`${colors[level]} [${timestamp}] ${message}`, data || '');
+    }
+
+    error(message, data) { this.log('ERROR', message, data); }
+    warn(message, data) { this.log('WARN', message, data); }
+    info(message, data) { this.log('INFO', message, data); }
+    debug(message, data) { this.log('DEBUG', message, data); }
+
+    getLogs() { return this.logs; }
+    clearLogs() { this.logs = []; }
+}
+
+const logger = new DebugLogger();
+
+// Make available globally
+window.DebugLogger = DebugLogger;
+window.logger = logger;
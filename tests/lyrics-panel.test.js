@@ -0,0 +1,106 @@
+// Tests du format LRC des paroles - Melodyx
+// parseLRC() n'utilise pas le DOM : le panneau est chargé dans un contexte Node avec un localStorage minimal
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function createContext() {
+    const storage = new Map();
+    const context = {
+        console,
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        logger: { debug() {}, info() {}, warn() {}, error() {} }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const file = 'src/js/player/lyrics-panel.js';
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    return context;
+}
+
+// Les tableaux et objets créés dans le contexte vm n'ont pas les prototypes de ce contexte-ci
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('parseLRC : horodatages au centième, au millième, sans fraction ou avec « : »', () => {
+    const { lyricsPanel } = createContext();
+    const { lines, synced } = plain(lyricsPanel.parseLRC([
+        '[00:01.5]Un',
+        '[00:02.25]Deux',
+        '[00:03.125]Trois',
+        '[01:04]Quatre',
+        '[100:05:50]Cinq'
+    ].join('\n')));
+
+    assert.strictEqual(synced, true);
+    assert.deepStrictEqual(lines, [
+        { timeMs: 1500, text: 'Un' },
+        { timeMs: 2250, text: 'Deux' },
+        { timeMs: 3125, text: 'Trois' },
+        { timeMs: 64000, text: 'Quatre' },
+        { timeMs: 6005500, text: 'Cinq' }
+    ]);
+});
+
+test('parseLRC : plusieurs horodatages par ligne, lignes triées et lignes instrumentales conservées', () => {
+    const { lyricsPanel } = createContext();
+    const { lines } = plain(lyricsPanel.parseLRC('[00:30.00][00:10.00]Refrain\r\n[00:20.00]Couplet\r\n[00:25.00]\r\n'));
+
+    assert.deepStrictEqual(lines, [
+        { timeMs: 10000, text: 'Refrain' },
+        { timeMs: 20000, text: 'Couplet' },
+        { timeMs: 25000, text: '' },
+        { timeMs: 30000, text: 'Refrain' }
+    ]);
+});
+
+test('parseLRC : balises de métadonnées et horodatages par mot (ELRC)', () => {
+    const { lyricsPanel } = createContext();
+    const { lines, metadata } = plain(lyricsPanel.parseLRC([
+        '\ufeff[ti: La Javanaise ]',
+        '[ar:Serge Gainsbourg]',
+        '[length:02:35]',
+        '[00:12.00]<00:12.00>J\'avoue <00:12.80>j\'en <00:13.10>ai bavé'
+    ].join('\n')));
+
+    assert.deepStrictEqual(metadata, { ti: 'La Javanaise', ar: 'Serge Gainsbourg', length: '02:35' });
+    assert.deepStrictEqual(lines, [{ timeMs: 12000, text: 'J\'avoue j\'en ai bavé' }]);
+});
+
+test('parseLRC : [offset:] avance ou retarde les paroles, sans position négative', () => {
+    const { lyricsPanel } = createContext();
+
+    assert.deepStrictEqual(plain(lyricsPanel.parseLRC('[offset:+500]\n[00:00.20]A\n[00:10.00]B').lines), [
+        { timeMs: 0, text: 'A' },
+        { timeMs: 9500, text: 'B' }
+    ]);
+    assert.deepStrictEqual(plain(lyricsPanel.parseLRC('[offset:-250]\n[00:10.00]B').lines), [
+        { timeMs: 10250, text: 'B' }
+    ]);
+});
+
+test('parseLRC : paroles sans horodatage affichées non synchronisées', () => {
+    const { lyricsPanel } = createContext();
+    const { lines, synced, metadata } = plain(lyricsPanel.parseLRC('[ar:Artiste]\nPremière ligne\n\n  Deuxième ligne  \n'));
+
+    assert.strictEqual(synced, false);
+    assert.deepStrictEqual(metadata, { ar: 'Artiste' });
+    assert.deepStrictEqual(lines, [
+        { timeMs: null, text: 'Première ligne' },
+        { timeMs: null, text: 'Deuxième ligne' }
+    ]);
+});
+
+test('parseLRC : texte vide ou absent', () => {
+    const { lyricsPanel } = createContext();
+
+    assert.deepStrictEqual(plain(lyricsPanel.parseLRC('')), { lines: [], synced: false, metadata: {} });
+    assert.deepStrictEqual(plain(lyricsPanel.parseLRC(null)), { lines: [], synced: false, metadata: {} });
+});
@@ -0,0 +1,113 @@
+// Tests du tri définitif des playlists - Melodyx
+// computeOrder() calcule l'ordre cible et planMoves() les déplacements de blocs envoyés à Spotify :
+// on rejoue ces déplacements avec la sémantique de l'API (PUT /playlists/{id}/tracks) pour vérifier le résultat
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function createContext() {
+    const context = {
+        console,
+        logger: { debug() {}, info() {}, warn() {}, error() {} }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const file = 'src/js/player/playlist-editor.js';
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    return context;
+}
+
+// Sémantique Spotify : range_start et insert_before désignent des positions avant le déplacement
+function applyMove(list, { rangeStart, insertBefore, rangeLength }) {
+    const block = list.slice(rangeStart, rangeStart + rangeLength);
+    const rest = [...list.slice(0, rangeStart), ...list.slice(rangeStart + rangeLength)];
+    const position = insertBefore > rangeStart ? insertBefore - rangeLength : insertBefore;
+    rest.splice(position, 0, ...block);
+    return rest;
+}
+
+// Générateur pseudo-aléatoire reproductible (mulberry32)
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomPermutation(n, random) {
+    const order = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+const item = (name, extra = {}) => ({ added_at: extra.added_at, track: { name, artists: [{ name: extra.artist || name }], duration_ms: extra.duration, ...extra.track } });
+
+test('planMoves : les déplacements rejoués donnent l\'ordre cible', () => {
+    const { playlistEditor } = createContext();
+    const random = createRandom(42);
+
+    for (let n = 0; n <= 60; n += n < 10 ? 1 : 7) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const order = randomPermutation(n, random);
+            const moves = playlistEditor.planMoves(order);
+
+            let list = Array.from({ length: n }, (_, i) => i);
+            moves.forEach(move => {
+                assert.ok(move.rangeLength > 0 && move.rangeStart + move.rangeLength <= n, `déplacement invalide ${JSON.stringify(move)}`);
+                list = applyMove(list, move);
+            });
+            assert.deepStrictEqual(list, order, `échec pour ${JSON.stringify(order)}`);
+        }
+    }
+});
+
+test('planMoves : aucun déplacement pour une liste déjà triée, un seul pour un bloc déplacé', () => {
+    const { playlistEditor } = createContext();
+
+    assert.strictEqual(playlistEditor.planMoves([0, 1, 2, 3, 4]).length, 0);
+    assert.deepStrictEqual([...playlistEditor.planMoves([3, 4, 0, 1, 2])].map(move => ({ ...move })), [
+        { rangeStart: 3, insertBefore: 0, rangeLength: 2 }
+    ]);
+});
+
+test('computeOrder : tri stable, valeurs manquantes en fin de liste dans les deux sens', () => {
+    const { playlistEditor } = createContext();
+    const items = [
+        item('b', { duration: 200 }),
+        item('a', { duration: null }),
+        item('c', { duration: 100 }),
+        item('d', { duration: 200 }),
+        { track: null }
+    ];
+
+    assert.deepStrictEqual([...playlistEditor.computeOrder(items, 'duration')], [2, 0, 3, 1, 4]);
+    assert.deepStrictEqual([...playlistEditor.computeOrder(items, 'duration', 'desc')], [0, 3, 2, 1, 4]);
+});
+
+test('computeOrder : comparaison des textes sans casse ni accents, nombres dans l\'ordre naturel', () => {
+    const { playlistEditor } = createContext();
+    const items = [item('Track 10'), item('track 2'), item('Éclair'), item('eclair'), item('Abba')];
+
+    assert.deepStrictEqual([...playlistEditor.computeOrder(items, 'title')], [4, 2, 3, 1, 0]);
+});
+
+test('computeOrder : dates d\'ajout invalides traitées comme manquantes', () => {
+    const { playlistEditor } = createContext();
+    const items = [
+        item('x', { added_at: '2024-05-01T00:00:00Z' }),
+        item('y', { added_at: 'pas une date' }),
+        item('z', { added_at: '2021-01-01T00:00:00Z' })
+    ];
+
+    assert.deepStrictEqual([...playlistEditor.computeOrder(items, 'added_at')], [2, 0, 1]);
+    assert.deepStrictEqual([...playlistEditor.computeOrder(items, 'added_at', 'desc')], [0, 2, 1]);
+});
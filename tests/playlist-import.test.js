@@ -0,0 +1,130 @@
+// Tests de lecture des fichiers importés - Melodyx
+// parseCSVRows(), parseM3U() et parseDuration() n'utilisent pas le DOM : ils tournent dans un contexte Node minimal
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function createContext() {
+    const context = {
+        console,
+        logger: { debug() {}, info() {}, warn() {}, error() {} }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const file = 'src/js/player/playlist-import.js';
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    return context;
+}
+
+// Les tableaux et objets créés dans le contexte vm n'ont pas les prototypes de ce contexte-ci
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('parseCSVRows : guillemets, guillemets doublés et retours à la ligne dans les champs', () => {
+    const { playlistImport } = createContext();
+    const text = 'title,artist\r\n"Hello, World","Say ""Hi"""\r\n"Deux\nlignes",Artiste\r\n';
+
+    assert.deepStrictEqual(plain(playlistImport.parseCSVRows(text)), [
+        ['title', 'artist'],
+        ['Hello, World', 'Say "Hi"'],
+        ['Deux\nlignes', 'Artiste']
+    ]);
+});
+
+test('parseCSVRows : séparateur ; détecté sur l\'en-tête, lignes vides ignorées', () => {
+    const { playlistImport } = createContext();
+    const text = 'titre;artiste;durée\n\nLa Javanaise;Serge Gainsbourg;3:05\n ; ; \nCaravane;Raphaël;3,5';
+
+    assert.deepStrictEqual(plain(playlistImport.parseCSVRows(text)), [
+        ['titre', 'artiste', 'durée'],
+        ['La Javanaise', 'Serge Gainsbourg', '3:05'],
+        ['Caravane', 'Raphaël', '3,5']
+    ]);
+});
+
+test('parseCSVRows : dernière ligne sans fin de ligne et champ final vide conservés', () => {
+    const { playlistImport } = createContext();
+
+    assert.deepStrictEqual(plain(playlistImport.parseCSVRows('a,b\nc,')), [['a', 'b'], ['c', '']]);
+    assert.deepStrictEqual(plain(playlistImport.parseCSVRows('')), []);
+});
+
+test('parseDuration : millisecondes, secondes et format m:ss / h:mm:ss', () => {
+    const { playlistImport } = createContext();
+
+    assert.strictEqual(playlistImport.parseDuration('215000'), 215000);
+    assert.strictEqual(playlistImport.parseDuration('215'), 215000);
+    assert.strictEqual(playlistImport.parseDuration('215.4'), 215400);
+    assert.strictEqual(playlistImport.parseDuration('3:35'), 215000);
+    assert.strictEqual(playlistImport.parseDuration('1:02:03'), 3723000);
+});
+
+test('parseDuration : valeurs absentes ou invalides', () => {
+    const { playlistImport } = createContext();
+
+    assert.strictEqual(playlistImport.parseDuration(''), null);
+    assert.strictEqual(playlistImport.parseDuration(undefined), null);
+    assert.strictEqual(playlistImport.parseDuration('abc'), null);
+    assert.strictEqual(playlistImport.parseDuration('0'), null);
+    assert.strictEqual(playlistImport.parseDuration('-12'), null);
+    assert.strictEqual(playlistImport.parseDuration('3:xx'), null);
+});
+
+test('parseM3U : #EXTINF, album, ISRC, liens Spotify et chemins de fichiers', () => {
+    const { playlistImport } = createContext();
+    const text = [
+        '#EXTM3U',
+        '#PLAYLIST:Soirée',
+        '#EXTINF:215,Serge Gainsbourg - La Javanaise',
+        '#EXTALB:Gainsbourg Percussions',
+        '#EXT-X-ISRC:frz016400123',
+        '/musique/Gainsbourg/01%20La%20Javanaise.mp3',
+        '',
+        '#EXTINF:-1,Titre seul',
+        'https://open.spotify.com/intl-fr/track/4uLU6hMCjMI75M1A2tKUQC?si=abc',
+        'C:\\Musique\\Caravane.flac'
+    ].join('\r\n');
+
+    const { name, entries } = plain(playlistImport.parseM3U(text, 'fichier'));
+    assert.strictEqual(name, 'Soirée');
+    assert.deepStrictEqual(entries, [
+        {
+            line: 6,
+            title: 'La Javanaise',
+            artist: 'Serge Gainsbourg',
+            album: 'Gainsbourg Percussions',
+            durationMs: 215000,
+            isrc: 'FRZ016400123',
+            uri: null
+        },
+        {
+            line: 9,
+            title: 'Titre seul',
+            artist: '',
+            album: '',
+            durationMs: null,
+            isrc: '',
+            uri: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC'
+        },
+        {
+            line: 10,
+            title: 'Caravane',
+            artist: '',
+            album: '',
+            durationMs: null,
+            isrc: '',
+            uri: null
+        }
+    ]);
+});
+
+test('parseM3U : nom par défaut sans #PLAYLIST, titre du fichier décodé', () => {
+    const { playlistImport } = createContext();
+    const { name, entries } = plain(playlistImport.parseM3U('../Artiste%20-%20Morceau.mp3\nmal%encodé.ogg', 'fichier'));
+
+    assert.strictEqual(name, 'fichier');
+    assert.deepStrictEqual(entries.map(entry => entry.title), ['Artiste - Morceau', 'mal%encodé']);
+});
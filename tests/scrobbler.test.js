@@ -0,0 +1,148 @@
+// Tests du journal des écoutes - Melodyx
+// handlePlaybackState() reçoit des états du lecteur horodatés : le temps d'écoute, les seeks, les pauses
+// et les relances de piste sont vérifiés sans navigateur, IndexedDB étant remplacé par un tableau
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function createContext() {
+    const records = [];
+    const context = {
+        console,
+        logger: { debug() {}, info() {}, warn() {}, error() {} },
+        melodyxDB: { put: async (storeName, entry) => { records.push(entry); } },
+        addEventListener() {}
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const file = 'src/js/player/scrobbler.js';
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    return { scrobbler: context.scrobbler, records };
+}
+
+const createTrack = (id, durationSeconds = 200) => ({
+    id,
+    uri: `spotify:track:${id}`,
+    name: `Titre ${id}`,
+    artists: [{ name: 'Artiste' }],
+    album: { name: 'Album' },
+    duration_ms: durationSeconds * 1000
+});
+
+// États envoyés chaque seconde pendant une lecture continue ; retourne l'horloge à la fin
+function play(scrobbler, track, { fromMs = 0, toMs, now = 0 }) {
+    for (let progressMs = fromMs; progressMs <= toMs; progressMs += 1000) {
+        scrobbler.handlePlaybackState({ track, progressMs, isPlaying: true }, now);
+        if (progressMs < toMs) now += 1000;
+    }
+    return now;
+}
+
+// finish() est lancé sans attendre lors d'un changement de piste
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('handlePlaybackState : le temps écouté suit la lecture', async () => {
+    const { scrobbler } = createContext();
+    const track = createTrack('a');
+
+    play(scrobbler, track, { toMs: 120000 });
+    assert.strictEqual(scrobbler.current.listenedMs, 120000);
+
+    const entry = await scrobbler.finish('interrupted');
+    assert.strictEqual(entry.listenedMs, 120000);
+    assert.strictEqual(entry.status, 'interrupted');
+    assert.strictEqual(entry.scrobbled, true);
+});
+
+test('handlePlaybackState : un seek en avant ne compte pas comme écouté', async () => {
+    const { scrobbler } = createContext();
+    const track = createTrack('a');
+
+    let now = play(scrobbler, track, { toMs: 10000 });
+    now += 1000;
+    now = play(scrobbler, track, { fromMs: 150000, toMs: 160000, now });
+
+    // 10 s avant le seek, 2,5 s sur le saut (1 s écoulée + tolérance), 10 s après
+    assert.strictEqual(scrobbler.current.listenedMs, 22500);
+
+    const entry = await scrobbler.finish();
+    assert.strictEqual(entry.scrobbled, false);
+});
+
+test('handlePlaybackState : le temps passé en pause ne compte pas', () => {
+    const { scrobbler } = createContext();
+    const track = createTrack('a');
+
+    let now = play(scrobbler, track, { toMs: 30000 });
+    scrobbler.handlePlaybackState({ track, progressMs: 30000, isPlaying: false }, now);
+    now += 60000;
+    scrobbler.handlePlaybackState({ track, progressMs: 30000, isPlaying: false }, now);
+    play(scrobbler, track, { fromMs: 30000, toMs: 40000, now });
+
+    assert.strictEqual(scrobbler.current.listenedMs, 40000);
+});
+
+test('handlePlaybackState : une piste relancée depuis le début clôt l\'écoute précédente', async () => {
+    const { scrobbler, records } = createContext();
+    const track = createTrack('a');
+
+    let now = play(scrobbler, track, { toMs: 197000 });
+    now += 1000;
+    play(scrobbler, track, { fromMs: 500, toMs: 5500, now });
+    await flush();
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].status, 'completed');
+    assert.strictEqual(records[0].scrobbled, true);
+    assert.strictEqual(scrobbler.current.listenedMs, 5000);
+});
+
+test('handlePlaybackState : un retour en arrière au milieu de la piste n\'est pas une relance', async () => {
+    const { scrobbler, records } = createContext();
+    const track = createTrack('a');
+
+    let now = play(scrobbler, track, { toMs: 60000 });
+    now += 1000;
+    play(scrobbler, track, { fromMs: 30000, toMs: 40000, now });
+    await flush();
+
+    assert.strictEqual(records.length, 0);
+    assert.strictEqual(scrobbler.current.listenedMs, 70000);
+});
+
+test('handlePlaybackState : changement de piste, saut volontaire et écoute trop courte', async () => {
+    const { scrobbler, records } = createContext();
+    const first = createTrack('a');
+    const second = createTrack('b');
+    const third = createTrack('c');
+
+    let now = play(scrobbler, first, { toMs: 20000 });
+    scrobbler.markSkip();
+    now = play(scrobbler, second, { toMs: 500, now: now + 1000 });
+    play(scrobbler, third, { toMs: 0, now: now + 1000 });
+    await flush();
+
+    // La deuxième piste (moins d'une seconde écoutée) n'est pas enregistrée
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].uri, first.uri);
+    assert.strictEqual(records[0].status, 'skipped');
+    assert.strictEqual(records[0].manualSkip, true);
+    assert.strictEqual(records[0].scrobbled, false);
+    assert.strictEqual(scrobbler.current.track.uri, third.uri);
+});
+
+test('isScrobble : plus de 30 s, écouté à moitié ou pendant 4 minutes', () => {
+    const { scrobbler } = createContext();
+
+    assert.strictEqual(scrobbler.isScrobble(29000, 29000), false);
+    assert.strictEqual(scrobbler.isScrobble(60000, 0), false);
+    assert.strictEqual(scrobbler.isScrobble(15000, 30000), true);
+    assert.strictEqual(scrobbler.isScrobble(99999, 200000), false);
+    assert.strictEqual(scrobbler.isScrobble(100000, 200000), true);
+    assert.strictEqual(scrobbler.isScrobble(239999, 600000), false);
+    assert.strictEqual(scrobbler.isScrobble(240000, 600000), true);
+});
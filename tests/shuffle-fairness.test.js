@@ -0,0 +1,62 @@
+// Tests d'équité des shuffles - Melodyx
+// Exécute shuffleDiagnostics.selfTest() hors navigateur : les modules du lecteur sont chargés dans un
+// contexte Node avec un window/localStorage minimal (ils n'ont pas besoin du DOM)
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const modules = [
+    'src/js/player/shuffle-strategies.js',
+    'src/js/player/play-history.js',
+    'src/js/player/smart-shuffle.js',
+    'src/js/player/shuffle-diagnostics.js'
+];
+
+function createContext() {
+    const storage = new Map();
+    const context = {
+        console,
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        logger: { debug() {}, info() {}, warn() {}, error() {} },
+        crypto: globalThis.crypto,
+        setTimeout
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    modules.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return context;
+}
+
+test('selfTest des shuffles : tous les contrôles passent', () => {
+    const { shuffleDiagnostics } = createContext();
+    const { passed, checks } = shuffleDiagnostics.selfTest();
+
+    const failures = checks.filter(check => !check.passed).map(check => `${check.name} (${check.detail})`);
+    assert.ok(checks.length > 0, 'aucun contrôle exécuté');
+    assert.ok(passed, `contrôles en échec :\n${failures.join('\n')}`);
+});
+
+test('analyse découpée : même rapport que l\'analyse synchrone', async () => {
+    const { shuffleDiagnostics } = createContext();
+    const tracks = shuffleDiagnostics.createSyntheticPlaylist({ trackCount: 60 });
+    shuffleDiagnostics.frameBudget = 0; // Rendre la main après chaque exécution
+
+    let pauses = 0;
+    const chunked = await shuffleDiagnostics.analyzeAsync('artist-spread', tracks, { runs: 50 }, () => { pauses++; });
+    const direct = shuffleDiagnostics.analyze('artist-spread', tracks, { runs: 50 });
+
+    assert.ok(pauses > 0, 'le calcul ne rend jamais la main');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(chunked)), JSON.parse(JSON.stringify(direct)));
+});
@@ -34,13 +34,15 @@ export default defineConfig({
         app: resolve(__dirname, 'src/pages/app.html'),
         callback: resolve(__dirname, 'src/pages/callback.html'),
         playlistSelector: resolve(__dirname, 'src/pages/playlist-selector.html'),
-        spotifyPlayer: resolve(__dirname, 'src/pages/spotify-player.html')
+        spotifyPlayer: resolve(__dirname, 'src/pages/spotify-player.html'),
+        rewind: resolve(__dirname, 'src/pages/rewind.html')
       },
       output: {
         // Manual chunk splitting for better caching
         manualChunks: {
           'spotify-api': ['src/js/api/spotify-web-api-service.js'],
-          'player': ['src/js/player/spotify-player.js', 'src/js/player/true-random.js'],
+          'player': ['src/js/player/spotify-player.js', 'src/js/player/true-random.js', 'src/js/player/shuffle-strategies.js', 'src/js/player/play-history.js', 'src/js/player/smart-shuffle.js', 'src/js/player/queue-feeder.js', 'src/js/player/virtual-queue.js', 'src/js/player/queue-snapshots.js', 'src/js/player/shuffle-diagnostics.js', 'src/js/player/playlist-health.js', 'src/js/player/playlist-editor.js', 'src/js/player/playlist-export.js', 'src/js/player/playlist-import.js', 'src/js/player/library-archive.js', 'src/js/player/playlist-snapshots.js', 'src/js/player/smart-playlists.js', 'src/js/player/rewind-stats.js', 'src/js/player/scrobbler.js', 'src/js/player/skip-analytics.js', 'src/js/player/lyrics-panel.js', 'src/js/player/lyrics-lrc-provider.js', 'src/js/player/music-visualizer.js', 'src/js/player/analysis-sources.js'],
+          'storage': ['src/js/storage/melodyx-db.js'],
           'auth': ['src/js/auth/spotify-auth.js']
         },
         // Asset naming
@@ -77,6 +79,8 @@ export default defineConfig({
         mkdirSync('dist/src/js/api', { recursive: true });
         mkdirSync('dist/src/js/player', { recursive: true });
         mkdirSync('dist/src/js/ui', { recursive: true });
+        mkdirSync('dist/src/js/storage', { recursive: true });
+        mkdirSync('dist/src/js/utils', { recursive: true });
         mkdirSync('dist/src/css/base', { recursive: true });
         mkdirSync('dist/src/css/components', { recursive: true });
         
@@ -87,12 +91,36 @@ export default defineConfig({
         copyFileSync('src/js/player/spotify-player.js', 'dist/src/js/player/spotify-player.js');
         copyFileSync('src/js/player/playlist-selector.js', 'dist/src/js/player/playlist-selector.js');
         copyFileSync('src/js/player/true-random.js', 'dist/src/js/player/true-random.js');
+        copyFileSync('src/js/player/shuffle-strategies.js', 'dist/src/js/player/shuffle-strategies.js');
+        copyFileSync('src/js/player/play-history.js', 'dist/src/js/player/play-history.js');
+        copyFileSync('src/js/player/smart-shuffle.js', 'dist/src/js/player/smart-shuffle.js');
+        copyFileSync('src/js/player/queue-feeder.js', 'dist/src/js/player/queue-feeder.js');
+        copyFileSync('src/js/player/virtual-queue.js', 'dist/src/js/player/virtual-queue.js');
+        copyFileSync('src/js/player/queue-snapshots.js', 'dist/src/js/player/queue-snapshots.js');
+        copyFileSync('src/js/player/shuffle-diagnostics.js', 'dist/src/js/player/shuffle-diagnostics.js');
+        copyFileSync('src/js/player/playlist-health.js', 'dist/src/js/player/playlist-health.js');
+        copyFileSync('src/js/player/playlist-editor.js', 'dist/src/js/player/playlist-editor.js');
+        copyFileSync('src/js/player/playlist-export.js', 'dist/src/js/player/playlist-export.js');
+        copyFileSync('src/js/player/playlist-import.js', 'dist/src/js/player/playlist-import.js');
+        copyFileSync('src/js/player/library-archive.js', 'dist/src/js/player/library-archive.js');
+        copyFileSync('src/js/player/playlist-snapshots.js', 'dist/src/js/player/playlist-snapshots.js');
+        copyFileSync('src/js/player/smart-playlists.js', 'dist/src/js/player/smart-playlists.js');
+        copyFileSync('src/js/player/rewind-stats.js', 'dist/src/js/player/rewind-stats.js');
+        copyFileSync('src/js/player/scrobbler.js', 'dist/src/js/player/scrobbler.js');
+        copyFileSync('src/js/player/skip-analytics.js', 'dist/src/js/player/skip-analytics.js');
+        copyFileSync('src/js/player/lyrics-panel.js', 'dist/src/js/player/lyrics-panel.js');
+        copyFileSync('src/js/player/lyrics-lrc-provider.js', 'dist/src/js/player/lyrics-lrc-provider.js');
+        copyFileSync('src/js/player/music-visualizer.js', 'dist/src/js/player/music-visualizer.js');
+        copyFileSync('src/js/player/analysis-sources.js', 'dist/src/js/player/analysis-sources.js');
+        copyFileSync('src/js/storage/melodyx-db.js', 'dist/src/js/storage/melodyx-db.js');
         copyFileSync('src/js/ui/script.js', 'dist/src/js/ui/script.js');
+        copyFileSync('src/js/utils/logger.js', 'dist/src/js/utils/logger.js');
         
         // Copy CSS files
         copyFileSync('src/css/base/main.css', 'dist/src/css/base/main.css');
         copyFileSync('src/css/components/player.css', 'dist/src/css/components/player.css');
         copyFileSync('src/css/components/playlist-selector.css', 'dist/src/css/components/playlist-selector.css');
+        copyFileSync('src/css/components/rewind.css', 'dist/src/css/components/rewind.css');
       }
     }
   ],